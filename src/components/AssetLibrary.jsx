@@ -0,0 +1,194 @@
+// src/components/AssetLibrary.jsx
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useDrag } from "react-dnd";
+import { PALETTE_TYPE } from "./Palette";
+import AssetStore, { ASSET_TYPES } from "../store/AssetStore";
+import { SceneGraphStore } from "../store/SceneGraphStore";
+import EventBus from "../utils/EventBus";
+import "../styles/Palette.css";
+import "../styles/AssetLibrary.css";
+
+const FILTERS = [["all", "All"], ...Object.entries(ASSET_TYPES).map(([key, t]) => [key, t.label])];
+
+// object URL for a thumbnail Blob, revoked when it changes or the card unmounts
+function useBlobURL(blob) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) { setUrl(null); return undefined; }
+    const u = URL.createObjectURL(blob);
+    setUrl(u);
+    return () => { try { URL.revokeObjectURL(u); } catch (e) {} };
+  }, [blob]);
+  return url;
+}
+
+/* One library entry: draggable onto the viewport, click to use */
+const AssetCard = React.memo(({ asset, onUse, onRename, onTags, onDelete }) => {
+  const thumb = useBlobURL(asset.thumbnail);
+  const [{ isDragging }, dragRef] = useDrag(
+    () => ({
+      type: PALETTE_TYPE,
+      item: { name: asset.name, assetId: asset.id, assetType: asset.type },
+      collect: (monitor) => ({ isDragging: !!monitor.isDragging() }),
+    }),
+    [asset.id, asset.name, asset.type]
+  );
+
+  return (
+    <div
+      ref={dragRef}
+      role="button"
+      tabIndex={0}
+      className={`asset-card ${isDragging ? "dragging" : ""}`}
+      title={`${asset.name}${asset.tags.length ? ` — ${asset.tags.join(", ")}` : ""}\nClick to use, or drag into the viewport`}
+      onClick={() => onUse(asset)}
+      onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { e.preventDefault(); onUse(asset); } }}
+    >
+      <div className="asset-thumb">
+        {thumb ? <img src={thumb} alt="" draggable={false} /> : <span>{ASSET_TYPES[asset.type]?.icon}</span>}
+      </div>
+      <div className="asset-name">{asset.name}</div>
+      {asset.tags.length > 0 && <div className="asset-tags">{asset.tags.map((t) => <span key={t}>{t}</span>)}</div>}
+      <div className="asset-actions" onClick={(e) => e.stopPropagation()}>
+        <button type="button" title="Rename" onClick={() => onRename(asset)}>✎</button>
+        <button type="button" title="Edit tags" onClick={() => onTags(asset)}>#</button>
+        <button type="button" title="Delete" onClick={() => onDelete(asset)}>✕</button>
+      </div>
+    </div>
+  );
+});
+
+/**
+ * AssetLibrary: models, material presets and HDRIs kept in the browser (AssetStore).
+ * Entries drop onto the viewport through Workspace's PALETTE_TYPE target (item.assetId).
+ * workspaceRef: addAsset, exportModel; pushToast for feedback
+ */
+const AssetLibrary = ({ workspaceRef, pushToast = () => {} }) => {
+  const [assets, setAssets] = useState([]);
+  const [search, setSearch] = useState("");
+  const [filter, setFilter] = useState("all");
+  const [tag, setTag] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try { setAssets(await AssetStore.list()); } catch (e) {
+      console.warn("AssetLibrary: list failed", e);
+      pushToast({ type: "error", title: "Asset library", message: e?.message || "Could not open the library" });
+    }
+  }, [pushToast]);
+
+  useEffect(() => {
+    refresh();
+    // entries saved before thumbnails were rendered (or while WebGL was unavailable)
+    AssetStore.fillThumbnails().catch(() => {});
+    const onChanged = () => refresh();
+    EventBus.on("assets:changed", onChanged);
+    return () => EventBus.off("assets:changed", onChanged);
+  }, [refresh]);
+
+  const tags = useMemo(() => Array.from(new Set(assets.filter((a) => filter === "all" || a.type === filter).flatMap((a) => a.tags))).sort(), [assets, filter]);
+  const visible = useMemo(() => {
+    const words = search.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    return assets
+      .filter((a) => filter === "all" || a.type === filter)
+      .filter((a) => !tag || a.tags.includes(tag))
+      .filter((a) => words.every((w) => a.name.toLowerCase().includes(w) || a.tags.some((t) => t.includes(w))));
+  }, [assets, search, filter, tag]);
+  useEffect(() => { if (tag && !tags.includes(tag)) setTag(null); }, [tag, tags]);
+
+  const use = useCallback(async (asset) => {
+    try {
+      await workspaceRef.current?.addAsset?.(asset.id);
+      if (asset.type === "model") pushToast({ type: "info", message: `Added ${asset.name}` });
+      if (asset.type === "material") pushToast({ type: "info", message: `Applied ${asset.name}` });
+    } catch (e) {
+      pushToast({ type: "error", title: asset.name, message: e?.message || "Could not use asset" });
+    }
+  }, [workspaceRef, pushToast]);
+
+  const rename = useCallback((asset) => {
+    const name = window.prompt("Asset name", asset.name);
+    if (name && name.trim() && name !== asset.name) AssetStore.update(asset.id, { name }).catch(() => {});
+  }, []);
+
+  const editTags = useCallback((asset) => {
+    const value = window.prompt("Tags (comma separated)", asset.tags.join(", "));
+    if (value !== null) AssetStore.update(asset.id, { tags: value.split(",") }).catch(() => {});
+  }, []);
+
+  const remove = useCallback((asset) => {
+    if (window.confirm(`Delete "${asset.name}" from the library?`)) AssetStore.remove(asset.id).catch(() => {});
+  }, []);
+
+  // the current selection as a .glb (AssetStore renders its thumbnail)
+  const addSelection = useCallback(async () => {
+    const ws = workspaceRef.current;
+    if (!ws?.exportModel) return;
+    const ids = SceneGraphStore.getSelectedIds();
+    if (!ids.length) { pushToast({ type: "error", message: "Select objects to save them to the library" }); return; }
+    const name = window.prompt("Asset name", (ids.length === 1 && SceneGraphStore.getObject(ids[0])?.name) || "Model");
+    if (!name) return;
+    setBusy(true);
+    try {
+      const blob = await ws.exportModel({ format: "glb", scope: "selection", textures: "embed", optimize: false, filename: name }, { download: false });
+      await AssetStore.add({ type: "model", name, blob, fileName: `${name}.glb`, tags: [] });
+      pushToast({ type: "info", message: `Saved ${name} to the library` });
+    } catch (e) {
+      pushToast({ type: "error", title: "Add to library", message: e?.message || "Could not save the selection" });
+    } finally { setBusy(false); }
+  }, [workspaceRef, pushToast]);
+
+  const addFile = useCallback(async (file, type) => {
+    if (!file) return;
+    setBusy(true);
+    try {
+      await AssetStore.add({ type, name: file.name.replace(/\.[^.]+$/, ""), blob: file, fileName: file.name });
+    } catch (e) {
+      pushToast({ type: "error", title: "Add to library", message: e?.message || `Could not add ${file.name}` });
+    } finally { setBusy(false); }
+  }, [pushToast]);
+
+  return (
+    <div className="palette-container asset-library">
+      <h3 className="palette-header">Assets</h3>
+
+      <input className="palette-search" type="text" placeholder="Search name or tag..." value={search} onChange={(e) => setSearch(e.target.value)} />
+
+      <div className="palette-filters">
+        {FILTERS.map(([key, label]) => (
+          <button key={key} type="button" className={`filter-btn ${filter === key ? "active" : ""}`} onClick={() => setFilter(key)}>{label}</button>
+        ))}
+      </div>
+      {tags.length > 0 && (
+        <div className="palette-filters asset-tag-filters">
+          {tags.map((t) => (
+            <button key={t} type="button" className={`filter-btn ${tag === t ? "active" : ""}`} onClick={() => setTag(tag === t ? null : t)}>#{t}</button>
+          ))}
+        </div>
+      )}
+
+      <div className="asset-add-row">
+        <button type="button" className="filter-btn" disabled={busy} onClick={addSelection} title="Save the selected objects as a model asset">＋ Selection</button>
+        <label className="filter-btn" title="Add a .glb file">
+          ＋ GLB
+          <input type="file" accept=".glb" style={{ display: "none" }} onChange={(e) => { addFile(e.target.files?.[0], "model"); e.target.value = ""; }} />
+        </label>
+        <label className="filter-btn" title="Add an .hdr environment">
+          ＋ HDR
+          <input type="file" accept=".hdr" style={{ display: "none" }} onChange={(e) => { addFile(e.target.files?.[0], "hdri"); e.target.value = ""; }} />
+        </label>
+      </div>
+
+      <div className="asset-grid">
+        {visible.map((a) => <AssetCard key={a.id} asset={a} onUse={use} onRename={rename} onTags={editTags} onDelete={remove} />)}
+        {!visible.length && (
+          <div style={{ gridColumn: "1 / -1", color: "var(--text-muted)", textAlign: "center", fontSize: 12, padding: 12 }}>
+            {assets.length ? "No assets match." : "No assets yet. Save a selection, add a GLB or HDR, or save a material preset."}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssetLibrary;
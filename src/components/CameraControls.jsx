@@ -2,6 +2,22 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
 
+/**
+ * Camera position that fits object3D in view, looking along the camera's current direction
+ * (or opts.direction); shared by frameObject and the thumbnail renderer
+ * @returns {{ center: THREE.Vector3, position: THREE.Vector3, distance: number, radius: number }}
+ */
+export function computeFraming(object3D, camera, { padding = 1.2, direction = null } = {}) {
+  const box = new THREE.Box3().setFromObject(object3D);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z, 0.0001);
+  const fov = camera.fov * (Math.PI / 180);
+  const distance = Math.abs((maxDim * padding) / Math.sin(fov / 2));
+  const dir = direction ? direction.clone().normalize() : camera.getWorldDirection(new THREE.Vector3());
+  return { center, position: center.clone().addScaledVector(dir, -distance), distance, radius: maxDim / 2 };
+}
+
 /**
  * initCameraControls({ camera, domElement, autoRotate=false, damping=0.08 })
  * returns { controls, resetView, frameObject, dispose }
@@ -41,15 +57,7 @@ export function initCameraControls({ camera, domElement, autoRotate = false, dam
 
   function frameObject(object3D, { padding = 1.2, duration = 0 } = {}) {
     if (!object3D) return;
-    const box = new THREE.Box3().setFromObject(object3D);
-    const size = box.getSize(new THREE.Vector3());
-    const center = box.getCenter(new THREE.Vector3());
-    const maxDim = Math.max(size.x, size.y, size.z, 0.0001);
-    const fov = camera.fov * (Math.PI / 180);
-    const distance = Math.abs((maxDim * padding) / Math.sin(fov / 2));
-    const dir = new THREE.Vector3();
-    camera.getWorldDirection(dir);
-    const newPos = center.clone().addScaledVector(dir, -distance);
+    const { center, position: newPos } = computeFraming(object3D, camera, { padding });
 
     if (duration > 0) {
       const fromPos = camera.position.clone();
@@ -1,6 +1,7 @@
 // src/components/EnvironmentSetup.jsx
 import * as THREE from "three";
 import { RGBELoader } from "three/examples/jsm/loaders/RGBELoader.js"; // note the .js extension
+import { EXRLoader } from "three/examples/jsm/loaders/EXRLoader.js";
 // PMREMGenerator is part of three core
 // no need to import from examples
 // import { PMREMGenerator } from "three"; // optional, already in THREE
@@ -8,6 +9,7 @@ import { RGBELoader } from "three/examples/jsm/loaders/RGBELoader.js"; // note t
 /**
  * setupEnvironment({ scene, renderer })
  * returns { setHDR, setBackgroundColor, dispose }
+ * setHDR(url, { format }) loads Radiance .hdr, or OpenEXR with format "exr" (blob URLs carry no extension)
  */
 export function setupEnvironment({ scene, renderer }) {
   if (!scene || !renderer) throw new Error("scene and renderer required");
@@ -16,9 +18,10 @@ export function setupEnvironment({ scene, renderer }) {
   pmremGen.compileEquirectangularShader && pmremGen.compileEquirectangularShader();
 
   const rgbe = new RGBELoader();
+  const exr = new EXRLoader();
   let currentEnv = null;
 
-  async function setHDR(url) {
+  async function setHDR(url, { format = /\.exr$/i.test(url || "") ? "exr" : "hdr" } = {}) {
     if (!url) {
       if (currentEnv) {
         try { currentEnv.dispose(); } catch (e) {}
@@ -30,7 +33,7 @@ export function setupEnvironment({ scene, renderer }) {
     }
 
     return new Promise((resolve, reject) => {
-      rgbe.load(url, (hdr) => {
+      (format === "exr" ? exr : rgbe).load(url, (hdr) => {
         try {
           const env = pmremGen.fromEquirectangular(hdr).texture;
           if (currentEnv && typeof currentEnv.dispose === "function") currentEnv.dispose();
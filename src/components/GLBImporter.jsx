@@ -1,23 +1,17 @@
 // src/components/GLBImporter.jsx
-import * as THREE from "three";
-import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader";
-import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader";
+import { ImportEngine } from "../engine/ImportEngine";
 
 /**
  * initGLBImporter({ scene, domElement, onLoad })
  * - onLoad(gltf, url/file) when model loaded
- * returns { dispose, loadFromFile, enableDragDrop, disableDragDrop }
+ * returns { dispose, loadFromURL, loadFromFile, enableDragDrop, disableDragDrop }
  */
 export function initGLBImporter({ scene, domElement, onLoad = () => {} } = {}) {
   if (!scene || !domElement) throw new Error("scene and domElement required");
 
-  const loader = new GLTFLoader();
-  try {
-    const draco = new DRACOLoader();
-    // you might need to set decoder path depending on setup:
-    // draco.setDecoderPath('/draco/');
-    loader.setDRACOLoader(draco);
-  } catch (e) { /* DRACO optional */ }
+  // shared loader (Draco/KTX2 decoders served from the app's public path); looked up per load
+  // because Workspace recreates it after disposing
+  const loader = () => ImportEngine.gltfLoader();
 
   let activeModel = null;
 
@@ -36,34 +30,30 @@ export function initGLBImporter({ scene, domElement, onLoad = () => {} } = {}) {
     activeModel = null;
   }
 
-  function _addToScene(gltf, meta) {
+  // options: import options (units, up-axis, recenter, scale...), placed like every other import path
+  function _addToScene(gltf, meta, options) {
     clearActiveModel();
     const root = gltf.scene || gltf.scenes?.[0] || gltf;
+    ImportEngine.applyImportOptions(root, options);
     scene.add(root);
     activeModel = root;
-    // orient/scaling: ensure at origin
-    const box = new THREE.Box3().setFromObject(root);
-    const size = box.getSize(new THREE.Vector3());
-    const center = box.getCenter(new THREE.Vector3());
-    // center to origin
-    root.position.sub(center);
-    // simple auto-scale if huge
-    const maxDim = Math.max(size.x, size.y, size.z, 1);
-    if (maxDim > 10) {
-      const s = 1 / maxDim;
-      root.scale.setScalar(s);
-    }
     onLoad(gltf, meta);
   }
 
-  function loadFromURL(url) {
-    loader.load(url, (gltf) => _addToScene(gltf, url), null, (err) => console.error("GLTF load error", err));
+  // resolves with the added root; rejects with ImportEngine's plain-language error (err.kind)
+  async function loadFromURL(url, { options = undefined, signal = undefined, onProgress = null } = {}) {
+    const root = await ImportEngine.importFromURL(url, { options, signal, onProgress });
+    clearActiveModel();
+    scene.add(root);
+    activeModel = root;
+    onLoad({ scene: root, animations: root.animations || [] }, url);
+    return root;
   }
 
-  function loadFromFile(file) {
+  function loadFromFile(file, options = ImportEngine.getImportOptions(file.name)) {
     const url = URL.createObjectURL(file);
-    loader.load(url, (gltf) => {
-      _addToScene(gltf, file);
+    loader().load(url, (gltf) => {
+      _addToScene(gltf, file, options);
       try { URL.revokeObjectURL(url); } catch (e) {}
     }, null, (err) => {
       console.error("GLTF load error", err);
@@ -96,7 +86,6 @@ export function initGLBImporter({ scene, domElement, onLoad = () => {} } = {}) {
   function dispose() {
     disableDragDrop();
     clearActiveModel();
-    try { loader.manager?.dispose && loader.manager.dispose(); } catch (e) {}
   }
 
   return { loadFromURL, loadFromFile, enableDragDrop, disableDragDrop, dispose, getActiveModel: () => activeModel };
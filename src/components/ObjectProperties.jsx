@@ -1,13 +1,14 @@
 // src/components/ObjectProperties.jsx
 import React, { useCallback, useEffect, useRef, useState } from "react";
 import * as THREE from "three";
-import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader";
+import { ImportEngine } from "../engine/ImportEngine";
+import AssetStore from "../store/AssetStore";
+import EventBus from "../utils/EventBus";
 import "../styles/ObjectProperties.css"; // keep your CSS import
 
 /* constants & helpers */
 const CLIP_KEY = "objekta_transform_clipboard_v3";
 const MAT_CLIP_KEY = "objekta_material_clipboard_v1";
-const PRESET_PREFIX = "objekta_mat_preset_";
 const ACCENT = "#7f5af0";
 
 const MAP_SLOTS = [
@@ -19,6 +20,22 @@ const MAP_SLOTS = [
   { key: "aoMap", label: "AO Map" },
 ];
 
+// material preset thumbnail (rendered by AssetStore/ThumbnailRenderer); click applies it
+function PresetSwatch({ preset, onApply }) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!preset.thumbnail) { setUrl(null); return undefined; }
+    const u = URL.createObjectURL(preset.thumbnail);
+    setUrl(u);
+    return () => { try { URL.revokeObjectURL(u); } catch (e) {} };
+  }, [preset.thumbnail]);
+  return (
+    <button type="button" className="op-preset-swatch" title={`Apply ${preset.name}`} onClick={onApply}>
+      {url ? <img src={url} alt={preset.name} /> : <span>{preset.name.slice(0, 2)}</span>}
+    </button>
+  );
+}
+
 const clamp = (v, a = 0, b = 255) => Math.min(Math.max(v, a), b);
 
 function hexToRgb(hex) {
@@ -88,6 +105,8 @@ function hslToRgb(h, s, l) {
  *  - selected: THREE.Object3D (mesh / group)
  *  - onTransformChange(prop, axis, value) -> called with applied numeric values
  *  - onMaterialChange(patch)
+ *  - onMaterialEdit(label, mutate)  // optional: host runs mutate() and records it in its undo history
+ *  - onEditBegin(label), onEditEnd()  // optional: bracket a scrub/slider drag so the host records one undo step
  *  - onApplyTexture(file, slotKey), onApplyGLB(file), onRemoveTexture(slotKey)
  *  - onVisibilityToggle(visible), onDelete(), onRename(name)
  *  - onLightChange(payload)  // optional: receives { type, color, intensity, position, target... }
@@ -96,6 +115,9 @@ export default function ObjectPropertiesTexture({
   selected,
   onTransformChange,
   onMaterialChange,
+  onMaterialEdit,
+  onEditBegin,
+  onEditEnd,
   onApplyTexture,
   onApplyGLB,
   onRemoveTexture,
@@ -135,7 +157,6 @@ export default function ObjectPropertiesTexture({
 
   // loaders & misc
   const textureLoaderRef = useRef(null);
-  const gltfLoaderRef = useRef(null);
   const mountedRef = useRef(true);
   const pendingRef = useRef({ position: {}, rotation: {}, scale: {} });
   const flushTimerRef = useRef(null);
@@ -183,8 +204,7 @@ export default function ObjectPropertiesTexture({
   // init loaders
   useEffect(() => {
     try { textureLoaderRef.current = new THREE.TextureLoader(); } catch (e) { textureLoaderRef.current = null; }
-    try { gltfLoaderRef.current = new GLTFLoader(); } catch (e) { gltfLoaderRef.current = null; }
-    return () => { textureLoaderRef.current = null; gltfLoaderRef.current = null; };
+    return () => { textureLoaderRef.current = null; };
   }, []);
 
   // --- sync when selected changes (populate UI from selected) ---
@@ -409,9 +429,14 @@ export default function ObjectPropertiesTexture({
   }, [uniformScale, queueTransform, toNum]);
 
   // --- MATERIAL helpers (kept largely same with small safety tweaks) ---
+  const recordMaterial = useCallback((label, fn) => {
+    if (typeof onMaterialEdit === 'function') onMaterialEdit(label, fn);
+    else fn();
+  }, [onMaterialEdit]);
+
   const applyMaterialPatch = useCallback((patch = {}) => {
     try {
-      selected?.traverse((n) => {
+      recordMaterial('material', () => selected?.traverse((n) => {
         if (n.isMesh && n.material) {
           const mats = Array.isArray(n.material) ? n.material : [n.material];
           mats.forEach((m) => {
@@ -428,20 +453,63 @@ export default function ObjectPropertiesTexture({
             } catch (e) {}
           });
         }
-      });
+      }));
     } catch (e) {}
 
     try { if (typeof onMaterialChange === 'function') onMaterialChange({ hex, roughness, metalness, opacity, emissiveHex, emissiveIntensity, normalScale, aoIntensity, ...patch }); } catch (e) {}
-  }, [selected, onMaterialChange, hex, roughness, metalness, opacity, emissiveHex, emissiveIntensity, normalScale, aoIntensity]);
+  }, [selected, recordMaterial, onMaterialChange, hex, roughness, metalness, opacity, emissiveHex, emissiveIntensity, normalScale, aoIntensity]);
 
+  const pendingMaterialPatchRef = useRef(null);
   const scheduleMaterialApply = useCallback((patch = {}) => {
     if (materialTimerRef.current) clearTimeout(materialTimerRef.current);
+    pendingMaterialPatchRef.current = patch;
     materialTimerRef.current = setTimeout(() => {
       materialTimerRef.current = null;
+      pendingMaterialPatchRef.current = null;
       applyMaterialPatch(patch);
     }, 120);
   }, [applyMaterialPatch]);
 
+  // --- scrub brackets: flush queued edits before the host closes its undo step ---
+  const beginEdit = useCallback((label) => {
+    if (typeof onEditBegin === 'function') onEditBegin(label);
+  }, [onEditBegin]);
+
+  const endEdit = useCallback(() => {
+    if (flushTimerRef.current) { clearTimeout(flushTimerRef.current); flushTimerRef.current = null; }
+    try { flushPending(); } catch (e) {}
+    if (materialTimerRef.current) {
+      clearTimeout(materialTimerRef.current);
+      materialTimerRef.current = null;
+      const patch = pendingMaterialPatchRef.current;
+      pendingMaterialPatchRef.current = null;
+      if (patch) applyMaterialPatch(patch);
+    }
+    if (typeof onEditEnd === 'function') onEditEnd();
+  }, [onEditEnd, flushPending, applyMaterialPatch]);
+
+  // the bracket closes on whichever ends the scrub first (pointerup, a cancelled touch, lost capture, blur)
+  // and only once, so a missed pointerup can't leave the host's undo step open
+  const scrubOpenRef = useRef(false);
+  const scrubProps = (label) => {
+    const close = () => {
+      if (!scrubOpenRef.current) return;
+      scrubOpenRef.current = false;
+      endEdit();
+    };
+    return {
+      onPointerDown: () => {
+        if (scrubOpenRef.current) return;
+        scrubOpenRef.current = true;
+        beginEdit(label);
+      },
+      onPointerUp: close,
+      onPointerCancel: close,
+      onLostPointerCapture: close,
+      onBlur: close,
+    };
+  };
+
   // snapshots undo/redo
   const snapshotMaterialState = useCallback((label = 'mat-edit') => {
     try {
@@ -575,7 +643,7 @@ export default function ObjectPropertiesTexture({
             mapsRef.current = { ...(mapsRef.current || {}), [slotKey]: { ...entry, texture: tex } };
 
             // apply to selected materials
-            selected?.traverse((n) => {
+            recordMaterial('material-map', () => selected?.traverse((n) => {
               if (n.isMesh && n.material) {
                 const mats = Array.isArray(n.material) ? n.material : [n.material];
                 mats.forEach((m) => {
@@ -588,7 +656,7 @@ export default function ObjectPropertiesTexture({
                   } catch (e) {}
                 });
               }
-            });
+            }));
 
             setMapVersion(v => v + 1);
             if (typeof onMaterialChange === 'function') onMaterialChange({ texture: true });
@@ -606,7 +674,7 @@ export default function ObjectPropertiesTexture({
     } catch (e) {
       try { if (entry.file) URL.revokeObjectURL(url); } catch (e) {}
     }
-  }, [onApplyTexture, selected, snapshotMaterialState, normalScale, onMaterialChange]);
+  }, [onApplyTexture, selected, snapshotMaterialState, normalScale, onMaterialChange, recordMaterial]);
 
   const revokeBlobIfNeeded = (url, slotKey) => {
     try {
@@ -622,19 +690,20 @@ export default function ObjectPropertiesTexture({
     if (!entry) return;
     try {
       if (typeof onRemoveTexture === 'function') onRemoveTexture(slotKey);
-      if (entry.texture) { try { entry.texture.dispose?.(); } catch (e) {} }
-      selected?.traverse((n) => {
+      // keep the texture alive when the host can undo the removal
+      if (entry.texture && typeof onMaterialEdit !== 'function') { try { entry.texture.dispose?.(); } catch (e) {} }
+      recordMaterial('material-map', () => selected?.traverse((n) => {
         if (n.isMesh && n.material) {
           const mats = Array.isArray(n.material) ? n.material : [n.material];
           mats.forEach((m) => { try { m[slotKey] = null; m.needsUpdate = true; } catch (e) {} });
         }
-      });
+      }));
     } catch (e) {}
     try { if (entry && entry.file && entry.url) URL.revokeObjectURL(entry.url); } catch (e) {}
     delete mapsRef.current[slotKey];
     setMapVersion(v => v + 1);
     if (typeof onMaterialChange === 'function') onMaterialChange({ texture: false });
-  }, [onRemoveTexture, selected, snapshotMaterialState, onMaterialChange]);
+  }, [onRemoveTexture, selected, snapshotMaterialState, onMaterialChange, onMaterialEdit, recordMaterial]);
 
   const updateMapSettings = useCallback((slotKey, patch) => {
     if (!slotKey) return;
@@ -680,7 +749,7 @@ export default function ObjectPropertiesTexture({
     if (!file) return;
     if (typeof onApplyGLB === 'function') { try { onApplyGLB(file); } catch (e) {} return; }
     const url = URL.createObjectURL(file);
-    const loader = gltfLoaderRef.current;
+    const loader = ImportEngine.gltfLoader(); // shared, with Draco/KTX2
     if (!loader) { URL.revokeObjectURL(url); return; }
     try {
       loader.load(url, (gltf) => {
@@ -730,13 +799,16 @@ export default function ObjectPropertiesTexture({
   useEffect(() => {
     const onKey = (e) => {
       const meta = e.ctrlKey || e.metaKey;
-      if (meta && e.key.toLowerCase() === "z") { e.preventDefault(); matUndo(); }
-      if (meta && (e.key.toLowerCase() === "y" || (e.shiftKey && e.key.toLowerCase() === "z"))) { e.preventDefault(); matRedo(); }
+      // with a host history, Ctrl+Z/Y belong to the host
+      if (typeof onMaterialEdit !== 'function') {
+        if (meta && e.key.toLowerCase() === "z") { e.preventDefault(); matUndo(); }
+        if (meta && (e.key.toLowerCase() === "y" || (e.shiftKey && e.key.toLowerCase() === "z"))) { e.preventDefault(); matRedo(); }
+      }
       if (e.key === "Escape" && previewUrl) { setPreviewUrl(null); }
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [matUndo, matRedo, previewUrl]);
+  }, [matUndo, matRedo, previewUrl, onMaterialEdit]);
 
   // cleanup on unmount
   useEffect(() => {
@@ -751,16 +823,21 @@ export default function ObjectPropertiesTexture({
     };
   }, []);
 
-  // Presets: load/save/delete
-  const loadPresets = useCallback(() => {
+  // Presets: material assets in the library (AssetStore); load/save/delete
+  const loadPresets = useCallback(async () => {
     try {
-      const keys = Object.keys(localStorage).filter(k => k.startsWith(PRESET_PREFIX));
-      setPresetList(keys.map(k => ({ key: k, name: k.replace(PRESET_PREFIX, "") })));
+      const assets = await AssetStore.list({ type: "material" });
+      if (mountedRef.current) setPresetList(assets.map(a => ({ key: a.id, name: a.name, thumbnail: a.thumbnail })));
     } catch (e) {}
   }, []);
-  useEffect(() => { loadPresets(); }, [loadPresets]);
+  useEffect(() => {
+    loadPresets();
+    const onChanged = () => loadPresets();
+    EventBus.on("assets:changed", onChanged);
+    return () => EventBus.off("assets:changed", onChanged);
+  }, [loadPresets]);
 
-  const savePreset = (name) => {
+  const savePreset = async (name) => {
     try {
       if (!name || !name.trim()) name = `preset-${Date.now()}`;
       const payload = {
@@ -768,16 +845,17 @@ export default function ObjectPropertiesTexture({
         invertRoughness, invertMetalness,
         maps: JSON.parse(JSON.stringify(Object.fromEntries(Object.entries(mapsRef.current || {}).map(([k,v])=>[k,{url:v?.url,settings:v.settings}]))))
       };
-      localStorage.setItem(PRESET_PREFIX + name, JSON.stringify(payload));
-      loadPresets();
-    } catch (e) {}
+      // same name overwrites, as the localStorage presets did
+      const existing = presetList.find(p => p.name === name.trim());
+      if (existing) await AssetStore.update(existing.key, { data: payload });
+      else await AssetStore.add({ type: "material", name, tags: ["preset"], data: payload });
+    } catch (e) { console.warn("savePreset failed", e); }
   };
 
-  const applyPreset = (key) => {
+  const applyPreset = async (key) => {
     try {
-      const s = localStorage.getItem(key);
-      if (!s) return;
-      const p = JSON.parse(s);
+      const p = (await AssetStore.get(key))?.data;
+      if (!p) return;
       if (p.hex) { setHex(p.hex); const rgbv = hexToRgb(p.hex); setRgb(rgbv); setHsl(rgbToHsl(rgbv.r, rgbv.g, rgbv.b)); }
       if (typeof p.roughness === 'number') setRoughness(p.roughness);
       if (typeof p.metalness === 'number') setMetalness(p.metalness);
@@ -793,7 +871,7 @@ export default function ObjectPropertiesTexture({
   };
 
   const deletePreset = (key) => {
-    try { localStorage.removeItem(key); loadPresets(); } catch (e) {}
+    AssetStore.remove(key).catch(() => {});
   };
 
   // reset & revert helpers
@@ -852,7 +930,7 @@ export default function ObjectPropertiesTexture({
   const closePreview = () => { setPreviewUrl(null); };
 
   // ----- ENHANCED Numeric input with wheel + drag support -----
-  const Numeric = ({ value, onChange, step = 0.1, min, max, ariaLabel }) => {
+  const Numeric = ({ value, onChange, step = 0.1, min, max, ariaLabel, onScrubStart, onScrubEnd }) => {
     const dragRef = useRef({ active: false, startY: 0, startVal: 0 });
     const inputRef = useRef(null);
 
@@ -891,6 +969,7 @@ export default function ObjectPropertiesTexture({
       dragRef.current.startY = e.clientY;
       dragRef.current.startVal = Number(value || 0);
       document.body.style.cursor = "ns-resize";
+      onScrubStart && onScrubStart();
 
       const onMove = (ev) => {
         if (!dragRef.current.active) return;
@@ -906,6 +985,7 @@ export default function ObjectPropertiesTexture({
         document.body.style.cursor = "";
         window.removeEventListener("mousemove", onMove);
         window.removeEventListener("mouseup", onUp);
+        onScrubEnd && onScrubEnd();
       };
 
       window.addEventListener("mousemove", onMove);
@@ -918,6 +998,7 @@ export default function ObjectPropertiesTexture({
       dragRef.current.active = true;
       dragRef.current.startY = e.touches[0].clientY;
       dragRef.current.startVal = Number(value || 0);
+      onScrubStart && onScrubStart();
       const onTouchMove = (ev) => {
         if (!dragRef.current.active) return;
         const dy = ev.touches[0].clientY - dragRef.current.startY;
@@ -929,6 +1010,7 @@ export default function ObjectPropertiesTexture({
         dragRef.current.active = false;
         window.removeEventListener("touchmove", onTouchMove);
         window.removeEventListener("touchend", onTouchEnd);
+        onScrubEnd && onScrubEnd();
       };
       window.addEventListener("touchmove", onTouchMove, { passive: true });
       window.addEventListener("touchend", onTouchEnd);
@@ -1085,24 +1167,24 @@ export default function ObjectPropertiesTexture({
             <div className="op-transform-left">
               <div className="op-transform-row">
                 <label className="op-transform-label">Pos</label>
-                <Numeric value={position.x} onChange={handleInputChange('position','x')} />
-                <Numeric value={position.y} onChange={handleInputChange('position','y')} />
-                <Numeric value={position.z} onChange={handleInputChange('position','z')} />
+                <Numeric value={position.x} onChange={handleInputChange('position','x')} onScrubStart={() => beginEdit('transform')} onScrubEnd={endEdit} />
+                <Numeric value={position.y} onChange={handleInputChange('position','y')} onScrubStart={() => beginEdit('transform')} onScrubEnd={endEdit} />
+                <Numeric value={position.z} onChange={handleInputChange('position','z')} onScrubStart={() => beginEdit('transform')} onScrubEnd={endEdit} />
               </div>
 
               <div className="op-transform-row">
                 <label className="op-transform-label">Rot</label>
-                <Numeric value={rotation.x} onChange={handleInputChange('rotation','x')} />
-                <Numeric value={rotation.y} onChange={handleInputChange('rotation','y')} />
-                <Numeric value={rotation.z} onChange={handleInputChange('rotation','z')} />
+                <Numeric value={rotation.x} onChange={handleInputChange('rotation','x')} onScrubStart={() => beginEdit('transform')} onScrubEnd={endEdit} />
+                <Numeric value={rotation.y} onChange={handleInputChange('rotation','y')} onScrubStart={() => beginEdit('transform')} onScrubEnd={endEdit} />
+                <Numeric value={rotation.z} onChange={handleInputChange('rotation','z')} onScrubStart={() => beginEdit('transform')} onScrubEnd={endEdit} />
                 <label className="op-inline-checkbox"><input type="checkbox" checked={useDegrees} onChange={(e) => setUseDegrees(e.target.checked)} />deg</label>
               </div>
 
               <div className="op-transform-row">
                 <label className="op-transform-label">Scl</label>
-                <Numeric value={scale.x} onChange={handleInputChange('scale','x')} />
-                <Numeric value={scale.y} onChange={handleInputChange('scale','y')} />
-                <Numeric value={scale.z} onChange={handleInputChange('scale','z')} />
+                <Numeric value={scale.x} onChange={handleInputChange('scale','x')} onScrubStart={() => beginEdit('transform')} onScrubEnd={endEdit} />
+                <Numeric value={scale.y} onChange={handleInputChange('scale','y')} onScrubStart={() => beginEdit('transform')} onScrubEnd={endEdit} />
+                <Numeric value={scale.z} onChange={handleInputChange('scale','z')} onScrubStart={() => beginEdit('transform')} onScrubEnd={endEdit} />
                 <label className="op-inline-checkbox"><input type="checkbox" checked={uniformScale} onChange={(e) => setUniformScale(e.target.checked)} />uniform</label>
               </div>
             </div>
@@ -1151,33 +1233,33 @@ export default function ObjectPropertiesTexture({
 
             <div className="op-slider-block">
               <label>Roughness {roughness.toFixed(2)}</label>
-              <input className="op-range" type="range" min="0" max="1" step="0.01" value={roughness} onChange={(e) => { const r = Number(e.target.value); setRoughness(r); scheduleMaterialApply({ roughness: r, invertRoughness }); }} />
+              <input className="op-range" type="range" min="0" max="1" step="0.01" value={roughness} onChange={(e) => { const r = Number(e.target.value); setRoughness(r); scheduleMaterialApply({ roughness: r, invertRoughness }); }} {...scrubProps('material')} />
               <label className="op-inline-checkbox"><input type="checkbox" checked={invertRoughness} onChange={(e) => { setInvertRoughness(e.target.checked); scheduleMaterialApply({ invertRoughness: e.target.checked, roughness }); }} /> Invert Roughness</label>
             </div>
 
             <div className="op-slider-block">
               <label>Metalness {metalness.toFixed(2)}</label>
-              <input className="op-range" type="range" min="0" max="1" step="0.01" value={metalness} onChange={(e) => { const m = Number(e.target.value); setMetalness(m); scheduleMaterialApply({ metalness: m, invertMetalness }); }} />
+              <input className="op-range" type="range" min="0" max="1" step="0.01" value={metalness} onChange={(e) => { const m = Number(e.target.value); setMetalness(m); scheduleMaterialApply({ metalness: m, invertMetalness }); }} {...scrubProps('material')} />
               <label className="op-inline-checkbox"><input type="checkbox" checked={invertMetalness} onChange={(e) => { setInvertMetalness(e.target.checked); scheduleMaterialApply({ invertMetalness: e.target.checked, metalness }); }} /> Invert Metalness</label>
             </div>
 
             <div className="op-slider-block">
               <label>Opacity {opacity.toFixed(2)}</label>
-              <input className="op-range" type="range" min="0" max="1" step="0.01" value={opacity} onChange={(e) => { const o = Number(e.target.value); setOpacity(o); scheduleMaterialApply({ opacity: o }); }} />
+              <input className="op-range" type="range" min="0" max="1" step="0.01" value={opacity} onChange={(e) => { const o = Number(e.target.value); setOpacity(o); scheduleMaterialApply({ opacity: o }); }} {...scrubProps('material')} />
             </div>
 
             <div className="op-emissive-block">
               <label>Emissive</label>
               <input className="op-color-swatch small" type="color" value={emissiveHex} onChange={(e) => { setEmissiveHex(e.target.value); scheduleMaterialApply({ emissiveHex: e.target.value, emissiveIntensity }); }} />
               <label>Intensity {emissiveIntensity.toFixed(2)}</label>
-              <input className="op-range" type="range" min="0" max="5" step="0.01" value={emissiveIntensity} onChange={(e) => { const v = Number(e.target.value); setEmissiveIntensity(v); scheduleMaterialApply({ emissiveIntensity: v, emissiveHex }); }} />
+              <input className="op-range" type="range" min="0" max="5" step="0.01" value={emissiveIntensity} onChange={(e) => { const v = Number(e.target.value); setEmissiveIntensity(v); scheduleMaterialApply({ emissiveIntensity: v, emissiveHex }); }} {...scrubProps('material')} />
             </div>
 
             <div className="op-slider-block">
               <label>Normal Strength {normalScale.toFixed(2)}</label>
-              <input className="op-range" type="range" min="0" max="4" step="0.01" value={normalScale} onChange={(e) => { const v = Number(e.target.value); setNormalScale(v); scheduleMaterialApply({ normalScale: v }); }} />
+              <input className="op-range" type="range" min="0" max="4" step="0.01" value={normalScale} onChange={(e) => { const v = Number(e.target.value); setNormalScale(v); scheduleMaterialApply({ normalScale: v }); }} {...scrubProps('material')} />
               <label>AO Intensity {aoIntensity.toFixed(2)}</label>
-              <input className="op-range" type="range" min="0" max="2" step="0.01" value={aoIntensity} onChange={(e) => { const v = Number(e.target.value); setAoIntensity(v); scheduleMaterialApply({ aoIntensity: v }); }} />
+              <input className="op-range" type="range" min="0" max="2" step="0.01" value={aoIntensity} onChange={(e) => { const v = Number(e.target.value); setAoIntensity(v); scheduleMaterialApply({ aoIntensity: v }); }} {...scrubProps('material')} />
             </div>
           </div>
         )}
@@ -1219,6 +1301,11 @@ export default function ObjectPropertiesTexture({
           {presetList.map(p => <option key={p.key} value={p.key}>{p.name}</option>)}
         </select>
       </div>
+      {presetList.length > 0 && (
+        <div className="op-preset-swatches">
+          {presetList.map(p => <PresetSwatch key={p.key} preset={p} onApply={() => applyPreset(p.key)} />)}
+        </div>
+      )}
 
       {/* Textures */}
       <div className={`op-panel ${dragActive ? "op-drag-active" : ""}`}>
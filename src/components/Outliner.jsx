@@ -10,8 +10,8 @@ import "../styles/Outliner.css";
  *
  * Key features:
  * - Prefer workspaceRef (if provided) to fetch scene & objects.
- * - Listen to EventBus "scene:updated" and "object:selected" events.
- * - Build a hierarchical tree from the user-group children.
+ * - Subscribe to SceneGraphStore change batches and "selection:changed".
+ * - Build a hierarchical tree from SceneGraphStore (user-group children as fallback).
  * - Scroll selected item into view and support keyboard navigation.
  */
 
@@ -42,12 +42,15 @@ const disposeObjectSimple = (obj) => {
 const OutlinerItem = React.memo(function OutlinerItem({
   obj,
   depth = 0,
+  version = 0,
   selectedIds = [],
   dragOverId = null,
   onSelect,
   onRename,
   onDelete,
   onToggleVisibility,
+  onToggleLock,
+  onToggleSelectable,
   onDropItem,
   onDragEnter,
   onDragLeave,
@@ -59,9 +62,17 @@ const OutlinerItem = React.memo(function OutlinerItem({
 
   useEffect(() => { setName(obj?.name || ""); }, [obj?.name]);
 
-  const children = useMemo(() => (Array.isArray(obj?.children) ? obj.children.filter((c) => isUserObject(c)) : []), [obj]);
+  const children = useMemo(() => {
+    if (SceneGraphStore.getEntry?.(obj?.uuid)) {
+      return SceneGraphStore.getChildren(obj.uuid).map((id) => SceneGraphStore.getObject(id)).filter(Boolean);
+    }
+    return Array.isArray(obj?.children) ? obj.children.filter((c) => isUserObject(c)) : [];
+  }, [obj, version]);
   const hasChildren = children.length > 0;
   const isSelected = selectedIds.includes(obj?.uuid);
+  const entry = SceneGraphStore.getEntry?.(obj?.uuid);
+  const locked = !!entry?.locked;
+  const selectable = entry ? entry.selectable !== false : true;
   const isDragOver = dragOverId === obj?.uuid;
 
   // Scroll into view when selected
@@ -163,7 +174,13 @@ const OutlinerItem = React.memo(function OutlinerItem({
 
         <button type="button" className="icon-btn" title="Rename (F2)" onClick={(e) => { e.stopPropagation(); setEditing(true); }}>✎</button>
         <button type="button" className="icon-btn" title={obj?.visible ? "Hide" : "Show"} onClick={(e) => { e.stopPropagation(); onToggleVisibility?.(obj); }} aria-pressed={!!obj?.visible}>{obj?.visible ? '👁' : '🚫'}</button>
-        <button type="button" className="icon-btn" title="Delete" onClick={(e) => { e.stopPropagation(); if (confirm(`Delete '${obj?.name || obj?.type}'?`)) onDelete?.(obj); }}>🗑</button>
+        {entry && (
+          <>
+            <button type="button" className="icon-btn" title={locked ? "Unlock" : "Lock (no transform/delete)"} onClick={(e) => { e.stopPropagation(); onToggleLock?.(obj); }} aria-pressed={locked}>{locked ? '🔒' : '🔓'}</button>
+            <button type="button" className="icon-btn" title={selectable ? "Make unselectable (clicks pass through)" : "Make selectable"} onClick={(e) => { e.stopPropagation(); onToggleSelectable?.(obj); }} aria-pressed={!selectable}>{selectable ? '➚' : '⊘'}</button>
+          </>
+        )}
+        <button type="button" className="icon-btn" title={locked ? "Locked" : "Delete"} disabled={locked} onClick={(e) => { e.stopPropagation(); if (confirm(`Delete '${obj?.name || obj?.type}'?`)) onDelete?.(obj); }}>🗑</button>
       </div>
 
       {hasChildren && open && (
@@ -173,12 +190,15 @@ const OutlinerItem = React.memo(function OutlinerItem({
               key={c.uuid}
               obj={c}
               depth={depth + 1}
+              version={version}
               selectedIds={selectedIds}
               dragOverId={dragOverId}
               onSelect={onSelect}
               onRename={onRename}
               onDelete={onDelete}
               onToggleVisibility={onToggleVisibility}
+              onToggleLock={onToggleLock}
+              onToggleSelectable={onToggleSelectable}
               onDropItem={onDropItem}
               onDragEnter={onDragEnter}
               onDragLeave={onDragLeave}
@@ -196,15 +216,15 @@ export default function Outliner({ workspaceRef = null, onSelect: onSelectProp =
   const [selectedId, setSelectedId] = useState(null);
   const [filter, setFilter] = useState("");
   const [dragOverId, setDragOverId] = useState(null);
+  const [version, setVersion] = useState(0);
   const mountedRef = useRef(true);
 
   // Build tree from scene / store / workspace
   const buildTree = useCallback(() => {
     try {
-      // prefer SceneGraphStore.getObjects if available (flattened)
-      if (SceneGraphStore && typeof SceneGraphStore.getObjects === "function") {
-        const objs = SceneGraphStore.getObjects() || [];
-        if (Array.isArray(objs)) return objs.filter((o) => isUserObject(o));
+      // prefer the store hierarchy (top-level objects, already in sibling order)
+      if (SceneGraphStore && typeof SceneGraphStore.getRootIds === "function" && SceneGraphStore.getRootIds().length) {
+        return { ordered: true, list: SceneGraphStore.getRootIds().map((id) => SceneGraphStore.getObject(id)).filter((o) => isUserObject(o)) };
       }
 
       // prefer workspaceRef / global workspace
@@ -236,19 +256,16 @@ export default function Outliner({ workspaceRef = null, onSelect: onSelectProp =
   const refresh = useCallback(() => {
     if (!mountedRef.current) return;
     try {
-      const list = buildTree();
-      list.sort((a, b) => String((a.name || a.type || "")).localeCompare(String((b.name || b.type || ""))));
+      const tree = buildTree();
+      const list = Array.isArray(tree) ? tree : tree.list;
+      if (Array.isArray(tree)) list.sort((a, b) => String((a.name || a.type || "")).localeCompare(String((b.name || b.type || ""))));
       setItems(list);
+      setVersion(SceneGraphStore?.version ?? 0);
 
       // update selection from store if provided
       try {
-        if (SceneGraphStore && typeof SceneGraphStore.getSelected === "function") {
-          const sel = SceneGraphStore.getSelected();
-          if (sel) { setSelectedId(sel); setSelectedIds([sel]); }
-        } else if (SceneGraphStore && typeof SceneGraphStore.selected !== "undefined") {
-          const sel = SceneGraphStore.selected || null;
-          if (sel) { setSelectedId(sel); setSelectedIds([sel]); }
-        }
+        const ids = SceneGraphStore?.getSelectedIds?.() || [];
+        if (ids.length) { setSelectedId(ids[0]); setSelectedIds(ids); }
       } catch (e) {}
     } catch (e) {
       console.warn("Outliner: refresh failed", e);
@@ -259,15 +276,16 @@ export default function Outliner({ workspaceRef = null, onSelect: onSelectProp =
     mountedRef.current = true;
     refresh();
 
-    const onSceneUpdated = () => refresh();
-    const onObjectSelected = (payload) => {
-      const id = typeof payload === "string" ? payload : payload?.id ?? payload?.uuid ?? payload;
-      if (!id) return;
-      setSelectedIds([id]); setSelectedId(id);
+    // only structural/name/visibility changes need a rebuild; transforms and materials don't
+    const onStoreChanged = (events) => {
+      if (events.some((e) => e.type !== "object:changed" || e.changes.some((c) => c === "name" || c === "visible" || c === "locked" || c === "selectable"))) refresh();
+    };
+    const onSelectionChanged = ({ selected = [] } = {}) => {
+      setSelectedIds(selected); setSelectedId(selected[0] || null);
     };
 
-    try { EventBus?.on?.("scene:updated", onSceneUpdated); } catch (e) {}
-    try { EventBus?.on?.("object:selected", onObjectSelected); } catch (e) {}
+    const unsubscribe = SceneGraphStore.subscribe(onStoreChanged);
+    try { EventBus?.on?.("selection:changed", onSelectionChanged); } catch (e) {}
 
     // If the host workspace doesn't emit events often, ensure periodic refresh as a fallback
     const iv = setInterval(() => {
@@ -276,8 +294,8 @@ export default function Outliner({ workspaceRef = null, onSelect: onSelectProp =
 
     return () => {
       mountedRef.current = false;
-      try { EventBus?.off?.("scene:updated", onSceneUpdated); } catch (e) {}
-      try { EventBus?.off?.("object:selected", onObjectSelected); } catch (e) {}
+      unsubscribe();
+      try { EventBus?.off?.("selection:changed", onSelectionChanged); } catch (e) {}
       clearInterval(iv);
     };
   }, [refresh]);
@@ -317,27 +335,20 @@ export default function Outliner({ workspaceRef = null, onSelect: onSelectProp =
     if (!obj) return;
     const id = obj.uuid;
     const multi = !!opts.multi;
-    setSelectedId(id);
-    setSelectedIds((prev) => {
-      if (multi) {
-        const exists = prev.includes(id);
-        const next = exists ? prev.filter((x) => x !== id) : [...prev, id];
-        try { EventBus?.emit?.('objects:selected', next); } catch (e) {}
-        return next;
-      }
-      try { EventBus?.emit?.('object:selected', id); } catch (e) {}
-      try { EventBus?.emit?.('objects:selected', [id]); } catch (e) {}
-      return [id];
-    });
 
-    // store selection if API is present
+    // store selection drives the highlighted rows (see "selection:changed")
     try {
-      if (SceneGraphStore && typeof SceneGraphStore.selectObject === "function") SceneGraphStore.selectObject(id);
-      else if (SceneGraphStore && typeof SceneGraphStore.setSelected === "function") SceneGraphStore.setSelected(id);
+      if (SceneGraphStore.getEntry?.(id)) {
+        if (multi) SceneGraphStore.toggleObjectSelection(id);
+        else SceneGraphStore.selectObject(id);
+      } else {
+        setSelectedId(id);
+        setSelectedIds((prev) => (multi ? (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]) : [id]));
+      }
     } catch (e) {}
 
-    // try workspace selection API
-    try { if (workspaceRef && workspaceRef.current && typeof workspaceRef.current.selectObject === "function") workspaceRef.current.selectObject(obj); } catch (e) {}
+    // try workspace selection API (single selection only; it would reset a multi-selection)
+    try { if (!multi && workspaceRef && workspaceRef.current && typeof workspaceRef.current.selectObject === "function") workspaceRef.current.selectObject(obj); } catch (e) {}
     try { onSelectProp?.(obj); } catch (e) {}
   }, [workspaceRef, onSelectProp]);
 
@@ -346,7 +357,6 @@ export default function Outliner({ workspaceRef = null, onSelect: onSelectProp =
     try {
       if (SceneGraphStore && typeof SceneGraphStore.renameObject === "function") {
         SceneGraphStore.renameObject(obj.uuid, newName);
-        EventBus?.emit?.('scene:updated');
         return;
       }
     } catch (e) {}
@@ -355,10 +365,10 @@ export default function Outliner({ workspaceRef = null, onSelect: onSelectProp =
 
   const handleDelete = useCallback((obj) => {
     if (!obj) return;
+    if (SceneGraphStore.getEntry?.(obj.uuid) && SceneGraphStore.isLocked(obj.uuid)) return;
     try {
       if (SceneGraphStore && typeof SceneGraphStore.removeObject === "function") {
         SceneGraphStore.removeObject(obj.uuid);
-        EventBus?.emit?.('scene:updated');
         return;
       }
     } catch (e) {}
@@ -377,17 +387,35 @@ export default function Outliner({ workspaceRef = null, onSelect: onSelectProp =
 
   const handleToggleVisibility = useCallback((obj) => {
     if (!obj) return;
-    try { obj.visible = !obj.visible; EventBus?.emit?.('scene:updated'); } catch (e) { console.warn('Outliner: toggle visibility failed', e); }
+    try {
+      if (SceneGraphStore?.getEntry?.(obj.uuid)) { SceneGraphStore.setVisibility(obj.uuid, !obj.visible); return; }
+      obj.visible = !obj.visible; EventBus?.emit?.('scene:updated');
+    } catch (e) { console.warn('Outliner: toggle visibility failed', e); }
   }, []);
 
+  // lock / selectable go through the workspace when present so they land in undo history
+  const handleToggleLock = useCallback((obj) => {
+    const entry = SceneGraphStore.getEntry?.(obj?.uuid);
+    if (!entry) return;
+    const ws = workspaceRef?.current ?? window.__OBJEKTA_WORKSPACE ?? null;
+    if (typeof ws?.setObjectLocked === "function") ws.setObjectLocked(obj, !entry.locked);
+    else SceneGraphStore.setLocked(obj.uuid, !entry.locked);
+  }, [workspaceRef]);
+
+  const handleToggleSelectable = useCallback((obj) => {
+    const entry = SceneGraphStore.getEntry?.(obj?.uuid);
+    if (!entry) return;
+    const ws = workspaceRef?.current ?? window.__OBJEKTA_WORKSPACE ?? null;
+    if (typeof ws?.setObjectSelectable === "function") ws.setObjectSelectable(obj, !entry.selectable);
+    else SceneGraphStore.setSelectable(obj.uuid, !entry.selectable);
+  }, [workspaceRef]);
+
   const handleDropItem = useCallback((draggedId, targetId) => {
     if (!draggedId) return;
     try {
       if (SceneGraphStore && typeof SceneGraphStore.reparentObject === 'function') {
         SceneGraphStore.reparentObject(draggedId, targetId || null);
-        EventBus?.emit?.('scene:updated');
         setDragOverId(null);
-        refresh();
         return;
       }
     } catch (e) {}
@@ -446,12 +474,15 @@ export default function Outliner({ workspaceRef = null, onSelect: onSelectProp =
             key={it.uuid}
             obj={it}
             depth={0}
+            version={version}
             selectedIds={selectedIds}
             dragOverId={dragOverId}
             onSelect={handleSelect}
             onRename={handleRename}
             onDelete={(o) => { if (confirm(`Delete '${o.name || o.type}'?`)) handleDelete(o); }}
             onToggleVisibility={handleToggleVisibility}
+            onToggleLock={handleToggleLock}
+            onToggleSelectable={handleToggleSelectable}
             onDropItem={handleDropItem}
             onDragEnter={handleDragEnter}
             onDragLeave={handleDragLeave}
@@ -5,17 +5,31 @@ import * as THREE from "three";
 // three/examples imports MUST include .js for Vite
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
-import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
-import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
-import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
 import { RGBELoader } from "three/examples/jsm/loaders/RGBELoader.js";
-import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
 import { acceleratedRaycast, computeBoundsTree, disposeBoundsTree } from "three-mesh-bvh";
 
 import { useDrop } from "react-dnd";
 import { PALETTE_TYPE } from "./Palette";
 import EventBus from "../utils/EventBus";
 import { SceneGraphStore } from "../store/SceneGraphStore";
+import AssetStore, { applyMaterialPreset } from "../store/AssetStore";
+import AutosaveStore from "../store/AutosaveStore";
+import useSceneGraph from "../store/useSceneGraph";
+import { HistoryEngine } from "../engine/HistoryEngine";
+import { ImportEngine, createURLResolver } from "../engine/ImportEngine";
+import { ExportEngine, DEFAULT_EXPORT_OPTIONS } from "../engine/ExportEngine";
+import { ThumbnailRenderer } from "../engine/ThumbnailRenderer";
+import AddObjectCommand from "../engine/commands/AddObjectCommand";
+import RemoveObjectCommand from "../engine/commands/RemoveObjectCommand";
+import SetPropertyCommand from "../engine/commands/SetPropertyCommand";
+import MaterialCommand, { captureMaterialState, sameMaterialState } from "../engine/commands/MaterialCommand";
+import SculptCommand from "../engine/commands/SculptCommand";
+import TransformCommand from "../engine/commands/TransformCommand";
+import ObjectFlagCommand from "../engine/commands/ObjectFlagCommand";
+import CollectionCommand from "../engine/commands/CollectionCommand";
+import SelectionSetCommand from "../engine/commands/SelectionSetCommand";
+import { validateScene } from "../utils/validator";
+import { SCENE_VERSION, migrateScene, checkScene, formatSceneReport } from "../engine/SceneSchema";
 
 import initCameraControls from "../components/CameraControls";
 import setupEnvironment from "../components/EnvironmentSetup";
@@ -25,8 +39,28 @@ import createMaterialEditor from "../components/MaterialEditor";
 import setupPostProcessing from "../components/PostProcessing";
 
 const HISTORY_LIMIT = 200;
-const HISTORY_DEBOUNCE_MS = 600;
-const AUTOSAVE_KEY = "objekta_autosave_v1";
+const AUTOSAVE_INTERVAL_MS = 60000;
+const HIDDEN_COLLECTION_LAYER = 31; // camera + raycaster only see layer 0
+
+// Store id of an object, or of its nearest registered ancestor (meshes inside imports)
+function storeIdFor(obj) {
+  for (let n = obj; n; n = n.parent) {
+    if (SceneGraphStore.objects[n.uuid]) return n.uuid;
+  }
+  return null;
+}
+
+// Locked objects can be selected but not transformed, deleted, duplicated or sculpted
+function isObjectLocked(obj) {
+  const id = storeIdFor(obj);
+  return !!id && SceneGraphStore.isLocked(id);
+}
+
+// Unselectable objects are skipped by picking (clicks pass through to what's behind)
+function isObjectSelectable(obj) {
+  const id = storeIdFor(obj);
+  return !id || SceneGraphStore.isSelectable(id);
+}
 
 const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTopOffset = 12, onSceneChange }, ref) => {
   const containerRef = useRef(null);
@@ -66,49 +100,19 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
   const sceneVersionRef = useRef(0);
   const bumpSceneVersion = (why) => {
     sceneVersionRef.current++;
-    try { if (typeof onSceneChange === "function") onSceneChange(sceneVersionRef.current); } catch (e) {}
-    try { EventBus?.emit?.("scene:updated", { version: sceneVersionRef.current, why }); } catch (e) {}
+    try { if (typeof onSceneChange === "function") onSceneChange(sceneVersionRef.current, why); } catch (e) {}
   };
 
-  // History / undo
-  const snapshotHistoryRef = useRef([]);
-  const snapshotHistoryIndexRef = useRef(-1);
-
-  class Cmd {
-    constructor(redoFn, undoFn, label = "") {
-      this.redo = redoFn;
-      this.undo = undoFn;
-      this.label = label;
-    }
-  }
-  class HistoryManager {
-    constructor(limit = HISTORY_LIMIT) {
-      this.limit = limit;
-      this.stack = [];
-      this.index = -1;
-    }
-    push(cmd) {
-      this.stack.splice(this.index + 1);
-      this.stack.push(cmd);
-      if (this.stack.length > this.limit) this.stack.shift();
-      this.index = this.stack.length - 1;
-    }
-    undo() {
-      if (this.index < 0) return;
-      try { this.stack[this.index].undo(); } catch (e) { console.warn("Undo failed", e); }
-      this.index--;
-      bumpSceneVersion('undo');
-    }
-    redo() {
-      if (this.index >= this.stack.length - 1) return;
-      this.index++;
-      try { this.stack[this.index].redo(); } catch (e) { console.warn("Redo failed", e); }
-      bumpSceneVersion('redo');
-    }
-    clear() { this.stack = []; this.index = -1; }
-    get length() { return this.stack.length; }
-  }
-  const cmdHistoryRef = useRef(new HistoryManager(HISTORY_LIMIT));
+  // History / undo: every edit is a command on HistoryEngine's single stack.
+  // Commands call back through historyHooksRef so they always use the latest render's helpers.
+  const historyHooksRef = useRef({});
+  const objectCmdOptions = (label, extra = {}) => ({
+    label,
+    onAttach: (obj) => historyHooksRef.current.onAttach?.(obj),
+    onDetach: (obj) => historyHooksRef.current.onDetach?.(obj),
+    onDispose: (obj) => historyHooksRef.current.onDispose?.(obj),
+    ...extra,
+  });
 
   // BVH wiring
   try {
@@ -178,7 +182,7 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
   // sculpting
   const sculptStateRef = useRef({
     active: false, target: null, mode: 'inflate', radius: 0.25, strength: 0.6,
-    symmetry: { x: false, y: false, z: false }, pointerDown: false, lastPoint: null, neighborsMap: new Map(), undoTmp: null,
+    symmetry: { x: false, y: false, z: false }, pointerDown: false, lastPoint: null, neighborsMap: new Map(), undoTmp: null, strokeTx: false,
   });
 
   const buildVertexNeighbors = (geometry) => {
@@ -309,30 +313,21 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
       }
       const undoSnapshot = changedMap;
 
-      cmdHistoryRef.current.push(new Cmd(
-        () => {
-          for (const [i, v] of redoSnapshot) {
-            const ix = i*3;
-            pos.array[ix] = v[0]; pos.array[ix+1] = v[1]; pos.array[ix+2] = v[2];
-          }
-          pos.needsUpdate = true; geometry.computeVertexNormals && geometry.computeVertexNormals();
-          ensureBVHForObject(mesh); bumpSceneVersion('sculpt-redo'); needsRenderRef.current = true;
-        },
-        () => {
-          for (const [i, v] of undoSnapshot) {
-            const ix = i*3;
-            pos.array[ix] = v[0]; pos.array[ix+1] = v[1]; pos.array[ix+2] = v[2];
-          }
-          pos.needsUpdate = true; geometry.computeVertexNormals && geometry.computeVertexNormals();
-          ensureBVHForObject(mesh); bumpSceneVersion('sculpt-undo'); needsRenderRef.current = true;
+      HistoryEngine.push(new SculptCommand(mesh, undoSnapshot, redoSnapshot, {
+        label,
+        onApply: (m) => {
+          m.geometry.computeVertexNormals && m.geometry.computeVertexNormals();
+          ensureBVHForObject(m); needsRenderRef.current = true;
+          SceneGraphStore.notifyChanged(storeIdFor(m), ['geometry']);
         },
-        label
-      ));
+      }));
+      SceneGraphStore.notifyChanged(storeIdFor(mesh), ['geometry']);
     } catch (e) { console.warn('pushSculptCommand failed', e); }
   };
 
   const startSculptingInternal = (mesh, { mode = 'inflate', radius = 0.25, strength = 0.6 } = {}) => {
     if (!mesh || !mesh.geometry) return false;
+    if (isObjectLocked(mesh)) { console.warn('startSculpting: object is locked'); return false; }
     sculptStateRef.current.active = true;
     sculptStateRef.current.target = mesh;
     sculptStateRef.current.mode = mode;
@@ -355,6 +350,10 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
     sculptStateRef.current.pointerDown = false;
     sculptStateRef.current.lastPoint = null;
     sculptStateRef.current.undoTmp = null;
+    if (sculptStateRef.current.strokeTx) {
+      sculptStateRef.current.strokeTx = false;
+      HistoryEngine.commitTransaction();
+    }
     bumpSceneVersion('sculpt-stop');
     try { orbitRef.current && (orbitRef.current.enabled = true); transformRef.current && (transformRef.current.enabled = true); } catch (e) {}
     needsRenderRef.current = true;
@@ -365,6 +364,11 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
   const onSculptPointerDown = (event) => {
     if (!sculptStateRef.current.active) return;
     sculptStateRef.current.pointerDown = true;
+    // the whole stroke (down → up) is one undo step
+    if (!sculptStateRef.current.strokeTx) {
+      HistoryEngine.beginTransaction('sculpt-stroke');
+      sculptStateRef.current.strokeTx = true;
+    }
     try {
       const rect = rendererRef.current.domElement.getBoundingClientRect();
       const ndc = new THREE.Vector2(((event.clientX - rect.left) / rect.width) * 2 - 1, -((event.clientY - rect.top) / rect.height) * 2 + 1);
@@ -373,7 +377,7 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
       if (!hits || hits.length === 0) return;
       const hit = hits[0];
       const mesh = sculptStateRef.current.target || findObjektaAncestor(hit.object);
-      if (!mesh) return;
+      if (!mesh || isObjectLocked(mesh)) return;
       const worldPoint = hit.point.clone();
       const res = applyBrushToMesh(mesh, worldPoint, { radius: sculptStateRef.current.radius, strength: sculptStateRef.current.strength, mode: sculptStateRef.current.mode, viewDir: cameraRef.current.getWorldDirection(new THREE.Vector3()).clone() });
       if (res && res.changed && res.changed.size > 0) sculptStateRef.current.undoTmp = res.changed;
@@ -389,7 +393,7 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
       if (!hits || hits.length === 0) return;
       const hit = hits[0];
       const mesh = sculptStateRef.current.target || findObjektaAncestor(hit.object);
-      if (!mesh) return;
+      if (!mesh || isObjectLocked(mesh)) return;
       const worldPoint = hit.point.clone();
       const res = applyBrushToMesh(mesh, worldPoint, { radius: sculptStateRef.current.radius, strength: sculptStateRef.current.strength, mode: sculptStateRef.current.mode, viewDir: cameraRef.current.getWorldDirection(new THREE.Vector3()).clone() });
       if (res && res.changed && res.changed.size > 0) {
@@ -409,6 +413,10 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
       sculptStateRef.current.undoTmp = null;
       bumpSceneVersion('sculpt-stroke-commit');
     }
+    if (sculptStateRef.current.strokeTx) {
+      sculptStateRef.current.strokeTx = false;
+      HistoryEngine.commitTransaction();
+    }
   };
 
   // API wrappers which accept either PointerEvent or shorthand {x,y,pressure,pxRadius}
@@ -520,6 +528,9 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
     safeAdd(scene, userGroup, "_user_group");
     sceneRef.current._editorGroup = editorGroup;
     sceneRef.current._userGroup = userGroup;
+    HistoryEngine.clear();
+    HistoryEngine.maxHistory = HISTORY_LIMIT;
+    HistoryEngine.setRoot(userGroup);
 
     // Camera
     const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 2000);
@@ -552,7 +563,29 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
       orbitRef.current && (orbitRef.current.enabled = !e.value);
     });
     transform.addEventListener("change", () => { updateToolbarPosition(); needsRenderRef.current = true; });
+    transform.addEventListener("objectChange", () => { if (multiDragRef.current) applyMultiDrag(); });
+    let gizmoBefore = null;
+    // one gizmo drag = one undo step, covering every selected object
+    transform.addEventListener("mouseDown", () => {
+      const targets = getTransformTargets().filter((o) => SceneGraphStore.objects[o.uuid]);
+      gizmoBefore = targets.length ? { targets, before: Object.fromEntries(targets.map((o) => [o.uuid, TransformCommand.capture(o)])) } : null;
+      if (transform.object && transform.object === transformGroupRef.current) beginMultiDrag();
+      HistoryEngine.beginTransaction("transform");
+    });
     transform.addEventListener("mouseUp", () => {
+      multiDragRef.current = null;
+      if (gizmoBefore) {
+        const { targets, before } = gizmoBefore;
+        const after = {};
+        const ids = targets.map((o) => o.uuid).filter((id, i) => {
+          after[id] = TransformCommand.capture(targets[i]);
+          return JSON.stringify(after[id]) !== JSON.stringify(before[id]);
+        });
+        if (ids.length) HistoryEngine.push(new TransformCommand(ids, before, after));
+        gizmoBefore = null;
+      }
+      HistoryEngine.commitTransaction();
+      refreshTransformBaseline();
       needsRenderRef.current = true;
     });
     safeAdd(editorGroup, transform, "_transform_controls");
@@ -585,19 +618,11 @@ const Workspace = forwardRef(({ selected, onSelect, onFullScreenChange, panelTop
       composerRef.current = postfx.composer;
     } catch (e) { console.warn('Composer init failed', e); composerRef.current = null; postfxApiRef.current = null; }
 
-    // shared loaders
+    // shared loaders (one configured GLTFLoader with Draco/KTX2 for every import path)
     try {
-      if (!dracoRef.current) {
-        dracoRef.current = new DRACOLoader();
-        dracoRef.current.setDecoderPath("/draco/");
-      }
-      const gltfLoader = new GLTFLoader();
-      gltfLoader.setDRACOLoader(dracoRef.current);
-      try {
-        ktx2Ref.current = new KTX2Loader().setTranscoderPath("/basis/").detectSupport(renderer);
-        gltfLoader.setKTX2Loader(ktx2Ref.current);
-      } catch (e) {}
-      gltfLoaderRef.current = gltfLoader;
+      gltfLoaderRef.current = ImportEngine.configureLoaders({ renderer });
+      dracoRef.current = ImportEngine.draco;
+      ktx2Ref.current = ImportEngine.ktx2;
     } catch (e) { console.warn("Shared loader init failed", e); gltfLoaderRef.current = null; }
 
     // lighting + environment helpers
@@ -706,11 +731,13 @@ try {
       let foundObj = null;
       for (const it of intersects) {
         const obj = findObjektaAncestor(it.object);
-        if (obj) { foundObj = obj; break; }
+        if (obj && isObjectSelectable(obj)) { foundObj = obj; break; }
       }
       if (foundObj) {
         selectObject(foundObj);
-        try { transformRef.current.setMode(transformMode); transformRef.current.attach(foundObj); } catch (e) {}
+        if (!isObjectLocked(foundObj)) {
+          try { transformRef.current.setMode(transformMode); transformRef.current.attach(foundObj); } catch (e) {}
+        }
       } else {
         clearSelection();
       }
@@ -814,37 +841,36 @@ try {
     };
     window.addEventListener("keydown", onKeyDown);
 
-    try {
-      const saved = localStorage.getItem(AUTOSAVE_KEY);
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        if (parsed?.snaps) {
-          snapshotHistoryRef.current.push({ label: "autosave-restore", snaps: parsed.snaps });
-          snapshotHistoryIndexRef.current = snapshotHistoryRef.current.length - 1;
-        }
-      }
-    } catch (err) {}
-
-    const autosaveInterval = setInterval(() => {
+    // Autosave: rolling IndexedDB slots (AutosaveStore); the host offers earlier sessions' slots for recovery.
+    // Empty scenes aren't saved, so opening the Studio doesn't push out what there is to recover.
+    let autosaving = false;
+    const autosave = async (reason) => {
+      if (autosaving) return;
+      const data = serializeScene();
+      if (!data?.snaps?.length) return;
+      autosaving = true;
       try {
-        const data = serializeScene();
-        if (data) localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(data));
-      } catch (err) {}
-    }, 60000);
-
-    const beforeUnload = () => {
-      try {
-        const data = serializeScene();
-        if (data) localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(data));
-      } catch (err) {}
+        const thumbnail = reason === "unload" ? null : await renderThumbnail({ size: 160, type: "image/webp" });
+        const slot = await AutosaveStore.save(data, { reason, thumbnail });
+        if (slot) EventBus.emit("autosave:saved", slot);
+      } catch (err) {
+        console.warn("autosave failed", err);
+        EventBus.emit("autosave:error", { error: err });
+      } finally {
+        autosaving = false;
+      }
     };
+    const autosaveInterval = setInterval(() => autosave("interval"), AUTOSAVE_INTERVAL_MS);
+    // the page may not get to finish an IndexedDB write on unload; hiding the tab is the reliable moment
+    const onVisibility = () => { if (document.visibilityState === "hidden") autosave("hidden"); };
+    const beforeUnload = () => { autosave("unload"); };
+    document.addEventListener("visibilitychange", onVisibility);
     window.addEventListener("beforeunload", beforeUnload);
 
-    pushHistorySnapshot("init");
-
     return () => {
       mounted = false;
       clearInterval(autosaveInterval);
+      document.removeEventListener("visibilitychange", onVisibility);
       window.removeEventListener("beforeunload", beforeUnload);
 
       renderer.domElement.removeEventListener("pointerdown", onPointerDown);
@@ -863,11 +889,12 @@ try {
         const ug = getUserGroup();
         const toRemove = ug ? Array.from(ug.children) : [];
         toRemove.forEach((c) => { try { disposeObject(c); } catch (e) {} if (c.parent) c.parent.remove(c); });
+        SceneGraphStore.reset();
       } catch (err) {}
 
-      try { dracoRef.current?.dispose?.(); dracoRef.current = null; } catch (e) {}
-      try { ktx2Ref.current?.dispose?.(); ktx2Ref.current = null; } catch (e) {}
+      try { ImportEngine.disposeLoaders(); dracoRef.current = null; ktx2Ref.current = null; gltfLoaderRef.current = null; } catch (e) {}
       try { glbImporterApiRef.current?.dispose?.(); glbImporterApiRef.current = null; } catch (e) {}
+      try { if (HistoryEngine.root === userGroup) { HistoryEngine.clear(); HistoryEngine.setRoot(null); } } catch (e) {}
       try { materialEditorApiRef.current?.dispose?.(); materialEditorApiRef.current = null; } catch (e) {}
       try { lightingApiRef.current?.dispose?.(); lightingApiRef.current = null; } catch (e) {}
       try { envApiRef.current?.dispose?.(); envApiRef.current = null; } catch (e) {}
@@ -886,14 +913,19 @@ try {
 
   // ---------- Selection ----------
   const selectObject = (obj) => {
-    if (!obj) return;
+    if (!obj || !isObjectSelectable(obj)) return;
     if (selectedInternal) markSelectionVisual(selectedInternal, false);
     setSelectedInternal(obj);
     onSelect?.(obj);
-    try { transformRef.current?.attach(obj); } catch (e) {}
+    try {
+      if (isObjectLocked(obj)) transformRef.current?.detach();
+      else transformRef.current?.attach(obj);
+    } catch (e) {}
     try { transformRef.current?.setMode(transformMode); } catch (e) {}
+    refreshTransformBaseline();
     markSelectionVisual(obj, true);
     updateToolbarPosition();
+    if (SceneGraphStore.objects[obj.uuid]) SceneGraphStore.selectObjects([obj.uuid]);
     needsRenderRef.current = true;
   };
 
@@ -905,9 +937,30 @@ try {
     setToolbarPos({ x: -999, y: -999 });
     const selBox = sceneRef.current?._editorGroup?.getObjectByName("_selection_box");
     if (selBox) selBox.visible = false;
+    if (SceneGraphStore.selected.length) SceneGraphStore.clearSelection();
     needsRenderRef.current = true;
   };
 
+  historyHooksRef.current = {
+    onAttach: (obj) => { try { ensureBVHForObject(obj); } catch (e) {} needsRenderRef.current = true; },
+    onDetach: (obj) => {
+      if (selectedInternal && (selectedInternal === obj || obj.getObjectById(selectedInternal.id))) clearSelection();
+      needsRenderRef.current = true;
+    },
+    onDispose: (obj) => { try { disposeObject(obj); } catch (e) {} },
+    // lock/selectable changed: drop or re-arm the gizmo on the current selection
+    onFlagChange: (obj) => {
+      const sel = selectedInternal;
+      if (obj && sel && selectedSetRef.current.size < 2 && (sel === obj || obj.getObjectById(sel.id))) {
+        if (!isObjectSelectable(sel)) clearSelection();
+        else if (isObjectLocked(sel)) { try { transformRef.current?.detach(); } catch (e) {} }
+        else { try { transformRef.current?.attach(sel); } catch (e) {} }
+      }
+      refreshTransformBaseline();
+      needsRenderRef.current = true;
+    },
+  };
+
   const markSelectionVisual = (obj, selectedFlag) => {
     if (!obj) return;
     try {
@@ -945,37 +998,36 @@ try {
   };
 
   // Multi-select helpers (kept minimal)
+  // The transform group is only a pivot for the gizmo: members stay under their own
+  // parents and follow the pivot's delta, so their transforms (and TransformCommands)
+  // are always expressed in their real parent space.
   const selectedSetRef = useRef(new Set());
   const transformGroupRef = useRef(null);
-  const multiParentMapRef = useRef(new Map());
+  const multiDragRef = useRef(null);
 
   const toggleMultiSelect = (obj) => {
-    if (!obj) return;
+    if (!obj || !isObjectSelectable(obj)) return;
     const set = selectedSetRef.current;
     if (set.has(obj)) {
       set.delete(obj);
       markSelectionVisual(obj, false);
-      multiParentMapRef.current.delete(obj.uuid);
-      try { SceneGraphStore.removeObject?.(obj.uuid); } catch (e) {}
     } else {
       set.add(obj);
       markSelectionVisual(obj, true);
-      try { SceneGraphStore.addObject?.(obj.uuid, obj, { name: obj.name, type: obj.type }); } catch (e) {}
+      try { if (!SceneGraphStore.objects[obj.uuid]) SceneGraphStore.addObject?.(obj.uuid, obj, { name: obj.name, type: obj.type }); } catch (e) {}
     }
     if (set.size >= 2) createTransformGroupFromSet();
     else dissolveTransformGroup();
+    SceneGraphStore.selectObjects(Array.from(set).map((o) => o.uuid));
+    refreshTransformBaseline();
     needsRenderRef.current = true;
   };
 
   const clearMultiSelectionIfAny = () => {
     const set = selectedSetRef.current;
     if (set.size === 0) return;
-    for (const o of Array.from(set)) {
-      markSelectionVisual(o, false);
-      try { const origParent = multiParentMapRef.current.get(o.uuid); if (origParent && origParent.attach) origParent.attach(o); } catch (e) {}
-    }
+    for (const o of Array.from(set)) markSelectionVisual(o, false);
     set.clear();
-    multiParentMapRef.current.clear();
     dissolveTransformGroup();
     clearSelection();
   };
@@ -992,9 +1044,6 @@ try {
     centroid.multiplyScalar(1 / Math.max(1, count));
     group.position.copy(centroid);
     safeAdd(sceneRef.current, group, group.name);
-    for (const o of set) {
-      try { multiParentMapRef.current.set(o.uuid, o.parent || sceneRef.current); group.attach(o); } catch (e) {}
-    }
     transformGroupRef.current = group;
     try { transformRef.current.attach(group); } catch (e) {}
     needsRenderRef.current = true;
@@ -1003,15 +1052,50 @@ try {
   const dissolveTransformGroup = () => {
     const group = transformGroupRef.current;
     if (!group) return;
-    const set = selectedSetRef.current;
-    for (const o of Array.from(set)) {
-      try { const origParent = multiParentMapRef.current.get(o.uuid) || sceneRef.current; origParent.attach(o); } catch (e) {}
-    }
+    try { if (transformRef.current?.object === group) transformRef.current.detach(); } catch (e) {}
     try { if (group.parent) group.parent.remove(group); } catch (e) {}
     transformGroupRef.current = null;
+    multiDragRef.current = null;
     needsRenderRef.current = true;
   };
 
+  // remember pivot + member world matrices when a group drag starts
+  const beginMultiDrag = () => {
+    const group = transformGroupRef.current;
+    if (!group) return;
+    group.updateMatrixWorld(true);
+    multiDragRef.current = {
+      pivotInverse: group.matrixWorld.clone().invert(),
+      members: Array.from(selectedSetRef.current).filter((o) => !isObjectLocked(o)).map((o) => { o.updateMatrixWorld(true); return { obj: o, world: o.matrixWorld.clone() }; }),
+    };
+  };
+
+  // move every member by the pivot's delta since beginMultiDrag
+  const applyMultiDrag = () => {
+    const group = transformGroupRef.current;
+    const drag = multiDragRef.current;
+    if (!group || !drag) return;
+    group.updateMatrixWorld(true);
+    const delta = group.matrixWorld.clone().multiply(drag.pivotInverse);
+    const local = new THREE.Matrix4();
+    drag.members.forEach(({ obj, world }) => {
+      try {
+        local.copy(delta).multiply(world);
+        if (obj.parent) local.premultiply(obj.parent.matrixWorld.clone().invert());
+        local.decompose(obj.position, obj.quaternion, obj.scale);
+        obj.updateMatrixWorld(true);
+      } catch (e) {}
+    });
+  };
+
+  // objects a transform edit applies to: the multi-selection, or the attached object (locked ones excluded)
+  const getTransformTargets = () => {
+    const set = selectedSetRef.current;
+    if (set.size >= 2) return Array.from(set).filter((o) => !isObjectLocked(o));
+    const obj = transformRef.current?.object;
+    return obj && obj !== transformGroupRef.current && !isObjectLocked(obj) ? [obj] : [];
+  };
+
   const worldPointAtMouse = (client) => {
     if (!rendererRef.current || !cameraRef.current || !containerRef.current) return new THREE.Vector3(0, 0.5, 0);
     const rect = rendererRef.current.domElement.getBoundingClientRect();
@@ -1027,6 +1111,17 @@ try {
     return point;
   };
 
+  // Topmost user object under a client point (not locked)
+  const objectAtMouse = (client) => {
+    if (!rendererRef.current || !cameraRef.current || !sceneRef.current) return null;
+    const rect = rendererRef.current.domElement.getBoundingClientRect();
+    const ndc = new THREE.Vector2(((client.x - rect.left) / rect.width) * 2 - 1, -((client.y - rect.top) / rect.height) * 2 + 1);
+    raycasterRef.current.setFromCamera(ndc, cameraRef.current);
+    const hits = raycasterRef.current.intersectObjects(getUserGroup()?.children || [], true);
+    const obj = hits.length ? findObjektaAncestor(hits[0].object) : null;
+    return obj && !isObjectLocked(obj) ? obj : null;
+  };
+
   // ---------- Add Item ----------
   const addItem = (name, point = null, opts = {}) => {
     if (!sceneRef.current) return;
@@ -1061,52 +1156,26 @@ try {
 
     const userGroup = getUserGroup();
     const parent = userGroup || sceneRef.current;
-    safeAdd(parent, obj, obj.name);
-    try { ensureBVHForObject(obj); } catch (e) {}
-    try { SceneGraphStore.addObject?.(obj.uuid, obj, { name: obj.name, type: name }); } catch (e) {}
-    try { EventBus?.emit?.("scene:updated", { id: obj.uuid, type: "add" }); } catch (e) {}
+    HistoryEngine.execute(new AddObjectCommand(obj, parent, objectCmdOptions("add", { metadata: { name: obj.name, type: name }, registerDescendants: false })));
     selectObject(obj);
     bumpSceneVersion('addItem');
 
-    try {
-      const snap = obj.toJSON();
-      const uuid = obj.uuid;
-      cmdHistoryRef.current.push(new Cmd(
-        () => {
-          try {
-            const loader = new THREE.ObjectLoader();
-            const recreated = loader.parse(snap);
-            recreated.userData = recreated.userData || {};
-            recreated.userData.__objekta = true;
-            const ug = getUserGroup();
-            safeAdd(ug || sceneRef.current, recreated, "redo_add");
-            ensureBVHForObject(recreated);
-            selectObject(recreated);
-            bumpSceneVersion('redo-add');
-          } catch (e) { console.warn("Redo add failed", e); }
-        },
-        () => {
-          try {
-            const ug = getUserGroup();
-            const existing = ug?.getObjectByProperty('uuid', uuid);
-            if (existing) { disposeObject(existing); if (existing.parent) existing.parent.remove(existing); clearSelection(); bumpSceneVersion('undo-add'); }
-          } catch (e) { console.warn("Undo add failed", e); }
-        },
-        "add"
-      ));
-    } catch (e) {}
-
     needsRenderRef.current = true;
     return obj;
   };
 
-  // Palette DnD
+  // Palette DnD (asset library items carry an assetId)
   const [{ isOver }, dropRef] = useDrop({
     accept: PALETTE_TYPE,
     drop: (item, monitor) => {
       const clientOffset = monitor.getClientOffset();
       if (!clientOffset) return;
       const worldPos = worldPointAtMouse(clientOffset);
+      if (item.assetId) {
+        addAsset(item.assetId, { point: worldPos, target: objectAtMouse(clientOffset) })
+          .catch((e) => console.warn('asset drop failed', e));
+        return;
+      }
       addItem(item.name, worldPos, { color: item.color });
     },
     collect: (monitor) => ({ isOver: !!monitor.isOver() } ),
@@ -1114,31 +1183,28 @@ try {
   const setContainerNode = (node) => { containerRef.current = node; try { if (node && typeof dropRef === "function") dropRef(node); } catch (err) {} };
 
   // GLTF add (file or Object3D)
-  const addGLTF = (input, point = null, onProgress = null) => {
+  const trackBlobURL = (url) => { try { blobUrlsRef.current.add(url); } catch (e) {} };
+  const untrackBlobURL = (url) => { try { blobUrlsRef.current.delete(url); } catch (e) {} };
+
+  /**
+   * Add a glTF File (or an already parsed Object3D) to the scene.
+   * opts.files: other files dropped/picked with a .gltf (.bin, textures); relative URIs resolve to them.
+   * opts.options: import options (units, zUp, recenter, scale, applyTransforms, hierarchy);
+   *   default: the ones remembered for .glb/.gltf (see ImportEngine.getImportOptions)
+   * opts.placed: input was already placed by ImportEngine.importFile
+   */
+  const addGLTF = (input, point = null, onProgress = null, { files = [], options = null, placed = false } = {}) => {
+    const importOptions = options || ImportEngine.getImportOptions(input instanceof File ? input.name : 'glb');
     return new Promise((resolve, reject) => {
-      const loader = gltfLoaderRef.current || new GLTFLoader();
-      try { if (dracoRef.current && loader.setDRACOLoader) loader.setDRACOLoader(dracoRef.current); } catch (e) {}
+      const siblings = input instanceof File ? files.filter((f) => f !== input) : [];
+      const resolver = siblings.length ? createURLResolver(siblings, { main: input, onCreate: trackBlobURL, onRevoke: untrackBlobURL }) : null;
+      // with a resolver this is a per-import loader, so the URL modifier doesn't leak into other loads
+      const loader = ImportEngine.gltfLoader(resolver?.manager);
       setLoading(true);
 
       const addNodeToScene = (sceneNode) => {
         try {
-          const box = new THREE.Box3().setFromObject(sceneNode);
-          const size = box.getSize(new THREE.Vector3());
-          const maxDim = Math.max(size.x, size.y, size.z);
-          const scale = maxDim > 0 ? 2 / maxDim : 1;
-          sceneNode.scale.setScalar(scale);
-          sceneNode.updateMatrixWorld(true);
-
-          const boxScaled = new THREE.Box3().setFromObject(sceneNode);
-          const center = boxScaled.getCenter(new THREE.Vector3());
-          sceneNode.position.sub(center);
-
-          if (point) {
-            sceneNode.position.copy(point);
-            sceneNode.position.y += boxScaled.getSize(new THREE.Vector3()).y / 2 + 0.05;
-          } else {
-            sceneNode.position.y += boxScaled.getSize(new THREE.Vector3()).y / 2 + 0.05;
-          }
+          if (!placed) ImportEngine.applyImportOptions(sceneNode, importOptions, { point });
 
           sceneNode.traverse((child) => {
             if (child.isMesh) {
@@ -1148,7 +1214,8 @@ try {
               child.castShadow = true; child.receiveShadow = true;
             }
             if (!child.userData) child.userData = {};
-            child.userData.__objekta = true;
+            // bones stay out of the store/outliner; they move with their skinned mesh
+            child.userData.__objekta = !child.isBone;
             if (!child.userData.name) child.userData.name = sceneNode.name;
           });
 
@@ -1158,44 +1225,11 @@ try {
 
           const userGroup = getUserGroup();
           const parent = userGroup || sceneRef.current;
-          safeAdd(parent, sceneNode, sceneNode.name || "imported_sceneNode");
+          HistoryEngine.execute(new AddObjectCommand(sceneNode, parent, objectCmdOptions("import")));
 
-          try { sceneNode.traverse((n) => { if (n.userData?.__objekta) try { SceneGraphStore.addObject?.(n.uuid, n, { name: n.name, type: n.type }); } catch (e) {} }); } catch (e) {}
-
-          try { EventBus?.emit?.("scene:updated", { id: sceneNode.uuid, type: "import" }); } catch (e) {}
-
-          ensureBVHForObject(sceneNode);
           selectObject(sceneNode);
           bumpSceneVersion('addGLTF');
 
-          try {
-            const snap = sceneNode.toJSON();
-            const uuid = sceneNode.uuid;
-            cmdHistoryRef.current.push(new Cmd(
-              () => {
-                try {
-                  const loader2 = new THREE.ObjectLoader();
-                  const recreated = loader2.parse(snap);
-                  recreated.userData = recreated.userData || {};
-                  recreated.userData.__objekta = true;
-                  const ug = getUserGroup();
-                  safeAdd(ug || sceneRef.current, recreated, "redo_import");
-                  ensureBVHForObject(recreated);
-                  selectObject(recreated);
-                  bumpSceneVersion('redo-import');
-                } catch (e) { console.warn("Redo import failed", e); }
-              },
-              () => {
-                try {
-                  const ug = getUserGroup();
-                  const existing = ug?.getObjectByProperty('uuid', uuid);
-                  if (existing) { try { existing.traverse(n => { SceneGraphStore.removeObject?.(n.uuid); }); } catch (e) {} disposeObject(existing); if (existing.parent) existing.parent.remove(existing); clearSelection(); bumpSceneVersion('undo-import'); }
-                } catch (e) { console.warn("Undo import failed", e); }
-              },
-              "import"
-            ));
-          } catch (e) {}
-
         } catch (err) { console.warn("addNodeToScene error", err); }
         finally { setLoading(false); needsRenderRef.current = true; }
       };
@@ -1223,13 +1257,16 @@ try {
       try { blobUrlsRef.current.add(url); } catch (e) {}
       loader.load(url, (gltf) => {
         try {
-          const sceneNode = gltf.scene || gltf.scenes?.[0];
-          if (!sceneNode) { throw new Error('GLTF has no scene'); }
+          const gltfScene = gltf.scene || gltf.scenes?.[0];
+          if (!gltfScene) { throw new Error('GLTF has no scene'); }
+          gltfScene.animations = gltf.animations || [];
+          const sceneNode = ImportEngine.arrangeHierarchy(gltfScene, importOptions.hierarchy);
           addNodeToScene(sceneNode);
-          setTimeout(() => { try { URL.revokeObjectURL(url); blobUrlsRef.current.delete(url); } catch (e) {} }, 1500);
+          setTimeout(() => { try { URL.revokeObjectURL(url); blobUrlsRef.current.delete(url); } catch (e) {} resolver?.dispose(); }, 1500);
           resolve(sceneNode);
         } catch (err) {
           try { URL.revokeObjectURL(url); blobUrlsRef.current.delete(url); } catch (e) {}
+          resolver?.dispose();
           setLoading(false);
           reject(err);
         }
@@ -1237,178 +1274,422 @@ try {
         try { if (onProgress && xhr && xhr.loaded && xhr.total) onProgress(xhr.loaded / xhr.total); } catch (e) {}
       }, (err) => {
         try { URL.revokeObjectURL(url); blobUrlsRef.current.delete(url); } catch (e) {}
+        resolver?.dispose();
         setLoading(false);
         reject(err);
       });
     });
   };
 
-  // ---------- Export GLTF ----------
-  const exportGLTF = (binary = true) => {
-    return new Promise((resolve, reject) => {
-      if (!sceneRef.current) { reject(new Error('No scene')); return; }
-      const userGroup = getUserGroup();
-      const userObjects = userGroup ? Array.from(userGroup.children) : [];
-      const exporter = new GLTFExporter();
-      const exportScene = new THREE.Scene();
-
-      const isHelperType = (obj) => {
-        if (!obj) return false;
-        if (obj.name && obj.name.startsWith('_')) return true;
-        if (obj.type === 'GridHelper' || obj.type === 'AxesHelper' || obj.type === 'BoxHelper' || obj.type === 'CameraHelper') return true;
-        if (obj.userData && obj.userData.__helper) return true;
-        return false;
-      };
+  /**
+   * Import any supported model file (glTF, OBJ+MTL, STL, PLY, FBX).
+   * files: everything dropped/picked together (a folder too); external buffers and textures resolve to them.
+   * glTF goes through addGLTF (Draco, progress); other formats are parsed by ImportEngine
+   * and added the same way, so they are registered in SceneGraphStore and get a BVH.
+   * Errors carry error.format.
+   * @param {File} file
+   * options: see ImportEngine DEFAULT_IMPORT_OPTIONS (default: remembered for the file's extension)
+   * @param {{ files?: File[], options?: Object, point?: THREE.Vector3, onProgress?: (p: number) => void }} [opts]
+   */
+  const importModel = async (file, { files = [], options = null, point = null, onProgress = null } = {}) => {
+    const format = ImportEngine.detectFormat(file?.name || '');
+    if (format === 'gltf') return addGLTF(file, point, onProgress, { files, options });
+    setLoading(true);
+    try {
+      const root = await ImportEngine.importFile(file, { files, options, point, onProgress, onCreateURL: trackBlobURL, onRevokeURL: untrackBlobURL });
+      return await addGLTF(root, null, null, { placed: true });
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      const pruneHelpers = (root) => {
-        const removeList = [];
-        root.traverse((n) => { if (isHelperType(n)) removeList.push(n); });
-        removeList.forEach((n) => { if (n.parent) n.parent.remove(n); });
-      };
+  /**
+   * Import a model from a URL (any format importModel takes). signal aborts the download;
+   * errors carry error.kind and a plain-language message (see ImportEngine.importFromURL).
+   * @param {string} url
+   * @param {{ options?: Object, point?: THREE.Vector3, signal?: AbortSignal, onProgress?: (p: number | null) => void }} [opts]
+   */
+  const importFromURL = async (url, { options = null, point = null, signal = undefined, onProgress = null } = {}) => {
+    setLoading(true);
+    try {
+      const root = await ImportEngine.importFromURL(url, { options, point, signal, onProgress });
+      return await addGLTF(root, null, null, { placed: true });
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      userObjects.forEach((c) => {
-        try {
-          const clone = c.clone(true);
-          pruneHelpers(clone);
-          clone.traverse((n) => { if (n.name && n.name.startsWith('_')) { if (n.parent) n.parent.remove(n); } });
-          const allowed = ['Mesh','Group','Object3D','PerspectiveCamera','OrthographicCamera','PointLight','DirectionalLight','HemisphereLight','SpotLight','AmbientLight'];
-          if (allowed.includes(clone.type) || clone.isMesh || clone.isLight || clone.isCamera) exportScene.add(clone);
-          else {
-            const group = new THREE.Group();
-            clone.traverse((n) => { if (n.isMesh || n.isLight || n.isCamera || n.type === 'Group') group.add(n.clone(true)); });
-            if (group.children.length) exportScene.add(group);
-          }
-        } catch (err) { console.warn('Export: failed to clone object', err); }
+  /**
+   * Use an asset library entry (AssetStore):
+   *   model: imported at opts.point at its stored size
+   *   material: applied to opts.target, else the selection (one undo step; locked objects skipped)
+   *   hdri: emitted as 'assets:environment' { file, asset } for the host's environment controls
+   * @param {string} id
+   * @param {{ point?: THREE.Vector3, target?: THREE.Object3D }} [opts]
+   */
+  const addAsset = async (id, { point = null, target = null } = {}) => {
+    const asset = await AssetStore.get(id);
+    if (!asset) throw new Error('Asset not found');
+    if (asset.type === 'model') {
+      const options = { ...ImportEngine.getImportOptions('glb'), scale: 'keep', recenter: 'floor' };
+      const at = point ? point.clone().setY(0) : null;
+      setLoading(true);
+      try {
+        const root = await ImportEngine.importFile(AssetStore.file(asset), { options, point: at });
+        root.name = asset.name;
+        return await addGLTF(root, null, null, { placed: true });
+      } finally {
+        setLoading(false);
+      }
+    }
+    if (asset.type === 'material') {
+      const targets = (target ? [target] : getTransformTargets()).filter((obj) => !isObjectLocked(obj));
+      if (!targets.length) throw new Error(target ? 'That object is locked' : 'Drop the material on an object or select one first');
+      // one undo step for the whole selection
+      HistoryEngine.transaction('material-preset', () => {
+        targets.forEach((obj) => recordMaterialEdit('material-preset', () => applyMaterialPreset(obj, asset.data), obj));
       });
+      return targets;
+    }
+    if (asset.type === 'hdri') {
+      EventBus.emit('assets:environment', { file: AssetStore.file(asset), asset });
+      return null;
+    }
+    return null;
+  };
+
+  /**
+   * Thumbnail of the user scene (ThumbnailRenderer), for autosave slots and project cards
+   * @param {object} [options] see DEFAULT_THUMBNAIL_OPTIONS
+   * @returns {Promise<Blob|null>} null for an empty scene
+   */
+  const renderThumbnail = (options = {}) => {
+    const userGroup = getUserGroup();
+    if (!userGroup || !userGroup.children.length) return Promise.resolve(null);
+    return ThumbnailRenderer.render(userGroup, options).catch((e) => { console.warn('renderThumbnail failed', e); return null; });
+  };
 
-      exportScene.updateMatrixWorld(true);
+  // ---------- Export ----------
+  /**
+   * Export user objects in any ExportEngine format; options are DEFAULT_EXPORT_OPTIONS.
+   * Objects in collections with rendering turned off are always left out.
+   * Scopes: all, selection, visible (hidden objects and collections left out),
+   * objects (options.ids) and collection (options.collections).
+   * @param {object} [options]
+   * @param {{ download?: boolean }} [opts] download: false only returns the Blob (asset library)
+   * @returns {Promise<Blob>}
+   */
+  const exportModel = (options = {}, { download = true } = {}) => {
+    if (!sceneRef.current) return Promise.reject(new Error('No scene'));
+    const o = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const onlyCollections = o.scope === 'collection' && Array.isArray(o.collections) ? new Set(o.collections) : null;
+    const isExcluded = (node) => {
+      const id = storeIdFor(node);
+      const cid = id ? SceneGraphStore.getCollectionOf(id) : null;
+      const col = cid ? SceneGraphStore.getCollection(cid) : null;
+      if (col?.renderable === false) return true;
+      if (o.scope === 'visible' && (!node.visible || col?.visible === false)) return true;
+      return !!onlyCollections && !onlyCollections.has(cid);
+    };
 
-      exporter.parse(exportScene, (result) => {
-        try {
-          let blob;
-          if (binary && result instanceof ArrayBuffer) blob = new Blob([result], { type: 'model/gltf-binary' });
-          else { const str = JSON.stringify(result, null, 2); blob = new Blob([str], { type: 'application/json' }); }
-          const link = document.createElement('a');
-          const url = URL.createObjectURL(blob);
-          try { blobUrlsRef.current.add(url); } catch (e) {}
-          link.href = url;
-          link.download = binary ? 'scene.glb' : 'scene.gltf';
-          link.click();
-          setTimeout(() => { try { URL.revokeObjectURL(url); blobUrlsRef.current.delete(url); } catch (e) {} }, 1500);
-          resolve(blob);
-        } catch (e) { reject(e); }
-      }, { binary, embedImages: true, truncateDrawRange: true });
-    });
+    let roots;
+    if (o.scope === 'selection' || o.scope === 'objects') {
+      const picked = o.scope === 'selection'
+        ? (selectedSetRef.current.size ? Array.from(selectedSetRef.current) : (selectedInternal ? [selectedInternal] : []))
+        : (o.ids || []).map((id) => SceneGraphStore.getObject(id)).filter(Boolean);
+      // a picked child of a picked parent is already exported with it
+      roots = picked.filter((obj) => !picked.some((other) => other !== obj && other.getObjectById(obj.id)));
+    } else {
+      const userGroup = getUserGroup();
+      roots = userGroup ? Array.from(userGroup.children) : [];
+    }
+    if (!roots.length) return Promise.reject(new Error(o.scope === 'selection' ? 'No selection' : 'Nothing to export'));
+
+    return ExportEngine.exportModel(o, { roots, isExcluded, download });
   };
 
-  // ---------- Snapshot helpers ----------
-  const computeSceneSignature = () => {
-    if (!sceneRef.current) return "";
-    try {
-      const ug = sceneRef.current._user_group ? Array.from(sceneRef.current._user_group.children) : (sceneRef.current._userGroup ? Array.from(sceneRef.current._userGroup.children) : []);
-      const objs = ug.filter((c) => c.userData?.__objekta);
-      return objs.map((c) => {
-        const p = c.position; const r = c.rotation; const s = c.scale;
-        let matSig = "";
-        c.traverse((n) => {
-          if (!matSig && n.isMesh && n.material) {
-            try { matSig = Array.isArray(n.material) ? n.material.map(m => m.uuid + (m.color ? m.color.getHexString() : '')).join('|') : n.material.uuid + (n.material.color ? n.material.color.getHexString() : ''); } catch (e) {}
-          }
-        });
-        return `${c.name}|p:${p.x.toFixed(3)},${p.y.toFixed(3)},${p.z.toFixed(3)}|r:${r.x.toFixed(3)},${r.y.toFixed(3)},${r.z.toFixed(3)}|s:${s.x.toFixed(3)},${s.y.toFixed(3)},${s.z.toFixed(3)}|m:${matSig}`;
-      }).join('||');
-    } catch (e) { return ""; }
+  /**
+   * @param {boolean | object} [binary] - GLB when true; or the full options object
+   * @param {{ collections?: string[] }} [options]
+   */
+  const exportGLTF = (binary = true, options = {}) => {
+    if (typeof binary === 'object' && binary) return exportModel({ format: 'glb', ...binary });
+    return exportModel({ ...options, format: binary ? 'glb' : 'gltf', ...(options.collections ? { scope: 'collection' } : {}) });
   };
 
-  const pushHistorySnapshot = (label = "") => {
-    if (!sceneRef.current) return;
-    const signature = computeSceneSignature();
-    if (signature && snapshotHistoryRef.current.length && snapshotHistoryRef.current[snapshotHistoryRef.current.length - 1]?.signature === signature) return;
-    const userGroup = getUserGroup();
-    const snaps = userGroup ? Array.from(userGroup.children).filter((c) => c.userData?.__objekta).map((c) => c.toJSON()) : [];
-    snapshotHistoryRef.current.push({ label, snaps, signature });
-    if (snapshotHistoryRef.current.length > HISTORY_LIMIT) snapshotHistoryRef.current.shift();
-    snapshotHistoryIndexRef.current = snapshotHistoryRef.current.length - 1;
-    bumpSceneVersion('pushHistorySnapshot');
+  // ---------- Undo/Redo ----------
+  const undo = () => {
+    HistoryEngine.undo();
+    refreshTransformBaseline();
+    bumpSceneVersion('undo');
     needsRenderRef.current = true;
   };
+  const redo = () => {
+    HistoryEngine.redo();
+    refreshTransformBaseline();
+    bumpSceneVersion('redo');
+    needsRenderRef.current = true;
+  };
+  const jumpToHistory = (depth) => {
+    HistoryEngine.jumpTo(depth);
+    refreshTransformBaseline();
+    bumpSceneVersion('history-jump');
+    needsRenderRef.current = true;
+  };
+  const restoreHistoryBranch = (id) => {
+    const ok = HistoryEngine.restoreBranch(id);
+    refreshTransformBaseline();
+    bumpSceneVersion('history-branch');
+    needsRenderRef.current = true;
+    return ok;
+  };
 
-  const commitHistory = (label = "") => { pushHistorySnapshot(label); bumpSceneVersion('commitHistory'); };
-  const commitHistoryDebounced = (label = "") => {
-    clearTimeout(commitHistoryDebounced._t);
-    commitHistoryDebounced._t = setTimeout(() => pushHistorySnapshot(label), HISTORY_DEBOUNCE_MS);
+  // Record material edits made by mutate() on target as one MaterialCommand
+  const recordMaterialEdit = (label, mutate, target = selectedInternal) => {
+    if (!target || typeof mutate !== 'function') return;
+    const before = captureMaterialState(target);
+    mutate();
+    const after = captureMaterialState(target);
+    if (!sameMaterialState(before, after)) {
+      HistoryEngine.push(new MaterialCommand(before, after, {
+        label,
+        target,
+        onApply: () => { SceneGraphStore.notifyChanged(storeIdFor(target), ['material']); needsRenderRef.current = true; },
+      }));
+      SceneGraphStore.notifyChanged(storeIdFor(target), ['material']);
+    }
+    bumpSceneVersion(label);
+    needsRenderRef.current = true;
   };
 
-  const loadHistory = (entry) => {
-    if (!entry || !sceneRef.current) return;
-    const userGroup = getUserGroup();
-    const toRemove = userGroup ? Array.from(userGroup.children) : [];
-    toRemove.forEach((c) => { try { disposeObject(c); } catch (e) {} if (c.parent) c.parent.remove(c); });
-    const loader = new THREE.ObjectLoader();
-    entry.snaps.forEach((snap) => {
-      try { const obj = loader.parse(snap); obj.userData.__objekta = true; safeAdd(userGroup || sceneRef.current, obj, "history_load"); ensureBVHForObject(obj); } catch (err) { console.error('Failed to parse history snapshot', err); }
+  const renameObjectWithHistory = (obj, name) => {
+    if (!obj || !name || name === obj.name) return;
+    HistoryEngine.execute(new SetPropertyCommand(obj, 'name', obj.name, name, {
+      label: 'rename',
+      onApply: (o, v) => { try { SceneGraphStore.renameObject?.(o.uuid, v); } catch (e) {} },
+    }));
+    bumpSceneVersion('rename');
+    needsRenderRef.current = true;
+  };
+
+  const setVisibleWithHistory = (obj, visible) => {
+    if (!obj || obj.visible === visible) return;
+    HistoryEngine.execute(new SetPropertyCommand(obj, 'visible', obj.visible, visible, {
+      label: 'vis-toggle',
+      onApply: (o, v) => { try { SceneGraphStore.setVisibility(o.uuid, v); } catch (e) {} needsRenderRef.current = true; },
+    }));
+    bumpSceneVersion('visibility');
+  };
+
+  const removeObjectWithHistory = (obj, label = 'delete') => {
+    if (!obj) return false;
+    if (isObjectLocked(obj)) { console.warn('delete: object is locked', obj.name); return false; }
+    HistoryEngine.execute(new RemoveObjectCommand(obj, obj.parent, objectCmdOptions(label)));
+    bumpSceneVersion(label);
+    needsRenderRef.current = true;
+    return true;
+  };
+
+  // Lock / selectable toggles are undoable like any other edit
+  const setObjectFlagWithHistory = (obj, flag, value) => {
+    const id = storeIdFor(obj);
+    const entry = id && SceneGraphStore.getEntry(id);
+    if (!entry || entry[flag] === !!value) return;
+    HistoryEngine.execute(new ObjectFlagCommand(id, flag, entry[flag], value, {
+      onApply: () => historyHooksRef.current.onFlagChange?.(SceneGraphStore.getObject(id)),
+    }));
+    bumpSceneVersion(flag);
+  };
+  const setObjectLocked = (obj, locked) => setObjectFlagWithHistory(obj, 'locked', locked);
+  const setObjectSelectable = (obj, selectable) => setObjectFlagWithHistory(obj, 'selectable', selectable);
+
+  // ---------- Collections ----------
+  // Record any collection change (create, toggle, assign, isolate) as one undo step
+  const recordCollectionEdit = (label, fn) => {
+    const before = SceneGraphStore.serializeCollections();
+    const result = fn();
+    const after = SceneGraphStore.serializeCollections();
+    if (JSON.stringify(before) !== JSON.stringify(after)) HistoryEngine.push(new CollectionCommand(before, after, { label }));
+    bumpSceneVersion(label);
+    return result;
+  };
+
+  const collectionApi = {
+    createCollection: (name, objects = []) => recordCollectionEdit('collection-add', () => {
+      const id = SceneGraphStore.addCollection(name);
+      const ids = objects.map((o) => (typeof o === 'string' ? o : storeIdFor(o))).filter(Boolean);
+      if (ids.length) SceneGraphStore.assignToCollection(ids, id);
+      return id;
+    }),
+    deleteCollection: (id) => recordCollectionEdit('collection-delete', () => SceneGraphStore.removeCollection(id)),
+    updateCollection: (id, patch) => recordCollectionEdit('collection-edit', () => SceneGraphStore.updateCollection(id, patch)),
+    assignToCollection: (objects, id) => recordCollectionEdit('collection-assign', () => {
+      const list = Array.isArray(objects) ? objects : [objects];
+      SceneGraphStore.assignToCollection(list.map((o) => (typeof o === 'string' ? o : storeIdFor(o))).filter(Boolean), id);
+    }),
+    isolateCollection: (id) => recordCollectionEdit('collection-isolate', () => SceneGraphStore.isolateCollection(id)),
+    showAllCollections: () => recordCollectionEdit('collection-show-all', () => SceneGraphStore.showAllCollections()),
+    getCollections: () => SceneGraphStore.getCollections(),
+  };
+
+  // Hidden collections: member nodes move to a layer the camera doesn't render and raycasts skip.
+  // Lights ignore layers, so they are switched off instead (and back on when shown).
+  const applyCollectionVisibility = () => {
+    const ug = getUserGroup();
+    if (!ug) return;
+    ug.traverse((n) => {
+      if (n === ug) return;
+      const id = storeIdFor(n);
+      const cid = id ? SceneGraphStore.getCollectionOf(id) : null;
+      const hidden = !!cid && SceneGraphStore.getCollection(cid)?.visible === false;
+      if (hidden) {
+        n.layers.set(HIDDEN_COLLECTION_LAYER);
+        if (n.isLight && n.visible) { n.visible = false; n.userData.__collectionHidden = true; }
+      } else {
+        if (n.layers.isEnabled(HIDDEN_COLLECTION_LAYER)) n.layers.set(0);
+        if (n.userData?.__collectionHidden) { n.visible = true; delete n.userData.__collectionHidden; }
+      }
     });
-    clearSelection();
-    bumpSceneVersion('loadHistory');
+    // keep the gizmo off objects that just disappeared
+    const attached = transformRef.current?.object;
+    if (attached && attached.layers.isEnabled(HIDDEN_COLLECTION_LAYER)) { try { transformRef.current.detach(); } catch (e) {} }
     needsRenderRef.current = true;
   };
 
-  // ---------- Undo/Redo ----------
-  const undo = () => {
-    if (cmdHistoryRef.current.length > 0 && cmdHistoryRef.current.index >= 0) { cmdHistoryRef.current.undo(); return; }
-    if (snapshotHistoryIndexRef.current > 0) {
-      snapshotHistoryIndexRef.current--;
-      loadHistory(snapshotHistoryRef.current[snapshotHistoryIndexRef.current]);
-    }
+  useEffect(() => SceneGraphStore.subscribe((events) => {
+    const relevant = events.some((e) =>
+      e.type === 'collections:changed' || e.type === 'object:added' || e.type === 'hierarchy:changed' ||
+      (e.type === 'object:changed' && e.changes.includes('collection')));
+    if (relevant) applyCollectionVisibility();
+  }), []);
+
+  // ---------- Selection sets & select by ----------
+  // Replace (or extend) the viewport selection with a list of objects; one object gets the
+  // normal gizmo, several go through the multi-select pivot
+  const setSelection = (objects, { add = false } = {}) => {
+    const current = add ? Array.from(selectedSetRef.current.size ? selectedSetRef.current : (selectedInternal ? [selectedInternal] : [])) : [];
+    let list = Array.from(new Set([...current, ...objects])).filter((o) => o && isObjectSelectable(o));
+    // a parent and its child would both follow the pivot and move twice
+    list = list.filter((o) => !list.some((other) => other !== o && other.getObjectById(o.id)));
+    clearMultiSelectionIfAny();
+    clearSelection();
+    if (list.length === 1) selectObject(list[0]);
+    else list.forEach((o) => toggleMultiSelect(o));
+    return list;
   };
-  const redo = () => {
-    if (cmdHistoryRef.current.length > 0 && cmdHistoryRef.current.index < cmdHistoryRef.current.stack.length - 1) { cmdHistoryRef.current.redo(); return; }
-    if (snapshotHistoryIndexRef.current < snapshotHistoryRef.current.length - 1) {
-      snapshotHistoryIndexRef.current++;
-      loadHistory(snapshotHistoryRef.current[snapshotHistoryIndexRef.current]);
+
+  // Record any selection set change as one undo step
+  const recordSelectionSetEdit = (label, fn) => {
+    const before = SceneGraphStore.serializeSelectionSets();
+    const result = fn();
+    const after = SceneGraphStore.serializeSelectionSets();
+    if (JSON.stringify(before) !== JSON.stringify(after)) HistoryEngine.push(new SelectionSetCommand(before, after, { label }));
+    bumpSceneVersion(label);
+    return result;
+  };
+
+  const toStoreIds = (objects) => (Array.isArray(objects) ? objects : [objects])
+    .map((o) => (typeof o === 'string' ? o : storeIdFor(o))).filter(Boolean);
+
+  const selectionSetApi = {
+    // objects default to the current selection
+    createSelectionSet: (name, objects = null) => recordSelectionSetEdit('selection-set-add', () =>
+      SceneGraphStore.addSelectionSet(name, objects ? toStoreIds(objects) : SceneGraphStore.getSelectedIds())),
+    deleteSelectionSet: (id) => recordSelectionSetEdit('selection-set-delete', () => SceneGraphStore.removeSelectionSet(id)),
+    renameSelectionSet: (id, name) => recordSelectionSetEdit('selection-set-rename', () => SceneGraphStore.updateSelectionSet(id, { name })),
+    // replace the set's members (current selection by default)
+    updateSelectionSet: (id, objects = null) => recordSelectionSetEdit('selection-set-update', () =>
+      SceneGraphStore.updateSelectionSet(id, { ids: objects ? toStoreIds(objects) : SceneGraphStore.getSelectedIds() })),
+    selectSelectionSet: (id, opts = {}) => setSelection(SceneGraphStore.resolveSelectionSet(id).map((i) => SceneGraphStore.getObject(i)), opts),
+    getSelectionSets: () => SceneGraphStore.getSelectionSets(),
+  };
+
+  // Meshes an object renders itself: its own mesh plus unregistered descendants
+  // (registered descendants are matched on their own)
+  const ownMeshes = (obj) => {
+    const out = [];
+    const walk = (n) => {
+      if (n.isMesh) out.push(n);
+      n.children.forEach((c) => { if (!SceneGraphStore.objects[c.uuid]) walk(c); });
+    };
+    walk(obj);
+    return out;
+  };
+  const materialsOf = (obj) => ownMeshes(obj).flatMap((m) => (Array.isArray(m.material) ? m.material : [m.material])).filter(Boolean);
+
+  const OBJECT_KINDS = {
+    lights: (o) => !!o.isLight,
+    cameras: (o) => !!o.isCamera,
+    meshes: (o) => !o.isLight && !o.isCamera && ownMeshes(o).length > 0,
+  };
+
+  /**
+   * Find objects matching one criterion.
+   *   { by: 'material' | 'geometry', reference? }  shares a material / geometry with reference (default: selection)
+   *   { by: 'type', value: 'lights' | 'cameras' | 'meshes' }
+   *   { by: 'name', value: regex source }           case-insensitive
+   *   { by: 'triangles', min?, max? }               top-level objects, counts from getSceneSummary
+   *   { by: 'issue', value: validator issue code }  top-level objects with that issue
+   * @returns {{ ok: boolean, objects?: THREE.Object3D[], error?: string }}
+   */
+  const findObjectsBy = (criteria = {}) => {
+    const ids = SceneGraphStore.getDescendants(null);
+    const toObjects = (list) => list.map((id) => SceneGraphStore.getObject(id)).filter(Boolean);
+    switch (criteria.by) {
+      case 'material':
+      case 'geometry': {
+        const reference = criteria.reference || selectedInternal || SceneGraphStore.getSelected()[0];
+        if (!reference) return { ok: false, error: 'Select a reference object first' };
+        const pick = criteria.by === 'material' ? materialsOf : (o) => ownMeshes(o).map((m) => m.geometry).filter(Boolean);
+        const wanted = new Set(pick(reference));
+        if (!wanted.size) return { ok: false, error: `Reference has no ${criteria.by}` };
+        return { ok: true, objects: toObjects(ids).filter((o) => pick(o).some((x) => wanted.has(x))) };
+      }
+      case 'type': {
+        const test = OBJECT_KINDS[criteria.value];
+        if (!test) return { ok: false, error: `Unknown type '${criteria.value}'` };
+        return { ok: true, objects: toObjects(ids).filter(test) };
+      }
+      case 'name': {
+        let re;
+        try { re = new RegExp(criteria.value || '', 'i'); } catch (e) { return { ok: false, error: `Invalid pattern: ${e.message}` }; }
+        return { ok: true, objects: toObjects(SceneGraphStore.findByName(re)) };
+      }
+      case 'triangles': {
+        const min = Number.isFinite(criteria.min) ? criteria.min : 0;
+        const max = Number.isFinite(criteria.max) ? criteria.max : Infinity;
+        const { objectsList } = getSceneSummary();
+        return { ok: true, objects: toObjects(objectsList.filter((o) => o.tris >= min && o.tris <= max).map((o) => o.uuid)) };
+      }
+      case 'issue': {
+        if (!criteria.value) return { ok: false, error: 'No issue code' };
+        const report = validateScene(sceneRef.current);
+        const hit = report.filter((r) => r.issues.some((m) => m.issues.some((i) => i.code === criteria.value)));
+        return { ok: true, objects: toObjects(hit.map((r) => r.uuid)) };
+      }
+      default:
+        return { ok: false, error: `Unknown criterion '${criteria.by}'` };
     }
   };
 
+  // Select what findObjectsBy matches; opts.add extends the current selection
+  const selectBy = (criteria, opts = {}) => {
+    const res = findObjectsBy(criteria);
+    if (!res.ok) return res;
+    const objects = setSelection(res.objects, opts);
+    return { ok: true, count: objects.length, objects };
+  };
+
   const deleteSelected = () => {
-    if (!selectedInternal || !sceneRef.current) return;
+    if (!selectedInternal || !sceneRef.current) return false;
     try {
-      try { selectedInternal.traverse(n => { SceneGraphStore.removeObject?.(n.uuid); }); } catch (e) {}
-      const snap = selectedInternal.toJSON();
-      const uuid = selectedInternal.uuid;
-      try { disposeObject(selectedInternal); } catch (e) {}
-      if (selectedInternal.parent) selectedInternal.parent.remove(selectedInternal);
-      clearSelection();
-      bumpSceneVersion('delete');
-      try { EventBus?.emit?.("scene:updated", { id: uuid, type: "delete" }); } catch (e) {}
-
-      cmdHistoryRef.current.push(new Cmd(
-        () => {
-          const ug = getUserGroup();
-          const ex = ug?.getObjectByProperty('uuid', uuid);
-          if (ex) { disposeObject(ex); if (ex.parent) ex.parent.remove(ex); }
-        },
-        () => {
-          try {
-            const loader = new THREE.ObjectLoader();
-            const recreated = loader.parse(snap);
-            recreated.userData = recreated.userData || {};
-            recreated.userData.__objekta = true;
-            const ug = getUserGroup();
-            safeAdd(ug || sceneRef.current, recreated, "undo_delete");
-            try { recreated.traverse(n => { SceneGraphStore.addObject?.(n.uuid, n, { name: n.name, type: n.type }); }); } catch (e) {}
-            ensureBVHForObject(recreated);
-            bumpSceneVersion('undo-delete');
-          } catch (e) { console.warn("Undo delete failed", e); }
-        },
-        "delete"
-      ));
-    } catch (e) { console.error(e); }
-    commitHistory("delete");
-    needsRenderRef.current = true;
+      return removeObjectWithHistory(selectedInternal, 'delete');
+    } catch (e) { console.error(e); return false; }
   };
 
   const duplicateSelected = () => {
-    if (!selectedInternal || !sceneRef.current) return;
+    if (!selectedInternal || !sceneRef.current) return false;
+    if (isObjectLocked(selectedInternal)) { console.warn('duplicate: object is locked', selectedInternal.name); return false; }
     try {
       const clone = selectedInternal.clone(true);
       clone.position = clone.position.clone().add(new THREE.Vector3(0.2,0.2,0.2));
@@ -1416,43 +1697,12 @@ try {
       clone.userData.__objekta = true;
       clone.traverse((n) => { if (n.isMesh && n.material) { try { n.material = Array.isArray(n.material) ? n.material.map(m => m.clone()) : n.material.clone(); } catch (err) {} } });
       const userGroup = getUserGroup();
-      safeAdd(userGroup || sceneRef.current, clone, clone.name);
-      ensureBVHForObject(clone);
-      try { clone.traverse(n => { SceneGraphStore.addObject?.(n.uuid, n, { name: n.name, type: n.type }); }); } catch (e) {}
+      HistoryEngine.execute(new AddObjectCommand(clone, userGroup || sceneRef.current, objectCmdOptions('duplicate')));
       selectObject(clone);
       bumpSceneVersion('duplicate');
-      try { EventBus?.emit?.("scene:updated", { id: clone.uuid, type: "duplicate" }); } catch (e) {}
-
-      try {
-        const snap = clone.toJSON(); const uuid = clone.uuid;
-        cmdHistoryRef.current.push(new Cmd(
-          () => {
-            try {
-              const loader = new THREE.ObjectLoader();
-              const recreated = loader.parse(snap);
-              recreated.userData = recreated.userData || {};
-              recreated.userData.__objekta = true;
-              const ug = getUserGroup();
-              safeAdd(ug || sceneRef.current, recreated, "redo_duplicate");
-              try { recreated.traverse(n => { SceneGraphStore.addObject?.(n.uuid, n, { name: n.name, type: n.type }); }); } catch (e) {}
-              ensureBVHForObject(recreated);
-              bumpSceneVersion('redo-duplicate');
-            } catch (e) { console.warn("Redo duplicate failed", e); }
-          },
-          () => {
-            const ug = getUserGroup();
-            const ex = ug?.getObjectByProperty('uuid', uuid);
-            if (ex) {
-              try { ex.traverse(n => { SceneGraphStore.removeObject?.(n.uuid); }); } catch (e) {}
-              disposeObject(ex); if (ex.parent) ex.parent.remove(ex); bumpSceneVersion('undo-duplicate');
-            }
-          },
-          "duplicate"
-        ));
-      } catch (e) {}
-      commitHistory('duplicate');
     } catch (err) { console.error('duplicate error', err); }
     needsRenderRef.current = true;
+    return true;
   };
 
   // ---------- Toolbar ----------
@@ -1470,84 +1720,261 @@ try {
     if (!sceneRef.current) return null;
     const userGroup = getUserGroup();
     const snaps = userGroup ? Array.from(userGroup.children).filter((c) => c.userData?.__objekta).map((c) => c.toJSON()) : [];
-    return { snaps };
+    // store metadata (collection, lock flags, ...) by object uuid; ObjectLoader keeps uuids
+    const metadata = {};
+    Object.entries(SceneGraphStore.objects).forEach(([id, entry]) => { metadata[id] = { ...(entry.metadata || {}) }; });
+    return {
+      version: SCENE_VERSION,
+      snaps, metadata,
+      collections: SceneGraphStore.serializeCollections(),
+      selectionSets: SceneGraphStore.serializeSelectionSets(),
+    };
   };
 
-  const loadFromData = (data) => {
-    if (!data || !data.snaps || !sceneRef.current) return;
-    const userGroup = getUserGroup();
-    const toRemove = userGroup ? Array.from(userGroup.children) : [];
-    toRemove.forEach((c) => { if (c.parent) c.parent.remove(c); try { disposeObject(c); } catch (e) {} });
+  /**
+   * Migrate, check and parse saved scene data. Snaps that fail the schema or ObjectLoader
+   * are listed in report.failed ({ index, name, error }).
+   * @returns {{ report: object, objects: THREE.Object3D[], data: object }}
+   */
+  const parseSceneData = (raw) => {
+    const { data, from } = migrateScene(raw);
+    const report = { ...checkScene(data), from, failed: [], loaded: 0 };
+    const objects = [];
+    if (report.fatal) return { report, objects, data };
+    report.invalidSnaps.forEach(({ index, name, problems }) => report.failed.push({ index, name, error: problems.join('; ') }));
     const loader = new THREE.ObjectLoader();
-    data.snaps.forEach((snap) => {
+    report.validSnaps.forEach((index) => {
+      const snap = data.snaps[index];
       try {
         const obj = loader.parse(snap);
         obj.userData.__objekta = true;
-        safeAdd(userGroup || sceneRef.current, obj, "load_data_obj");
-        ensureBVHForObject(obj);
-        try { obj.traverse(n => { SceneGraphStore.addObject?.(n.uuid, n, { name: n.name, type: n.type }); }); } catch (e) {}
-      } catch (err) { console.error('Failed to load object from data', err); }
+        objects.push(obj);
+      } catch (err) {
+        const name = snap.object?.name || snap.object?.type || `object ${index + 1}`;
+        report.failed.push({ index, name, error: err.message || String(err) });
+        report.errors.push({ path: `snaps[${index}]`, message: `could not be parsed: ${err.message || err}` });
+        report.ok = false;
+      }
     });
-    commitHistory('load');
+    report.failed.sort((x, y) => x.index - y.index);
+    return { report, objects, data };
+  };
+
+  /**
+   * Replace the scene with saved data (serializeScene output, any version).
+   * Nothing changes when the data is unusable, or when some objects fail and `partial`
+   * is off; with `partial` the good objects are loaded and the rest listed in the report.
+   * @param {object} raw
+   * @param {{ partial?: boolean }} [opts]
+   * @returns {{ ok: boolean, applied: boolean, fatal: boolean, loaded: number, failed: {index, name, error}[],
+   *   errors: {path, message}[], warnings: {path, message}[], from: number, message: string }}
+   */
+  const loadFromData = (raw, { partial = false } = {}) => {
+    const { report, objects, data } = parseSceneData(raw);
+    const finish = (applied) => ({ ...report, applied, message: formatSceneReport(report) });
+    if (!sceneRef.current || report.fatal || !objects.length && report.failed.length) return finish(false);
+    if (report.failed.length && !partial) return finish(false);
+
+    const userGroup = getUserGroup();
+    const toRemove = userGroup ? Array.from(userGroup.children) : [];
+    const collections = data.collections;
+    const validCollections = Array.isArray(collections?.collections) && collections.members && typeof collections.members === 'object';
+    HistoryEngine.transaction('load', () => {
+      const collectionsBefore = SceneGraphStore.serializeCollections();
+      const selectionSetsBefore = SceneGraphStore.serializeSelectionSets();
+      toRemove.forEach((c) => HistoryEngine.execute(new RemoveObjectCommand(c, c.parent, objectCmdOptions('load'))));
+      objects.forEach((obj) => HistoryEngine.execute(new AddObjectCommand(obj, userGroup || sceneRef.current, objectCmdOptions('load'))));
+      Object.entries(data.metadata || {}).forEach(([id, meta]) => {
+        if (SceneGraphStore.getEntry(id) && meta && typeof meta === 'object') SceneGraphStore.updateMetadata(id, meta);
+      });
+      SceneGraphStore.restoreCollections(validCollections ? collections : { collections: [], members: {} });
+      HistoryEngine.push(new CollectionCommand(collectionsBefore, SceneGraphStore.serializeCollections(), { label: 'load' }));
+      SceneGraphStore.restoreSelectionSets((Array.isArray(data.selectionSets) ? data.selectionSets : []).filter((set) => set && Array.isArray(set.ids)));
+      HistoryEngine.push(new SelectionSetCommand(selectionSetsBefore, SceneGraphStore.serializeSelectionSets(), { label: 'load' }));
+    });
+    report.loaded = objects.length;
+    if (report.failed.length) console.warn(`loadFromData: ${report.failed.length} object(s) skipped\n${formatSceneReport(report)}`);
     bumpSceneVersion('loadFromData');
-    try { EventBus?.emit?.("scene:updated", { type: "load" }); } catch (e) {}
     needsRenderRef.current = true;
+    return finish(true);
+  };
+
+  // ---------- Camera views ----------
+  const cameraBookmarksRef = useRef([]); // [{ id, name, view }]
+  const bookmarkSeqRef = useRef(0);
+
+  /** Current camera placement: { position, target, fov, zoom } (arrays are [x, y, z]) */
+  const getCameraView = () => {
+    const camera = cameraRef.current;
+    if (!camera) return null;
+    const target = orbitRef.current?.target;
+    return { position: camera.position.toArray(), target: target ? target.toArray() : null, fov: camera.fov, zoom: camera.zoom };
+  };
+
+  const setCameraView = (view) => {
+    const camera = cameraRef.current;
+    if (!camera || !view) return false;
+    if (Array.isArray(view.position)) camera.position.fromArray(view.position);
+    if (Array.isArray(view.target) && orbitRef.current?.target) orbitRef.current.target.fromArray(view.target);
+    if (typeof view.fov === 'number' && camera.isPerspectiveCamera) camera.fov = view.fov;
+    if (typeof view.zoom === 'number') camera.zoom = view.zoom;
+    camera.updateProjectionMatrix();
+    if (orbitRef.current?.target) camera.lookAt(orbitRef.current.target);
+    try { orbitRef.current?.update?.(); } catch (e) {}
+    needsRenderRef.current = true;
+    return true;
+  };
+
+  const emitBookmarks = () => EventBus.emit('camera:bookmarks', { bookmarks: getCameraBookmarks() });
+  const getCameraBookmarks = () => cameraBookmarksRef.current.map((b) => ({ ...b }));
+
+  const addCameraBookmark = (name) => {
+    const view = getCameraView();
+    if (!view) return null;
+    const id = `view_${Date.now().toString(36)}_${++bookmarkSeqRef.current}`;
+    cameraBookmarksRef.current = [...cameraBookmarksRef.current, { id, name: name || `View ${cameraBookmarksRef.current.length + 1}`, view }];
+    emitBookmarks();
+    return id;
+  };
+
+  const removeCameraBookmark = (id) => {
+    cameraBookmarksRef.current = cameraBookmarksRef.current.filter((b) => b.id !== id);
+    emitBookmarks();
+  };
+
+  const goToCameraBookmark = (id) => {
+    const bookmark = cameraBookmarksRef.current.find((b) => b.id === id);
+    return bookmark ? setCameraView(bookmark.view) : false;
+  };
+
+  /** Replace all bookmarks (project load) */
+  const setCameraBookmarks = (list) => {
+    cameraBookmarksRef.current = (Array.isArray(list) ? list : []).filter((b) => b && b.id && b.view).map((b) => ({ ...b }));
+    emitBookmarks();
   };
 
+  // Clears the history, then records the reset as a snapshot step so one undo brings the scene back
   const resetScene = ({ skipConfirm } = {}) => {
     const userGroup = getUserGroup();
     const toRemove = userGroup ? Array.from(userGroup.children) : [];
-    toRemove.forEach((c) => { try { disposeObject(c); } catch (e) {} if (c.parent) c.parent.remove(c); });
-    snapshotHistoryRef.current = [];
-    snapshotHistoryIndexRef.current = -1;
-    cmdHistoryRef.current.clear();
-    pushHistorySnapshot('reset');
     clearSelection();
+    HistoryEngine.clear();
+    HistoryEngine.record('reset', () => {
+      toRemove.forEach((c) => { if (c.parent) c.parent.remove(c); try { disposeObject(c); } catch (e) {} });
+      try { SceneGraphStore.reset(); } catch (e) {}
+    });
     bumpSceneVersion('resetScene');
-    try { if (SceneGraphStore.clearSelection) SceneGraphStore.clearSelection(); if (SceneGraphStore.objects) SceneGraphStore.objects = {}; } catch (e) {}
-    try { EventBus?.emit?.("scene:updated", { type: "reset" }); } catch (e) {}
     needsRenderRef.current = true;
   };
 
   // ---------- Helpers used by ObjectProperties ----------
   const renameSelected = (name) => {
     if (!selectedInternal) return;
-    selectedInternal.name = name;
-    commitHistory('rename');
-    bumpSceneVersion('rename');
-    try { SceneGraphStore.renameObject?.(selectedInternal.uuid, name); } catch (e) {}
-    try { EventBus?.emit?.("scene:updated", { id: selectedInternal.uuid, type: "rename" }); } catch (e) {}
-    needsRenderRef.current = true;
+    renameObjectWithHistory(selectedInternal, name);
   };
 
   // ---------- Transform batching ----------
   const pendingTransformRef = useRef({ position: false, rotation: false, scale: false });
   const transformFlushTimerRef = useRef(null);
+  const pendingTransformTargetRef = useRef(null); // objects touched since the last flush
   const TRANSFORM_FLUSH_MS = 100;
 
+  // Last recorded transforms of the edit targets (uuid -> state). ObjectProperties applies
+  // values before calling handleTransformChange, so "before" can't be read at flush time.
+  const transformBaselineRef = useRef(new Map());
+  const refreshTransformBaseline = () => {
+    transformBaselineRef.current = new Map(getTransformTargets().map((o) => [o.uuid, TransformCommand.capture(o)]));
+  };
+
   const handleTransformChange = (prop, axis, val) => {
-    if (!selectedInternal) return;
+    const targets = (selectedSetRef.current.size >= 2 ? Array.from(selectedSetRef.current) : (selectedInternal ? [selectedInternal] : []))
+      .filter((o) => !isObjectLocked(o));
+    if (!targets.length) return;
     if (!["position","rotation","scale"].includes(prop)) return;
     const axes = ['x','y','z']; let idx = axis;
     if (typeof axis === 'string') idx = axes.indexOf(axis);
     else if (typeof axis === 'number') idx = axis;
     if (typeof idx !== 'number' || idx < 0 || idx > 2) return;
     const key = axes[idx];
-    try {
-      if (prop === 'rotation') selectedInternal.rotation[key] = val;
-      else selectedInternal[prop][key] = val;
-    } catch (e) {}
+    // the panel shows the primary object's value: apply the edit as a delta from it, so a
+    // multi-selection moves together instead of collapsing onto one coordinate
+    const shown = (selectedInternal || targets[0])[prop][key];
+    const delta = Number.isFinite(shown) ? val - shown : 0;
+    targets.forEach((o) => {
+      try {
+        o[prop][key] = targets.length > 1 ? o[prop][key] + delta : val;
+        o.updateMatrixWorld(true);
+      } catch (e) {}
+    });
     pendingTransformRef.current[prop] = true;
     if (transformFlushTimerRef.current) clearTimeout(transformFlushTimerRef.current);
-    transformFlushTimerRef.current = setTimeout(() => {
-      try { commitHistoryDebounced('prop-change'); } catch (e) {}
-      try { bumpSceneVersion('prop-change'); } catch (e) {}
-      pendingTransformRef.current = { position: false, rotation: false, scale: false };
-      transformFlushTimerRef.current = null;
-    }, TRANSFORM_FLUSH_MS);
+    pendingTransformTargetRef.current = targets;
+    transformFlushTimerRef.current = setTimeout(flushTransformChange, TRANSFORM_FLUSH_MS);
     needsRenderRef.current = true;
   };
 
+  // Record pending numeric transform edits as a TransformCommand
+  const flushTransformChange = () => {
+    if (transformFlushTimerRef.current) clearTimeout(transformFlushTimerRef.current);
+    transformFlushTimerRef.current = null;
+    const targets = pendingTransformTargetRef.current;
+    pendingTransformTargetRef.current = null;
+    if (!targets || !targets.length) return;
+    try {
+      const base = transformBaselineRef.current;
+      const ids = [];
+      const before = {};
+      const after = {};
+      targets.forEach((o) => {
+        const state = TransformCommand.capture(o);
+        const prev = base.get(o.uuid);
+        base.set(o.uuid, state);
+        if (!prev || !SceneGraphStore.objects[o.uuid] || JSON.stringify(prev) === JSON.stringify(state)) return;
+        ids.push(o.uuid);
+        before[o.uuid] = prev;
+        after[o.uuid] = state;
+      });
+      if (ids.length) HistoryEngine.push(new TransformCommand(ids, before, after));
+    } catch (e) {}
+    try { bumpSceneVersion('prop-change'); } catch (e) {}
+    pendingTransformRef.current = { position: false, rotation: false, scale: false };
+  };
+
+  // Bracket a continuous edit (slider/Numeric scrub) so it lands as one undo step
+  const editDepthRef = useRef(0);
+  const beginEdit = (label = 'edit') => {
+    HistoryEngine.beginTransaction(label);
+    editDepthRef.current++;
+  };
+  const commitEdit = () => {
+    flushTransformChange();
+    if (editDepthRef.current <= 0) return;
+    editDepthRef.current--;
+    HistoryEngine.commitTransaction();
+  };
+
+  // once-only bracket for the inline sliders: closes on whichever ends the scrub first
+  // (pointerup, a cancelled touch, lost capture, blur), as ObjectProperties' scrubProps
+  const scrubOpenRef = useRef(false);
+  const scrubProps = (label) => {
+    const close = () => {
+      if (!scrubOpenRef.current) return;
+      scrubOpenRef.current = false;
+      commitEdit();
+    };
+    return {
+      onPointerDown: () => {
+        if (scrubOpenRef.current) return;
+        scrubOpenRef.current = true;
+        beginEdit(label);
+      },
+      onPointerUp: close,
+      onPointerCancel: close,
+      onLostPointerCapture: close,
+      onBlur: close,
+    };
+  };
+
   const toggleSnap = (enable) => {
     const transform = transformRef.current; if (!transform) return; if (typeof enable === 'boolean') transform.setTranslationSnap(enable ? 0.5 : null); else transform.setTranslationSnap(null);
     needsRenderRef.current = true;
@@ -1593,16 +2020,16 @@ try {
         tex.encoding = THREE.sRGBEncoding;
         tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
         const applyTo = selectedSetRef.current.size ? Array.from(selectedSetRef.current) : [selectedInternal];
-        applyTo.forEach(o => {
-          o.traverse(n => {
-            if (n.isMesh) {
-              const mats = Array.isArray(n.material) ? n.material : [n.material];
-              mats.forEach(m => {
-                try { m.map && m.map.dispose && m.map.dispose(); } catch(e) {}
-                m.map = tex; m.needsUpdate = true;
-              });
-            }
-          });
+        // previous maps stay alive so the edit can be undone
+        HistoryEngine.transaction('material-map', () => {
+          applyTo.forEach(o => recordMaterialEdit('material-map', () => {
+            o.traverse(n => {
+              if (n.isMesh) {
+                const mats = Array.isArray(n.material) ? n.material : [n.material];
+                mats.forEach(m => { m.map = tex; m.needsUpdate = true; });
+              }
+            });
+          }, o));
         });
         needsRenderRef.current = true;
         resolve(tex);
@@ -1658,11 +2085,23 @@ try {
   };
 
   useImperativeHandle(ref, () => ({
-    addItem, addGLTF, exportGLTF, undo, redo, deleteSelected,
+    addItem, addGLTF, importModel, importFromURL, addAsset, renderThumbnail, exportModel, exportGLTF, undo, redo, deleteSelected,
     setTransformMode: (mode) => setTransformModeState(mode),
     serializeScene, loadFromData, resetScene,
     onResize: () => { if (!containerRef.current || !rendererRef.current || !cameraRef.current) return; const w = containerRef.current.clientWidth; const h = containerRef.current.clientHeight; rendererRef.current.setSize(w, h, false); cameraRef.current.aspect = w / h; cameraRef.current.updateProjectionMatrix(); if (postfxApiRef.current) postfxApiRef.current.setSize && postfxApiRef.current.setSize(w, h); if (composerRef.current) composerRef.current.setSize && composerRef.current.setSize(w, h); },
     renameSelected, handleTransformChange, toggleSnap, setSnapValue, duplicateSelected,
+    recordMaterialEdit,
+    setObjectVisible: setVisibleWithHistory,
+    setObjectLocked, setObjectSelectable,
+    isObjectLocked, isObjectSelectable,
+    ...collectionApi,
+    ...selectionSetApi,
+    findObjectsBy, selectBy, setSelection,
+    getHistory: () => HistoryEngine.getEntries(),
+    beginEdit, commitEdit,
+    jumpToHistory, restoreHistoryBranch,
+    getCameraView, setCameraView,
+    getCameraBookmarks, setCameraBookmarks, addCameraBookmark, removeCameraBookmark, goToCameraBookmark,
     selectObject,
     startSculpting: (mesh = null, opts = {}) => {
       const target = mesh || selectedInternal;
@@ -1681,7 +2120,8 @@ try {
     setControlsEnabled,
     validateScene: validateSceneAPI,
     getSceneSummary,
-    getSceneObjects: () => { const ug = getUserGroup(); return ug ? Array.from(ug.children) : []; },
+    getSceneObjects: () => SceneGraphStore.getRootIds().map((id) => SceneGraphStore.getObject(id)).filter(Boolean),
+    getSceneGraph: () => SceneGraphStore,
     getSceneVersion: () => sceneVersionRef.current,
     get scene() { return sceneRef.current; },
     applyTextureToSelection,
@@ -1695,9 +2135,12 @@ try {
   // Mirror the same API surface on global for legacy callers
   try {
     window.__OBJEKTA_WORKSPACE = {
-      addItem, addGLTF, exportGLTF, undo, redo,
+      addItem, addGLTF, importModel, importFromURL, addAsset, exportModel, exportGLTF, undo, redo,
       getScene: () => sceneRef.current, getRenderer: () => rendererRef.current, getCamera: () => cameraRef.current,
       selectObject: (o) => selectObject(o), serializeScene, validateScene: validateSceneAPI, getSceneSummary,
+      setObjectLocked, setObjectSelectable, isObjectLocked, isObjectSelectable,
+      findObjectsBy, selectBy,
+      getCameraView, setCameraView, getCameraBookmarks, addCameraBookmark, goToCameraBookmark,
       // NEW global sculpt API for external toolbars (SculptToolbar)
       startSculpting: (mesh = null, opts = {}) => {
         try {
@@ -1720,36 +2163,24 @@ try {
 
   // ---------- Panels: Outliner + Properties ----------
   const OutlinerPanelInner = ({ onPrimarySelect }) => {
-    const [items, setItems] = useState([]);
-    const lastVer = useRef(sceneVersionRef.current);
-    useEffect(() => {
-      let mounted = true;
-      const scanOnce = () => {
-        const ug = getUserGroup();
-        const list = ug ? Array.from(ug.children) : [];
-        if (!mounted) return;
-        setItems(list);
-      };
-      scanOnce();
-      const iv = setInterval(() => {
-        const ver = sceneVersionRef.current;
-        if (ver !== lastVer.current) { lastVer.current = ver; scanOnce(); }
-      }, 600);
-      return () => { mounted = false; clearInterval(iv); };
-    }, []);
-
-    const toggleVisibility = (obj) => { obj.visible = !obj.visible; commitHistory('vis-toggle'); bumpSceneVersion('visibility'); needsRenderRef.current = true; };
-    const removeObject = (obj) => { try { disposeObject(obj); } catch (e) {} if (obj.parent) obj.parent.remove(obj); commitHistory('delete'); bumpSceneVersion('removeObject'); needsRenderRef.current = true; };
-    const renameObject = (obj) => { const nv = prompt('Rename object', obj.name || ''); if (nv && nv !== obj.name) { obj.name = nv; commitHistory('rename'); bumpSceneVersion('renameObject'); needsRenderRef.current = true; } };
+    const rootIds = useSceneGraph((s) => s.getRootIds());
+    // visibility/name changes replace entries, so this re-renders rows when they change
+    const entries = useSceneGraph((s) => rootIds.map((id) => s.getEntry(id)));
+    const selectedIds = useSceneGraph((s) => s.getSelectedIds());
+    const rows = entries.filter((e) => e && e.object);
+
+    const toggleVisibility = (obj) => { setVisibleWithHistory(obj, !obj.visible); };
+    const removeObject = (obj) => { removeObjectWithHistory(obj, 'delete'); };
+    const renameObject = (obj) => { const nv = prompt('Rename object', obj.name || ''); if (nv && nv !== obj.name) renameObjectWithHistory(obj, nv); };
 
     return (
       <div style={{ overflowY: 'auto', padding: 8, height: '100%' }}>
         <div style={{ fontWeight: 700, marginBottom: 8 }}>Scene Outliner</div>
-        {items.map((it) => (
+        {rows.map(({ object: it, locked, selectable }) => (
           <div key={it.uuid} style={{
             display: 'flex', alignItems: 'center', gap: 8,
             padding: '6px 8px', borderRadius: 8,
-            background: it.userData?.__selected ? 'rgba(127,90,240,0.12)' : 'transparent',
+            background: selectedIds.includes(it.uuid) ? 'rgba(127,90,240,0.12)' : 'transparent',
             marginBottom: 6
           }}>
             <div style={{ flex: 1, cursor: 'pointer' }}
@@ -1758,7 +2189,9 @@ try {
             </div>
             <button title="Rename" onClick={() => renameObject(it)}>✎</button>
             <button title="Toggle visibility" onClick={() => toggleVisibility(it)}>{it.visible ? '👁' : '🚫'}</button>
-            <button title="Delete" onClick={() => { if (confirm('Delete object?')) removeObject(it); }}>🗑</button>
+            <button title={locked ? 'Unlock' : 'Lock'} onClick={() => setObjectLocked(it, !locked)}>{locked ? '🔒' : '🔓'}</button>
+            <button title={selectable ? 'Make unselectable' : 'Make selectable'} onClick={() => setObjectSelectable(it, !selectable)}>{selectable ? '➚' : '⊘'}</button>
+            <button title={locked ? 'Locked' : 'Delete'} disabled={locked} onClick={() => { if (confirm('Delete object?')) removeObject(it); }}>🗑</button>
           </div>
         ))}
       </div>
@@ -1786,37 +2219,35 @@ try {
       if (foundCol) setColor(foundCol);
     }, [selected]);
 
-    const applyName = (v) => { if (!selected) return; selected.name = v; commitHistory('rename'); bumpSceneVersion('renameProp'); needsRenderRef.current = true; };
+    const applyName = (v) => { if (!selected) return; renameObjectWithHistory(selected, v); };
     const applyColor = (hex) => {
       if (!selected) return;
-      selected.traverse((n) => {
-        if (n.isMesh && n.material) {
-          try {
-            const mats = Array.isArray(n.material) ? n.material : [n.material];
-            mats.forEach((m) => { if (m.color) m.color.set(hex); });
-          } catch (e) {}
-        }
-      });
-      commitHistory('material-color');
-      bumpSceneVersion('materialColor');
-      needsRenderRef.current = true;
+      recordMaterialEdit('material-color', () => {
+        selected.traverse((n) => {
+          if (n.isMesh && n.material) {
+            try {
+              const mats = Array.isArray(n.material) ? n.material : [n.material];
+              mats.forEach((m) => { if (m.color) m.color.set(hex); });
+            } catch (e) {}
+          }
+        });
+      }, selected);
     };
     const applyRoughMetal = (r, m) => {
       if (!selected) return;
-      selected.traverse((n) => {
-        if (n.isMesh && n.material) {
-          try {
-            const mats = Array.isArray(n.material) ? n.material : [n.material];
-            mats.forEach((mat) => {
-              if (typeof r === 'number' && typeof mat.roughness === 'number') mat.roughness = r;
-              if (typeof m === 'number' && typeof mat.metalness === 'number') mat.metalness = m;
-            });
-          } catch (e) {}
-        }
-      });
-      commitHistory('material-prop');
-      bumpSceneVersion('materialProp');
-      needsRenderRef.current = true;
+      recordMaterialEdit('material-prop', () => {
+        selected.traverse((n) => {
+          if (n.isMesh && n.material) {
+            try {
+              const mats = Array.isArray(n.material) ? n.material : [n.material];
+              mats.forEach((mat) => {
+                if (typeof r === 'number' && typeof mat.roughness === 'number') mat.roughness = r;
+                if (typeof m === 'number' && typeof mat.metalness === 'number') mat.metalness = m;
+              });
+            } catch (e) {}
+          }
+        });
+      }, selected);
     };
 
     if (!selected) return <div style={{ padding: 12 }}>No selection</div>;
@@ -1837,17 +2268,17 @@ try {
 
         <div style={{ marginBottom: 8 }}>
           <label style={{ display: 'block', fontSize: 12 }}>Roughness: {roughness.toFixed(2)}</label>
-          <input type="range" min="0" max="1" step="0.01" value={roughness} onChange={(e) => { const v = parseFloat(e.target.value); setRoughness(v); applyRoughMetal(v, metalness); }} style={{ width: '100%' }} />
+          <input type="range" min="0" max="1" step="0.01" value={roughness} {...scrubProps('material-prop')} onChange={(e) => { const v = parseFloat(e.target.value); setRoughness(v); applyRoughMetal(v, metalness); }} style={{ width: '100%' }} />
         </div>
 
         <div style={{ marginBottom: 8 }}>
           <label style={{ display: 'block', fontSize: 12 }}>Metalness: {metalness.toFixed(2)}</label>
-          <input type="range" min="0" max="1" step="0.01" value={metalness} onChange={(e) => { const v = parseFloat(e.target.value); setMetalness(v); applyRoughMetal(roughness, v); }} style={{ width: '100%' }} />
+          <input type="range" min="0" max="1" step="0.01" value={metalness} {...scrubProps('material-prop')} onChange={(e) => { const v = parseFloat(e.target.value); setMetalness(v); applyRoughMetal(roughness, v); }} style={{ width: '100%' }} />
         </div>
 
         <div style={{ marginTop: 12 }}>
-          <button onClick={() => { selected.visible = !selected.visible; commitHistory('vis-toggle'); bumpSceneVersion('propVisibility'); needsRenderRef.current = true; }}>{selected.visible ? 'Hide' : 'Show'}</button>
-          <button style={{ marginLeft: 8 }} onClick={() => { if (confirm('Delete selection?')) { try { disposeObject(selected); } catch (e) {} if (selected.parent) selected.parent.remove(selected); clearSelection(); commitHistory('delete'); bumpSceneVersion('propDelete'); } }}>Delete</button>
+          <button onClick={() => setVisibleWithHistory(selected, !selected.visible)}>{selected.visible ? 'Hide' : 'Show'}</button>
+          <button style={{ marginLeft: 8 }} onClick={() => { if (confirm('Delete selection?')) removeObjectWithHistory(selected, 'delete'); }}>Delete</button>
         </div>
       </div>
     );
@@ -1,32 +1,486 @@
 // src/engine/ExportEngine.js
 import * as THREE from "three";
 import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { STLExporter } from "three/examples/jsm/exporters/STLExporter.js";
+import { OBJExporter } from "three/examples/jsm/exporters/OBJExporter.js";
+import { PLYExporter } from "three/examples/jsm/exporters/PLYExporter.js";
+import { USDZExporter } from "three/examples/jsm/exporters/USDZExporter.js";
+import { SimplifyModifier } from "three/examples/jsm/modifiers/SimplifyModifier.js";
+import { mergeGeometries, mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { zipSync, strToU8 } from "three/examples/jsm/libs/fflate.module.js";
 import { SceneGraphStore } from "../store/SceneGraphStore";
+import { bakeTransforms, UNIT_SCALE } from "./ImportEngine";
+import EventBus from "../utils/EventBus";
+
+/**
+ * Export formats. STL, OBJ and PLY carry geometry only (no lights/cameras) in world space;
+ * OBJ is zipped together with its .mtl and texture images.
+ */
+export const EXPORT_FORMATS = {
+  glb: { label: "GLB (binary glTF)", extension: "glb", type: "model/gltf-binary" },
+  gltf: { label: "glTF (JSON)", extension: "gltf", type: "model/gltf+json" },
+  stl: { label: "STL (3D printing)", extension: "stl", type: "model/stl", meshOnly: true },
+  obj: { label: "OBJ + MTL", extension: "zip", type: "application/zip", meshOnly: true },
+  ply: { label: "PLY (meshes/point clouds)", extension: "ply", type: "application/octet-stream", meshOnly: true },
+  usdz: { label: "USDZ (Quick Look)", extension: "usdz", type: "model/vnd.usdz+zip" },
+};
+
+export const EXPORT_SCOPES = ["all", "selection", "visible", "objects", "collection"];
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: "glb",            // key of EXPORT_FORMATS
+  scope: "all",             // one of EXPORT_SCOPES
+  ids: [],                  // store ids for scope "objects"
+  collections: null,        // collection ids for scope "collection"
+  applyTransforms: false,   // bake object transforms into geometry
+  includeLights: true,
+  includeCameras: true,
+  textures: "embed",        // "embed" | "separate" (.gltf + .bin + images in a .zip)
+  filename: "scene",
+  onlyVisible: true,
+  truncateDrawRange: true,
+  maxTextureSize: 4096,
+  units: "m",               // output units for STL/OBJ/PLY (scene units are meters)
+  binary: true,             // STL/PLY: binary or ASCII
+  mergeMeshes: false,       // STL/OBJ/PLY: write a single merged mesh
+  optimize: false,          // run optimizeScene before encoding
+  triangleBudget: 0,        // optimize: decimate down to this many triangles (0: no decimation)
+  weldVertices: true,       // optimize: merge duplicate vertices
+  dedupe: true,             // optimize: share identical materials and textures
+  stripAttributes: true,    // optimize: drop attributes no material reads
+};
+
+const OPTIONS_KEY = "objekta_export_options";
+const MIN_DECIMATE_TRIANGLES = 64; // smaller meshes are not worth simplifying
+const EXPORT_TYPES = ["Mesh", "Group", "Object3D", "PerspectiveCamera", "OrthographicCamera", "PointLight", "DirectionalLight", "HemisphereLight", "SpotLight", "AmbientLight"];
+
+// Editor-only nodes: grid/axes/box/camera helpers, "_"-prefixed names, userData.__helper
+function isHelper(obj) {
+  if (!obj) return false;
+  if (obj.name && obj.name.startsWith("_")) return true;
+  if (obj.type === "GridHelper" || obj.type === "AxesHelper" || obj.type === "BoxHelper" || obj.type === "CameraHelper") return true;
+  return !!(obj.userData && obj.userData.__helper);
+}
+
+// clone(true) keeps child order, so walk original and clone side by side
+function pruneClone(orig, clone, shouldDrop) {
+  const drop = [];
+  orig.children.forEach((child, i) => {
+    const cloneChild = clone.children[i];
+    if (!cloneChild) return;
+    if (shouldDrop(child)) drop.push(cloneChild);
+    else pruneClone(child, cloneChild, shouldDrop);
+  });
+  drop.forEach((n) => clone.remove(n));
+}
+
+function safeFileName(name, fallback = "scene") {
+  const base = String(name || "").trim().replace(/\.(glb|gltf|stl|obj|ply|usdz|zip)$/i, "").replace(/[\\/:*?"<>|]+/g, "_");
+  return base || fallback;
+}
+
+function dataURIBytes(uri) {
+  const comma = uri.indexOf(",");
+  const mime = uri.slice(5, comma).split(";")[0];
+  const bin = atob(uri.slice(comma + 1));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return { mime, bytes };
+}
+
+// Collapse every mesh into one world-space, position-only mesh (normals recomputed);
+// point clouds are kept as they are
+function mergeSceneMeshes(scene, name) {
+  scene.updateMatrixWorld(true);
+  const geometries = [];
+  scene.traverse((n) => {
+    if (!n.isMesh || !n.geometry?.getAttribute("position")) return;
+    const src = n.geometry.index ? n.geometry.toNonIndexed() : n.geometry;
+    const g = new THREE.BufferGeometry();
+    g.setAttribute("position", src.getAttribute("position").clone());
+    g.applyMatrix4(n.matrixWorld);
+    geometries.push(g);
+  });
+  if (!geometries.length) return;
+  const merged = mergeGeometries(geometries);
+  merged.computeVertexNormals();
+  const points = [];
+  scene.traverse((n) => { if (n.isPoints) points.push(n); });
+  points.forEach((n) => scene.attach(n));
+  scene.clear();
+  const mesh = new THREE.Mesh(merged, new THREE.MeshStandardMaterial({ name: "default" }));
+  mesh.name = name;
+  scene.add(mesh, ...points);
+}
+
+function materialsOf(node) {
+  return (Array.isArray(node.material) ? node.material : [node.material]).filter(Boolean);
+}
+
+function texturesOf(material) {
+  return Object.values(material).filter((v) => v?.isTexture);
+}
+
+function triangleCount(geometry) {
+  const count = geometry.index ? geometry.index.count : (geometry.getAttribute("position")?.count || 0);
+  return Math.floor(count / 3);
+}
+
+// Triangles/vertices per drawn mesh; bytes are an uncompressed estimate (attributes + RGBA texels)
+function sceneStats(scene) {
+  const geometries = new Set(), materials = new Set(), textures = new Set();
+  let triangles = 0, vertices = 0;
+  scene.traverse((n) => {
+    if (!n.geometry?.getAttribute("position")) return;
+    geometries.add(n.geometry);
+    if (n.isMesh) triangles += triangleCount(n.geometry);
+    vertices += n.geometry.getAttribute("position").count;
+    materialsOf(n).forEach((m) => { materials.add(m); texturesOf(m).forEach((t) => textures.add(t)); });
+  });
+  let bytes = 0;
+  geometries.forEach((g) => {
+    const arrays = new Set();
+    Object.values(g.attributes).forEach((a) => arrays.add(a.isInterleavedBufferAttribute ? a.data.array : a.array));
+    if (g.index) arrays.add(g.index.array);
+    arrays.forEach((arr) => { bytes += arr.byteLength; });
+  });
+  textures.forEach((t) => { if (t.image?.width) bytes += t.image.width * t.image.height * 4; });
+  return { triangles, vertices, materials: materials.size, textures: textures.size, bytes };
+}
+
+// Attributes worth keeping given the materials drawing a geometry
+function usedAttributes(node, materials) {
+  const used = new Set(["position", "normal"]);
+  if (materials.some((m) => texturesOf(m).length)) used.add("uv");
+  if (materials.some((m) => m.aoMap || m.lightMap)) { used.add("uv1"); used.add("uv2"); }
+  if (materials.some((m) => m.normalMap)) used.add("tangent");
+  if (materials.some((m) => m.vertexColors)) used.add("color");
+  if (node.isSkinnedMesh) { used.add("skinIndex"); used.add("skinWeight"); }
+  return used;
+}
+
+function textureKey(texture, imageIds) {
+  const image = texture.image;
+  const imageKey = image?.src || image;
+  if (!imageIds.has(imageKey)) imageIds.set(imageKey, imageIds.size);
+  return [
+    imageIds.get(imageKey), texture.wrapS, texture.wrapT, texture.repeat.toArray(), texture.offset.toArray(),
+    texture.rotation, texture.flipY, texture.colorSpace, texture.channel, texture.magFilter, texture.minFilter,
+  ].join("|");
+}
+
+const MATERIAL_KEY_SKIP = new Set(["uuid", "id", "name", "userData", "version"]);
+
+function materialKey(material, keyOfTexture) {
+  const parts = [material.type];
+  Object.keys(material).sort().forEach((k) => {
+    if (MATERIAL_KEY_SKIP.has(k) || k.startsWith("_")) return;
+    const v = material[k];
+    if (v?.isTexture) parts.push(`${k}=${keyOfTexture(v)}`);
+    else if (v?.isColor) parts.push(`${k}=${v.getHex()}`);
+    else if (v?.isVector2 || v?.isVector3 || v?.isEuler) parts.push(`${k}=${v.toArray().join()}`);
+    else if (v === null || ["number", "string", "boolean"].includes(typeof v)) parts.push(`${k}=${v}`);
+  });
+  return parts.join(";");
+}
+
+// Downscaled copy of a texture, or the texture itself when it fits / can't be drawn
+function downscaleTexture(texture, maxSize) {
+  const image = texture.image;
+  if (!maxSize || typeof document === "undefined" || texture.isCompressedTexture || texture.isDataTexture) return texture;
+  if (!image?.width || Math.max(image.width, image.height) <= maxSize) return texture;
+  const scale = maxSize / Math.max(image.width, image.height);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+  canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  const resized = texture.clone();
+  resized.image = canvas;
+  resized.needsUpdate = true;
+  return resized;
+}
+
+function mtlColor(color) {
+  const c = color.getRGB({ r: 0, g: 0, b: 0 }, THREE.SRGBColorSpace);
+  return `${c.r.toFixed(4)} ${c.g.toFixed(4)} ${c.b.toFixed(4)}`;
+}
+
+// OBJExporter writes a single usemtl per mesh, so a multi-material mesh is replaced by
+// an Object3D (same name and transform) holding one mesh per geometry group
+function splitByGroups(mesh) {
+  const src = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+  const total = src.getAttribute("position")?.count || 0;
+  const holder = new THREE.Object3D().copy(mesh, false);
+  mesh.geometry.groups.forEach((group, i) => {
+    const material = mesh.material[group.materialIndex ?? 0];
+    const end = Math.min(group.start + group.count, total);
+    if (!material || end <= group.start) return;
+    const geometry = new THREE.BufferGeometry();
+    Object.entries(src.attributes).forEach(([name, attr]) => {
+      const array = new attr.array.constructor((end - group.start) * attr.itemSize);
+      for (let v = group.start, k = 0; v < end; v++) {
+        for (let c = 0; c < attr.itemSize; c++) array[k++] = attr.getComponent(v, c);
+      }
+      geometry.setAttribute(name, new THREE.BufferAttribute(array, attr.itemSize, attr.normalized));
+    });
+    const part = new THREE.Mesh(geometry, material);
+    part.name = `${mesh.name || "mesh"}_${i}`;
+    holder.add(part);
+  });
+  mesh.parent.add(holder);
+  mesh.removeFromParent();
+  holder.updateMatrixWorld(true); // OBJExporter reads matrixWorld as it is
+  return holder.children;
+}
 
 export const ExportEngine = {
+  lastReport: null, // optimizeScene report of the last optimized export
+
+  getExportOptions() {
+    try {
+      const raw = localStorage.getItem(OPTIONS_KEY);
+      if (raw) return { ...DEFAULT_EXPORT_OPTIONS, ...JSON.parse(raw) };
+    } catch (e) {}
+    return { ...DEFAULT_EXPORT_OPTIONS };
+  },
+
+  saveExportOptions(options) {
+    // the object pick and collection only make sense for the export they were made for
+    const { ids, collections, ...rest } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    try { localStorage.setItem(OPTIONS_KEY, JSON.stringify(rest)); } catch (e) {}
+  },
+
   /**
-   * Export the scene as GLTF/GLB
-   * @param {boolean} binary - If true, exports as .glb (binary), otherwise .gltf (JSON)
+   * Clone roots into a fresh scene ready for export. Each root keeps its world transform;
+   * helpers, excluded nodes and (optionally) lights/cameras and hidden nodes are pruned from the clones.
+   * onlyVisible matters for STL/OBJ/PLY, whose exporters write hidden meshes (GLTFExporter checks it itself).
+   * @param {THREE.Object3D[]} roots
+   * @param {{ isExcluded?: (obj: THREE.Object3D) => boolean, includeLights?: boolean, includeCameras?: boolean, applyTransforms?: boolean, units?: string, onlyVisible?: boolean }} [options]
+   * @returns {THREE.Scene}
    */
-  exportGLTF(binary = true) {
-    const exporter = new GLTFExporter();
-    const objects = SceneGraphStore.getObjects();
-
+  buildExportScene(roots, { isExcluded = () => false, includeLights = true, includeCameras = true, applyTransforms = false, units = "m", onlyVisible = false } = {}) {
     const scene = new THREE.Scene();
-    objects.forEach((obj) => scene.add(obj.clone()));
+    const unitScale = 1 / (UNIT_SCALE[units] || 1);
+    const shouldDrop = (n) => isHelper(n) || isExcluded(n) || (onlyVisible && !n.visible) || (!includeLights && n.isLight) || (!includeCameras && n.isCamera);
 
-    exporter.parse(
-      scene,
-      (result) => {
-        if (binary) {
-          this._saveArrayBuffer(result, "scene.glb");
-        } else {
-          const output = JSON.stringify(result, null, 2);
-          this._saveString(output, "scene.gltf");
+    roots.forEach((obj) => {
+      try {
+        if (shouldDrop(obj)) return;
+        let clone = obj.clone(true);
+        pruneClone(obj, clone, shouldDrop);
+        obj.updateWorldMatrix(true, false);
+        obj.matrixWorld.decompose(clone.position, clone.quaternion, clone.scale);
+        clone.position.multiplyScalar(unitScale);
+        clone.scale.multiplyScalar(unitScale);
+
+        if (applyTransforms) {
+          // clones share geometry with the live scene
+          clone.traverse((n) => { if (n.geometry) n.geometry = n.geometry.clone(); });
+          const holder = new THREE.Group();
+          holder.add(clone);
+          bakeTransforms(holder);
+        }
+
+        if (!(EXPORT_TYPES.includes(clone.type) || clone.isMesh || clone.isLight || clone.isCamera)) {
+          const group = new THREE.Group();
+          clone.traverse((n) => { if (n.isMesh || n.isLight || n.isCamera || n.type === "Group") group.add(n.clone(true)); });
+          if (!group.children.length) return;
+          clone = group;
         }
-      },
-      { binary }
+        scene.add(clone);
+      } catch (err) { console.warn("Export: failed to clone object", err); }
+    });
+
+    scene.updateMatrixWorld(true);
+    return scene;
+  },
+
+  /**
+   * Optimize an export scene in place: strip unused attributes, weld duplicate vertices,
+   * decimate to a triangle budget (SimplifyModifier), share identical textures/materials
+   * and downscale textures to maxTextureSize. Geometry, materials and textures are copied
+   * before they're touched (export clones share them with the live scene).
+   * @param {THREE.Scene} scene - from buildExportScene
+   * @param {Partial<typeof DEFAULT_EXPORT_OPTIONS>} [options]
+   * @returns {{ before: object, after: object, steps: string[] }} see sceneStats
+   */
+  optimizeScene(scene, options = {}) {
+    const o = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const before = sceneStats(scene);
+    const steps = [];
+    const nodes = [];
+    scene.traverse((n) => { if (n.geometry?.getAttribute("position")) nodes.push(n); });
+
+    const geometryCopies = new Map();
+    const materialCopies = new Map();
+    const copyMaterial = (m) => {
+      if (!materialCopies.has(m)) materialCopies.set(m, m.clone());
+      return materialCopies.get(m);
+    };
+    nodes.forEach((n) => {
+      if (!geometryCopies.has(n.geometry)) geometryCopies.set(n.geometry, n.geometry.clone());
+      n.geometry = geometryCopies.get(n.geometry);
+      n.material = Array.isArray(n.material) ? n.material.map(copyMaterial) : (n.material ? copyMaterial(n.material) : n.material);
+    });
+    const users = new Map(); // geometry -> nodes drawing it
+    nodes.forEach((n) => { if (!users.has(n.geometry)) users.set(n.geometry, []); users.get(n.geometry).push(n); });
+    const replaceGeometry = (from, to) => { users.get(from).forEach((n) => { n.geometry = to; }); users.set(to, users.get(from)); users.delete(from); };
+
+    if (o.stripAttributes) {
+      let stripped = 0;
+      users.forEach((list, g) => {
+        const used = new Set();
+        list.forEach((n) => usedAttributes(n, materialsOf(n)).forEach((a) => used.add(a)));
+        Object.keys(g.attributes).forEach((name) => {
+          if (!used.has(name)) { g.deleteAttribute(name); stripped++; }
+        });
+      });
+      if (stripped) steps.push(`Stripped ${stripped} unused attribute${stripped === 1 ? "" : "s"}`);
+    }
+
+    if (o.weldVertices) {
+      let welded = 0;
+      Array.from(users.keys()).forEach((g) => {
+        if (!users.get(g).every((n) => n.isMesh) || g.morphAttributes.position) return;
+        const merged = mergeVertices(g);
+        welded += g.getAttribute("position").count - merged.getAttribute("position").count;
+        replaceGeometry(g, merged);
+      });
+      if (welded > 0) steps.push(`Welded ${welded} duplicate vertices`);
+    }
+
+    const budget = Number(o.triangleBudget) || 0;
+    const triangles = sceneStats(scene).triangles;
+    if (budget > 0 && triangles > budget) {
+      const keep = budget / triangles;
+      const modifier = new SimplifyModifier();
+      let simplified = 0;
+      Array.from(users.keys()).forEach((g) => {
+        const list = users.get(g);
+        // simplification drops groups, skin weights and morph targets
+        if (!list.every((n) => n.isMesh && !n.isSkinnedMesh) || g.groups.length > 1 || g.morphAttributes.position) return;
+        if (triangleCount(g) <= MIN_DECIMATE_TRIANGLES) return;
+        try {
+          const removeCount = Math.floor(g.getAttribute("position").count * (1 - keep));
+          if (removeCount <= 0) return;
+          replaceGeometry(g, modifier.modify(g, removeCount));
+          simplified++;
+        } catch (e) { console.warn("Export: simplification failed", e); }
+      });
+      if (simplified) steps.push(`Simplified ${simplified} mesh${simplified === 1 ? "" : "es"} toward ${budget} triangles`);
+    }
+
+    const materials = Array.from(new Set(nodes.flatMap(materialsOf)));
+    const textureMap = new Map(); // texture -> texture used in its place
+    if (o.dedupe) {
+      const imageIds = new Map();
+      const byKey = new Map();
+      materials.forEach((m) => texturesOf(m).forEach((t) => {
+        const key = textureKey(t, imageIds);
+        if (!byKey.has(key)) byKey.set(key, t);
+        textureMap.set(t, byKey.get(key));
+      }));
+      const shared = Array.from(textureMap).filter(([a, b]) => a !== b).length;
+      if (shared) steps.push(`Shared ${shared} duplicate texture${shared === 1 ? "" : "s"}`);
+    }
+    const maxSize = Number(o.maxTextureSize) || 0;
+    const resized = new Map();
+    let downscaled = 0;
+    materials.forEach((m) => {
+      Object.keys(m).forEach((k) => {
+        if (!m[k]?.isTexture) return;
+        const t = textureMap.get(m[k]) || m[k];
+        if (!resized.has(t)) {
+          const r = downscaleTexture(t, maxSize);
+          if (r !== t) downscaled++;
+          resized.set(t, r);
+        }
+        m[k] = resized.get(t);
+      });
+    });
+    if (downscaled) steps.push(`Downscaled ${downscaled} texture${downscaled === 1 ? "" : "s"} to ${maxSize}px`);
+
+    if (o.dedupe) {
+      const imageIds = new Map();
+      const byKey = new Map();
+      let shared = 0;
+      const sameAs = (m) => {
+        const key = materialKey(m, (t) => textureKey(t, imageIds));
+        if (!byKey.has(key)) byKey.set(key, m);
+        else if (byKey.get(key) !== m) shared++;
+        return byKey.get(key);
+      };
+      const canonical = new Map(materials.map((m) => [m, sameAs(m)]));
+      nodes.forEach((n) => {
+        n.material = Array.isArray(n.material) ? n.material.map((m) => canonical.get(m) || m) : (canonical.get(n.material) || n.material);
+      });
+      if (shared) steps.push(`Shared ${shared} duplicate material${shared === 1 ? "" : "s"}`);
+    }
+
+    return { before, after: sceneStats(scene), steps };
+  },
+
+  /**
+   * Export objects in any EXPORT_FORMATS format and download the result.
+   * Without roots every top-level object in SceneGraphStore is exported.
+   * @param {Partial<typeof DEFAULT_EXPORT_OPTIONS>} [options]
+   * @param {{ roots?: THREE.Object3D[], isExcluded?: (obj: THREE.Object3D) => boolean, download?: boolean }} [opts]
+   * @returns {Promise<Blob>}
+   */
+  async exportModel(options = {}, { roots = null, isExcluded, download = true } = {}) {
+    const o = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const format = EXPORT_FORMATS[o.format];
+    if (!format) throw new Error(`Unknown export format '${o.format}'`);
+    const base = safeFileName(o.filename);
+    const scene = this.buildExportScene(
+      roots || SceneGraphStore.getRootIds().map((id) => SceneGraphStore.getObject(id)).filter(Boolean),
+      format.meshOnly
+        ? { ...o, isExcluded, includeLights: false, includeCameras: false, applyTransforms: true }
+        : { ...o, isExcluded, units: "m" }
     );
+    if (!scene.children.length) throw new Error("Nothing to export");
+    if (format.meshOnly && o.mergeMeshes) mergeSceneMeshes(scene, base);
+    const report = o.optimize ? this.optimizeScene(scene, o) : null;
+
+    let data, filename = `${base}.${format.extension}`;
+    if (o.format === "glb" || o.format === "gltf") {
+      const binary = o.format === "glb";
+      const result = await new GLTFExporter().parseAsync(scene, {
+        binary,
+        embedImages: true,
+        onlyVisible: o.onlyVisible,
+        truncateDrawRange: o.truncateDrawRange,
+        maxTextureSize: Number(o.maxTextureSize) || Infinity,
+      });
+      if (binary) data = result;
+      else if (o.textures === "separate") { data = this._packSeparate(result, base); filename = `${base}.zip`; }
+      else data = JSON.stringify(result, null, 2);
+    } else if (o.format === "stl") {
+      data = new STLExporter().parse(scene, { binary: !!o.binary });
+    } else if (o.format === "ply") {
+      data = await new Promise((resolve) => new PLYExporter().parse(scene, resolve, { binary: !!o.binary, littleEndian: true }));
+    } else if (o.format === "obj") {
+      data = this._packOBJ(scene, base);
+    } else if (o.format === "usdz") {
+      data = await new USDZExporter().parseAsync(scene, { quickLookCompatible: true, maxTextureSize: Number(o.maxTextureSize) || 1024 });
+    }
+
+    const blob = new Blob([data], { type: filename.endsWith(".zip") ? "application/zip" : format.type });
+    if (download) this._downloadBlob(blob, filename);
+    if (report) {
+      this.lastReport = { ...report, format: o.format, filename, fileSize: blob.size, time: Date.now() };
+      EventBus.emit("export:report", this.lastReport);
+    }
+    return blob;
+  },
+
+  /**
+   * Export objects as glTF/GLB (see exportModel)
+   * @param {Partial<typeof DEFAULT_EXPORT_OPTIONS> | boolean} [options] - true/false: GLB/glTF with defaults
+   */
+  exportGLTF(options = {}, opts = {}) {
+    if (typeof options === "boolean") options = { format: options ? "glb" : "gltf" };
+    return this.exportModel({ ...options, format: options.format === "gltf" ? "gltf" : "glb" }, opts);
   },
 
   /**
@@ -41,6 +495,87 @@ export const ExportEngine = {
     this._saveString(JSON.stringify(json, null, 2), "scene.json");
   },
 
+  /**
+   * Split an embedded .gltf into <base>.gltf, .bin buffers and image files, zipped
+   */
+  _packSeparate(json, base) {
+    const files = {};
+    (json.buffers || []).forEach((buffer, i) => {
+      if (!buffer.uri?.startsWith("data:")) return;
+      const name = i ? `${base}_${i}.bin` : `${base}.bin`;
+      files[name] = dataURIBytes(buffer.uri).bytes;
+      buffer.uri = name;
+    });
+    (json.images || []).forEach((image, i) => {
+      if (!image.uri?.startsWith("data:")) return;
+      const { mime, bytes } = dataURIBytes(image.uri);
+      const name = `${base}_texture${i}.${mime === "image/jpeg" ? "jpg" : (mime.split("/")[1] || "png")}`;
+      files[name] = bytes;
+      image.uri = name;
+    });
+    files[`${base}.gltf`] = strToU8(JSON.stringify(json, null, 2));
+    return zipSync(files);
+  },
+
+  /**
+   * <base>.obj + <base>.mtl (+ diffuse textures), zipped. Materials get unique names so
+   * OBJExporter's usemtl lines line up with the .mtl entries; multi-material meshes are
+   * split per geometry group so every group keeps its own material.
+   */
+  _packOBJ(scene, base) {
+    const files = {};
+    const mtl = [];
+    const names = new Map(); // source material -> mtl name
+    const textures = new Map(); // texture -> file name
+    const textureFile = (texture) => {
+      if (!texture?.image) return null;
+      if (!textures.has(texture)) {
+        let name = null;
+        try {
+          const { mime, bytes } = dataURIBytes(THREE.ImageUtils.getDataURL(texture.image));
+          name = `${base}_texture${textures.size}.${mime === "image/jpeg" ? "jpg" : "png"}`;
+          files[name] = bytes;
+        } catch (e) {}
+        textures.set(texture, name);
+      }
+      return textures.get(texture);
+    };
+
+    const materialName = (src) => {
+      if (!names.has(src)) {
+        const name = `${(src.name || "material").replace(/\s+/g, "_")}_${names.size}`;
+        names.set(src, name);
+        mtl.push(`newmtl ${name}`);
+        if (src.color) mtl.push(`Kd ${mtlColor(src.color)}`);
+        if (src.emissive) mtl.push(`Ke ${mtlColor(src.emissive)}`);
+        mtl.push(`Ks ${(src.metalness ?? 0).toFixed(4)} ${(src.metalness ?? 0).toFixed(4)} ${(src.metalness ?? 0).toFixed(4)}`);
+        mtl.push(`Ns ${((1 - (src.roughness ?? 1)) * 1000).toFixed(1)}`);
+        mtl.push(`d ${(src.transparent ? src.opacity : 1).toFixed(4)}`);
+        mtl.push("illum 2");
+        const map = textureFile(src.map);
+        if (map) mtl.push(`map_Kd ${map}`);
+        mtl.push("");
+      }
+      return names.get(src);
+    };
+
+    const nodes = [];
+    scene.traverse((n) => {
+      if ((n.isMesh || n.isLine || n.isPoints) && n.material) nodes.push(n);
+    });
+    nodes
+      .flatMap((n) => (n.isMesh && Array.isArray(n.material) && n.geometry.groups.length ? splitByGroups(n) : [n]))
+      .forEach((n) => {
+        const src = Array.isArray(n.material) ? n.material[0] : n.material;
+        // stand-in (the clone still shares the live material)
+        n.material = new THREE.MeshBasicMaterial({ name: materialName(src) });
+      });
+
+    files[`${base}.obj`] = strToU8(`mtllib ${base}.mtl\n` + new OBJExporter().parse(scene));
+    files[`${base}.mtl`] = strToU8(mtl.join("\n"));
+    return zipSync(files);
+  },
+
   /**
    * Save string as file
    */
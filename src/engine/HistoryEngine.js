@@ -1,85 +1,360 @@
 // src/engine/HistoryEngine.js
-import { SceneGraphStore } from "../store/SceneGraphStore";
 import EventBus from "../utils/EventBus";
+import { SceneGraphStore } from "../store/SceneGraphStore";
+import { serializeStore } from "./SceneSnapshot";
+import CompoundCommand from "./commands/CompoundCommand";
+import SnapshotCommand from "./commands/SnapshotCommand";
 
+/**
+ * HistoryEngine: the single undo/redo stack for the editor.
+ * Everything recorded here is a command object:
+ *   { label, do(), undo(), dispose?(), getObjectNames?(), canMerge?(other), merge?(other) }
+ * Redo stacks discarded by a new action are kept as branches (see restoreBranch).
+ * Store notifications caused by one step (execute/undo/redo/jump) are delivered as one batch.
+ */
 export const HistoryEngine = {
   undoStack: [],
   redoStack: [],
   maxHistory: 50, // limit memory usage
+  root: null, // fallback parent for restored objects (usually the scene's user group)
+  _transaction: null, // open CompoundCommand collecting commands (see beginTransaction)
+  branches: [], // { id, anchor, commands (redo order), time }
+  maxBranches: 10,
+  _branchSeq: 0,
+  _trimmed: false, // true once the oldest steps were dropped (root-level branches are gone)
 
   /**
-   * Capture current scene state
+   * Set the Object3D restored objects are parented to when their
+   * original parent can't be found (e.g. the scene's `_user_group`).
    */
-  snapshot(action = "update") {
-    const snapshot = JSON.stringify(SceneGraphStore.objects);
+  setRoot(root) {
+    this.root = root || null;
+  },
 
-    this.undoStack.push({
-      state: snapshot,
-      action,
+  /**
+   * Run a command and record it
+   */
+  execute(command) {
+    if (!command) return null;
+    SceneGraphStore.batch(() => {
+      command.do();
+      this.push(command);
     });
+    return command;
+  },
+
+  /**
+   * Record a command whose effect has already been applied
+   */
+  push(command) {
+    if (!command) return;
 
-    if (this.undoStack.length > this.maxHistory) {
-      this.undoStack.shift();
+    if (this._transaction) {
+      this._transaction.commands.push(command);
+      return;
     }
 
-    // Clear redo stack when a new action occurs
-    this.redoStack = [];
+    command.timestamp = command.timestamp || Date.now();
+    command.objectNames = this._objectNames(command);
+
+    // Keep the redo stack as a branch instead of dropping it
+    if (this.redoStack.length) {
+      this.branches.push({
+        id: ++this._branchSeq,
+        anchor: this.undoStack[this.undoStack.length - 1] || null,
+        commands: [...this.redoStack].reverse(),
+        time: Date.now(),
+      });
+      this.redoStack = [];
+    }
+
+    this.undoStack.push(command);
+    while (this.undoStack.length > this.maxHistory) {
+      this._dispose(this.undoStack.shift());
+      this._trimmed = true;
+    }
+
+    this._pruneBranches();
+    this._changed();
   },
 
   /**
-   * Undo last action
+   * Start collecting commands into one history step.
+   * Transactions nest; only the outermost commit reaches the undo stack.
    */
-  undo() {
-    if (this.undoStack.length === 0) return;
+  beginTransaction(label = "transaction") {
+    const tx = new CompoundCommand(label);
+    tx.outer = this._transaction;
+    this._transaction = tx;
+    return tx;
+  },
 
-    const last = this.undoStack.pop();
-    this.redoStack.push(last);
+  /**
+   * Close the current transaction and record it.
+   * Commands that can merge (e.g. consecutive TransformCommands) collapse into one
+   * command holding the first before-state and the last after-state.
+   */
+  commitTransaction() {
+    const tx = this._transaction;
+    if (!tx) return null;
+    this._transaction = tx.outer || null;
+    delete tx.outer;
 
-    const prev = this.undoStack[this.undoStack.length - 1];
-    if (prev) {
-      this._restore(prev.state);
-    } else {
-      this._restore("{}"); // empty scene
+    const command = this._coalesce(tx);
+    if (command) this.push(command);
+    return command;
+  },
+
+  /**
+   * Close the current transaction and revert everything it collected
+   */
+  cancelTransaction() {
+    const tx = this._transaction;
+    if (!tx) return;
+    this._transaction = tx.outer || null;
+    delete tx.outer;
+    try {
+      tx.undo();
+    } catch (err) {
+      console.warn("HistoryEngine: cancel failed", tx.label, err);
     }
+    tx.dispose();
+  },
+
+  inTransaction() {
+    return !!this._transaction;
+  },
+
+  /**
+   * Group every command executed/pushed inside fn into one history step
+   */
+  transaction(label, fn) {
+    SceneGraphStore.batch(() => {
+      this.beginTransaction(label);
+      try {
+        fn();
+      } finally {
+        this.commitTransaction();
+      }
+    });
+  },
 
-    EventBus.emit("history:undo", { action: last.action });
+  /**
+   * Record a store-wide change as a snapshot command (objects are rebuilt
+   * with THREE.ObjectLoader on undo/redo, see SceneSnapshot)
+   */
+  record(label, fn) {
+    const before = serializeStore();
+    fn();
+    this.push(new SnapshotCommand(before, serializeStore(), { label, root: this.root }));
+  },
+
+  /**
+   * Undo last action
+   */
+  undo() {
+    this._commitOpen();
+    if (SceneGraphStore.batch(() => this._undoOne())) this._changed();
   },
 
   /**
    * Redo undone action
    */
   redo() {
-    if (this.redoStack.length === 0) return;
+    this._commitOpen();
+    if (SceneGraphStore.batch(() => this._redoOne())) this._changed();
+  },
 
-    const next = this.redoStack.pop();
-    this.undoStack.push(next);
+  /**
+   * Move to the state after `depth` applied steps (0 = before the first step)
+   */
+  jumpTo(depth) {
+    this._commitOpen();
+    const target = Math.max(0, Math.min(depth, this.undoStack.length + this.redoStack.length));
+    let moved = false;
+    SceneGraphStore.batch(() => {
+      while (this.undoStack.length > target && this._undoOne()) moved = true;
+      while (this.undoStack.length < target && this._redoOne()) moved = true;
+    });
+    if (moved) this._changed();
+  },
 
-    this._restore(next.state);
-    EventBus.emit("history:redo", { action: next.action });
+  /**
+   * Switch to a stored redo branch and replay it to its tip.
+   * The redo stack being replaced becomes a branch itself.
+   */
+  restoreBranch(id) {
+    this._commitOpen();
+    const branch = this.branches.find((b) => b.id === id);
+    if (!branch || !this._isReachable(branch)) return false;
+    return SceneGraphStore.batch(() => this._switchBranch(branch));
   },
 
   /**
-   * Restore SceneGraphStore from snapshot
+   * Plain description of the history for UI
+   * @returns {{ entries: Array, position: number, branches: Array }}
+   *  entries: applied steps then undone ones, oldest first; position: count of applied steps
    */
-  _restore(stateJSON) {
-    try {
-      const state = JSON.parse(stateJSON);
-
-      // reset scene
-      SceneGraphStore.objects = {};
-      SceneGraphStore.selected = null;
-
-      // rebuild scene
-      Object.entries(state).forEach(([id, { object, metadata }]) => {
-        SceneGraphStore.objects[id] = {
-          object, // may need deep clone in future
-          metadata,
-        };
+  getEntries() {
+    const describe = (cmd) => ({
+      label: cmd.label || "update",
+      timestamp: cmd.timestamp || null,
+      objects: cmd.objectNames || [],
+    });
+    const applied = this.undoStack.map(describe);
+    const undone = [...this.redoStack].reverse().map(describe);
+    return {
+      entries: [...applied, ...undone],
+      position: applied.length,
+      branches: this.branches.map((b) => ({
+        id: b.id,
+        time: b.time,
+        reachable: this._isReachable(b),
+        depth: b.anchor ? this.undoStack.indexOf(b.anchor) + 1 || null : 0,
+        steps: b.commands.map(describe),
+      })),
+    };
+  },
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  },
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  },
+
+  clear() {
+    this._transaction = null;
+    this.undoStack.forEach((cmd) => this._dispose(cmd));
+    this.redoStack.forEach((cmd) => this._dispose(cmd));
+    this.branches.forEach((b) => b.commands.forEach((cmd) => this._dispose(cmd)));
+    this.undoStack = [];
+    this.redoStack = [];
+    this.branches = [];
+    this._trimmed = false;
+    this._changed();
+  },
+
+  // Undo/redo while an edit is still open records that edit first
+  _commitOpen() {
+    while (this._transaction) this.commitTransaction();
+  },
+
+  _coalesce(tx) {
+    if (!tx.commands.length) return null;
+    const [first, ...rest] = tx.commands;
+    if (typeof first.canMerge === "function" && rest.every((cmd) => first.canMerge(cmd))) {
+      rest.forEach((cmd) => first.merge(cmd));
+      first.label = tx.label;
+      return first;
+    }
+    return tx;
+  },
+
+  // Body of restoreBranch (runs inside one store batch)
+  _switchBranch(branch) {
+    // walk back/forward to the branch point
+    if (branch.anchor) {
+      while (this.undoStack.length && this.undoStack[this.undoStack.length - 1] !== branch.anchor && this.undoStack.includes(branch.anchor)) this._undoOne();
+      while (this.undoStack[this.undoStack.length - 1] !== branch.anchor && this.redoStack.includes(branch.anchor)) this._redoOne();
+    } else {
+      while (this.undoStack.length) this._undoOne();
+    }
+
+    this.branches = this.branches.filter((b) => b !== branch);
+    if (this.redoStack.length) {
+      this.branches.push({
+        id: ++this._branchSeq,
+        anchor: branch.anchor,
+        commands: [...this.redoStack].reverse(),
+        time: Date.now(),
       });
+    }
+    this.redoStack = [...branch.commands].reverse();
+    while (this.redoStack.length) this._redoOne();
+
+    this._changed();
+    return true;
+  },
+
+  _undoOne() {
+    if (this.undoStack.length === 0) return false;
+
+    const last = this.undoStack.pop();
+    try {
+      last.undo();
+    } catch (err) {
+      console.warn("HistoryEngine: undo failed", last.label, err);
+    }
+    this.redoStack.push(last);
+
+    EventBus.emit("history:undo", { action: last.label });
+    return true;
+  },
 
-      SceneGraphStore.bump();
+  _redoOne() {
+    if (this.redoStack.length === 0) return false;
+
+    const next = this.redoStack.pop();
+    try {
+      next.do();
     } catch (err) {
-      console.error("History restore failed:", err);
+      console.warn("HistoryEngine: redo failed", next.label, err);
     }
+    this.undoStack.push(next);
+
+    EventBus.emit("history:redo", { action: next.label });
+    return true;
+  },
+
+  _objectNames(command) {
+    try {
+      const names = typeof command.getObjectNames === "function" ? command.getObjectNames() : [];
+      return Array.from(new Set(names.filter(Boolean)));
+    } catch (e) {
+      return [];
+    }
+  },
+
+  // A branch can be restored while its anchor is still on the main line
+  _isReachable(branch) {
+    if (!branch.anchor) return !this._trimmed;
+    return this.undoStack.includes(branch.anchor) || this.redoStack.includes(branch.anchor);
+  },
+
+  // Drop branches whose anchor is gone for good (not on the main line or inside another branch)
+  _pruneBranches() {
+    const known = (anchor) =>
+      !anchor ? !this._trimmed :
+      this.undoStack.includes(anchor) || this.redoStack.includes(anchor) ||
+      this.branches.some((b) => b.commands.includes(anchor));
+
+    let dropped = true;
+    while (dropped) {
+      dropped = false;
+      this.branches = this.branches.filter((b) => {
+        if (known(b.anchor)) return true;
+        b.commands.forEach((cmd) => this._dispose(cmd));
+        dropped = true;
+        return false;
+      });
+    }
+    while (this.branches.length > this.maxBranches) {
+      this.branches.shift().commands.forEach((cmd) => this._dispose(cmd));
+    }
+  },
+
+  _dispose(command) {
+    try {
+      command?.dispose?.();
+    } catch (e) {}
+  },
+
+  _changed() {
+    EventBus.emit("history:changed", {
+      undo: this.undoStack.length,
+      redo: this.redoStack.length,
+    });
   },
 };
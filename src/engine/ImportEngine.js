@@ -1,72 +1,835 @@
 // src/engine/ImportEngine.js
 import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
-import { SceneGraphStore } from "../store/SceneGraphStore";
+import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+import { MeshoptDecoder } from "three/examples/jsm/libs/meshopt_decoder.module.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
 import EventBus from "../utils/EventBus";
 
+// Decoders from three/examples/jsm/libs are served at the app's own <base>draco/ and <base>basis/
+// (vite.config.js: dev middleware, and emitted into the build), so compressed assets load without a CDN
+const BASE_URL = import.meta.env?.BASE_URL || "/";
+export const DECODER_PATHS = {
+  draco: `${BASE_URL}draco/`,
+  basis: `${BASE_URL}basis/`,
+};
+// one file per decoder that must exist for it to work
+const DECODER_PROBES = {
+  draco: "draco_decoder.wasm",
+  basis: "basis_transcoder.wasm",
+};
+const DECODER_LABELS = { draco: "Draco", basis: "KTX2/Basis" };
+
+// format id -> display label + file extensions
+export const IMPORT_FORMATS = {
+  gltf: { label: "glTF", extensions: ["glb", "gltf"] },
+  obj: { label: "OBJ", extensions: ["obj"] },
+  stl: { label: "STL", extensions: ["stl"] },
+  ply: { label: "PLY", extensions: ["ply"] },
+  fbx: { label: "FBX", extensions: ["fbx"] },
+};
+
+// How an imported tree is registered: as-is, one level under the root, or one merged mesh
+export const HIERARCHY_MODES = ["keep", "flatten", "merge"];
+
+// Source unit -> meters (scene units)
+export const UNIT_SCALE = { mm: 0.001, cm: 0.01, m: 1, in: 0.0254 };
+
+/**
+ * Placement applied to every import (see applyImportOptions)
+ *   units: source units (mm | cm | m | in), zUp: rotate Z-up files to Y-up,
+ *   recenter: origin | floor | none, scale: fit (to FIT_SIZE) | keep,
+ *   applyTransforms: bake the result into geometry, hierarchy: keep | flatten | merge
+ */
+export const DEFAULT_IMPORT_OPTIONS = {
+  units: "m",
+  zUp: false,
+  recenter: "floor",
+  scale: "fit",
+  applyTransforms: false,
+  hierarchy: "keep",
+};
+const FIT_SIZE = 2; // largest dimension after "fit"
+const OPTIONS_KEY_PREFIX = "objekta_import_options_";
+const RECENT_URLS_KEY = "objekta_recent_urls";
+const MAX_RECENT_URLS = 10;
+
+// for <input accept> and drop filters; .mtl only travels alongside an .obj
+export const IMPORT_EXTENSIONS = Object.values(IMPORT_FORMATS).flatMap((f) => f.extensions.map((e) => `.${e}`));
+
+const extensionOf = (name = "") => (name.toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1] || "";
+const baseName = (name = "") => name.replace(/^.*[\\/]/, "").replace(/\.[^.]+$/, "");
+
+// Path of a picked/dropped file inside its folder (folder input, folder drop, or just the name)
+const pathOf = (file) => file.relativePath || file.webkitRelativePath || file.name;
+
+// Resolve "." and ".." segments; no leading slash
+function normalizePath(path) {
+  const out = [];
+  path.replace(/\\/g, "/").split("/").forEach((part) => {
+    if (!part || part === ".") return;
+    if (part === "..") out.pop();
+    else out.push(part);
+  });
+  return out.join("/");
+}
+
+// Recursively read a dropped directory entry into files carrying relativePath
+function readEntry(entry) {
+  if (entry.isFile) {
+    return new Promise((resolve) => entry.file((file) => {
+      try { file.relativePath = entry.fullPath.replace(/^\//, ""); } catch (e) {}
+      resolve([file]);
+    }, () => resolve([])));
+  }
+  if (!entry.isDirectory) return Promise.resolve([]);
+  const reader = entry.createReader();
+  return new Promise((resolve) => {
+    const entries = [];
+    // readEntries returns batches until an empty one
+    const next = () => reader.readEntries((batch) => {
+      if (!batch.length) {
+        Promise.all(entries.map(readEntry)).then((lists) => resolve(lists.flat()));
+        return;
+      }
+      entries.push(...batch);
+      next();
+    }, () => resolve([]));
+    next();
+  });
+}
+
+function readHeader(buffer, length) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(length, buffer.byteLength));
+  let out = "";
+  for (let i = 0; i < bytes.length; i++) out += String.fromCharCode(bytes[i]);
+  return out;
+}
+
+// Binary STL: 80-byte header, uint32 triangle count, 50 bytes per triangle
+function isBinarySTL(buffer) {
+  if (buffer.byteLength < 84) return false;
+  const count = new DataView(buffer).getUint32(80, true);
+  return 84 + count * 50 === buffer.byteLength;
+}
+
+function readAsArrayBuffer(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+    reader.onprogress = (e) => {
+      try { if (onProgress && e.lengthComputable) onProgress(e.loaded / e.total); } catch (err) {}
+    };
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+// Which decoder a loader error points at, if any
+function decoderOf(error) {
+  const msg = String(error?.message || error || "");
+  if (/draco/i.test(msg)) return "draco";
+  if (/ktx2|basis|transcoder/i.test(msg)) return "basis";
+  return null;
+}
+
+/**
+ * Wrap a loader failure so callers can tell which format failed
+ * (error.format, error.cause keep the details; error.decoder names a missing decoder)
+ */
+function importError(format, error) {
+  const label = IMPORT_FORMATS[format]?.label || format || "Model";
+  const decoder = decoderOf(error);
+  const hint = decoder ? ` (${DECODER_LABELS[decoder]} decoder unavailable at ${DECODER_PATHS[decoder]})` : "";
+  const err = new Error(`${label} import failed: ${error?.message || error}${hint}`);
+  err.decoder = decoder;
+  err.format = format;
+  err.cause = error;
+  return err;
+}
+
+// Plain-language failures of importFromURL, by kind
+const URL_ERRORS = {
+  invalid: () => "That doesn't look like a web address. Use a full URL starting with https://.",
+  cors: (host) => `${host} blocked the download. Most likely it doesn't allow other sites to load its files (CORS); it may also be offline. Download the file and import it from disk, or use a host that sends an Access-Control-Allow-Origin header (GitHub raw, a CDN, your own server).`,
+  network: (host) => `Couldn't reach ${host}. Check the address and your connection.`,
+  "not-found": () => "Nothing was found at that address (404). Check that the link points at the file itself.",
+  denied: (host, status) => `${host} refused access (${status}). The file may be private or need a login.`,
+  http: (host, status) => `${host} answered with an error (${status}). Try again later.`,
+  html: () => "That address returned a web page, not a model. Use the direct download link of the file.",
+  unsupported: () => `The file isn't a supported model format (${Object.values(IMPORT_FORMATS).map((f) => f.label).join(", ")}).`,
+  parse: () => "The file was downloaded but couldn't be read as a model. It may be damaged, or reference files that aren't next to it.",
+  aborted: () => "Import cancelled.",
+};
+
+function urlError(kind, url, cause = null, status = 0) {
+  let host = "The server";
+  try { host = new URL(url).host || host; } catch (e) {}
+  const err = new Error(URL_ERRORS[kind](host, status));
+  err.kind = kind;
+  err.url = url;
+  err.status = status;
+  err.cause = cause;
+  return err;
+}
+
+// Download a URL to an ArrayBuffer with progress; errors come back from urlError
+async function fetchBuffer(url, { signal, onProgress } = {}) {
+  let response;
+  try {
+    response = await fetch(url, { signal, mode: "cors" });
+  } catch (e) {
+    if (signal?.aborted || e?.name === "AbortError") throw urlError("aborted", url, e);
+    // fetch reports a CORS block as a bare TypeError; a cross-origin URL makes that the likely reason
+    let crossOrigin = false;
+    try { crossOrigin = new URL(url).origin !== window.location.origin && /^https?:/.test(url); } catch (err) {}
+    throw urlError(crossOrigin ? "cors" : "network", url, e);
+  }
+  if (!response.ok) {
+    const kind = response.status === 404 || response.status === 410 ? "not-found"
+      : response.status === 401 || response.status === 403 ? "denied" : "http";
+    throw urlError(kind, url, null, response.status);
+  }
+
+  const total = Number(response.headers.get("content-length")) || 0;
+  try { onProgress?.(total ? 0 : null); } catch (e) {}
+  try {
+    if (!response.body || !total) {
+      const buffer = await response.arrayBuffer();
+      try { onProgress?.(1); } catch (e) {}
+      return buffer;
+    }
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.length;
+      try { onProgress?.(Math.min(1, loaded / total)); } catch (e) {}
+    }
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach((c) => { bytes.set(c, offset); offset += c.length; });
+    return bytes.buffer;
+  } catch (e) {
+    if (signal?.aborted || e?.name === "AbortError") throw urlError("aborted", url, e);
+    throw urlError("network", url, e);
+  }
+}
+
+// The first "mtllib <file>" of an OBJ, or null
+function mtlLibOf(buffer) {
+  const match = new TextDecoder().decode(buffer).match(/^[ \t]*mtllib[ \t]+(.+?)[ \t]*$/m);
+  return match ? match[1] : null;
+}
+
+// Shared material for formats that carry none (STL, PLY)
+function defaultMaterial(geometry) {
+  const vertexColors = !!geometry.getAttribute("color");
+  return new THREE.MeshStandardMaterial({ color: vertexColors ? 0xffffff : 0x888888, vertexColors, roughness: 0.6 });
+}
+
+// Nodes that survive flattening: anything rendered, lights, cameras and the top of each bone chain
+const isLeafNode = (n) => n.isMesh || n.isPoints || n.isLine || n.isLight || n.isCamera || (n.isBone && !n.parent?.isBone);
+
+function flattenHierarchy(root) {
+  const nodes = [];
+  root.traverse((n) => { if (n !== root && isLeafNode(n)) nodes.push(n); });
+  // attach() keeps world transforms, so pivots of dropped groups are baked into each node
+  root.updateMatrixWorld(true);
+  nodes.forEach((n) => root.attach(n));
+  root.children.filter((c) => !nodes.includes(c)).forEach((c) => root.remove(c));
+  return root;
+}
+
+// Attributes every merged geometry keeps; others (tangents, extra UV sets, skin) are dropped
+const MERGE_ATTRIBUTES = ["position", "normal", "uv"];
+
+function mergeHierarchy(root) {
+  root.updateMatrixWorld(true);
+  const inverseRoot = new THREE.Matrix4().copy(root.matrixWorld).invert();
+  const geometries = [];
+  const materials = [];
+  let skipped = 0;
+  root.traverse((n) => {
+    if (!n.isMesh || n.isSkinnedMesh || n.isInstancedMesh || !n.geometry?.getAttribute("position")) {
+      if (n !== root && (n.isSkinnedMesh || n.isInstancedMesh || n.isLight || n.isCamera || n.isPoints || n.isLine)) skipped++;
+      return;
+    }
+    const source = n.geometry.index ? n.geometry.toNonIndexed() : n.geometry.clone();
+    if (!source.getAttribute("normal")) source.computeVertexNormals();
+    const geometry = new THREE.BufferGeometry();
+    MERGE_ATTRIBUTES.forEach((name) => {
+      const attr = source.getAttribute(name);
+      if (attr) geometry.setAttribute(name, attr);
+      else if (name === "uv") geometry.setAttribute("uv", new THREE.Float32BufferAttribute(new Float32Array(source.getAttribute("position").count * 2), 2));
+    });
+    geometry.applyMatrix4(new THREE.Matrix4().multiplyMatrices(inverseRoot, n.matrixWorld));
+    // multi-material meshes keep their groups, offset into the merged material list
+    const mats = Array.isArray(n.material) ? n.material : [n.material];
+    // (a single material ignores groups, so it covers the whole mesh)
+    const groups = Array.isArray(n.material) && source.groups.length
+      ? source.groups
+      : [{ start: 0, count: geometry.getAttribute("position").count, materialIndex: 0 }];
+    groups.forEach((g) => geometry.addGroup(g.start, g.count, materials.length + (g.materialIndex || 0)));
+    materials.push(...mats);
+    geometries.push(geometry);
+    source.dispose();
+  });
+  if (!geometries.length) throw new Error("nothing to merge: no meshes");
+  if (skipped) console.warn(`merge: ${skipped} light/camera/skinned/instanced node(s) left out`);
+  const merged = mergeGeometries(geometries, false);
+  // carry the per-mesh groups over (mergeGeometries only concatenates)
+  let offset = 0;
+  merged.clearGroups();
+  geometries.forEach((g) => {
+    g.groups.forEach((grp) => merged.addGroup(offset + grp.start, grp.count, grp.materialIndex));
+    offset += g.getAttribute("position").count;
+    g.dispose();
+  });
+  const mesh = new THREE.Mesh(merged, materials.length === 1 ? materials[0] : materials);
+  mesh.name = root.name;
+  mesh.position.copy(root.position);
+  mesh.quaternion.copy(root.quaternion);
+  mesh.scale.copy(root.scale);
+  return mesh;
+}
+
+// Bake every node's transform into its geometry; meshes end up at the root's origin,
+// lights/cameras keep position and rotation, skinned meshes and bones are left as they are
+export function bakeTransforms(root) {
+  root.updateMatrixWorld(true);
+  const world = new Map(); // node -> matrix before baking
+  root.traverse((n) => world.set(n, n.matrixWorld.clone()));
+  const rootFinal = new THREE.Matrix4().makeTranslation(root.position.x, root.position.y, root.position.z);
+  const finals = new Map([[root, rootFinal]]);
+  const seen = new Set();
+  const p = new THREE.Vector3(), q = new THREE.Quaternion(), sc = new THREE.Vector3();
+
+  root.traverse((n) => {
+    if (n === root) return;
+    const W = world.get(n);
+    let F;
+    if ((n.isMesh || n.isPoints || n.isLine) && !n.isSkinnedMesh && n.geometry) {
+      if (seen.has(n.geometry)) n.geometry = n.geometry.clone(); // shared geometry is baked once per user
+      seen.add(n.geometry);
+      n.geometry.applyMatrix4(new THREE.Matrix4().copy(rootFinal).invert().multiply(W));
+      F = rootFinal;
+    } else if (n.isSkinnedMesh || n.isBone) {
+      F = W;
+    } else {
+      W.decompose(p, q, sc);
+      F = new THREE.Matrix4().compose(p, q, new THREE.Vector3(1, 1, 1));
+    }
+    finals.set(n, F);
+    const local = new THREE.Matrix4().copy(finals.get(n.parent)).invert().multiply(F);
+    local.decompose(n.position, n.quaternion, n.scale);
+  });
+  root.quaternion.identity();
+  root.scale.set(1, 1, 1);
+  root.updateMatrixWorld(true);
+}
+
+/**
+ * Map relative URIs inside a model (.bin buffers, textures, .mtl maps) to files that were
+ * dropped or picked with it. Blob URLs are created on first use; onCreate/onRevoke let the
+ * caller track them (Workspace keeps them in blobUrlsRef), dispose() revokes them all.
+ * Some loaders (MTL, FBX) fetch textures after parse() returns: wait for idle() before disposing.
+ * URLs that match no file (data: URIs, the main file's own blob) pass through unchanged.
+ * @param {File[]} files
+ * @param {{ main?: File, onCreate?: (url: string) => void, onRevoke?: (url: string) => void }} [opts]
+ * @returns {{ manager: THREE.LoadingManager, resolve: (url: string) => string, idle: () => Promise<void>, dispose: () => void }}
+ */
+export function createURLResolver(files, { main = null, onCreate = null, onRevoke = null } = {}) {
+  const byPath = new Map(); // normalized path -> file
+  const byName = new Map(); // lower-case file name -> file (first wins)
+  files.forEach((f) => {
+    byPath.set(normalizePath(pathOf(f)), f);
+    const name = f.name.toLowerCase();
+    if (!byName.has(name)) byName.set(name, f);
+  });
+  const mainDir = main ? normalizePath(pathOf(main)).split("/").slice(0, -1).join("/") : "";
+  const created = new Map(); // file -> blob url
+
+  const urlFor = (file) => {
+    if (!created.has(file)) {
+      const url = URL.createObjectURL(file);
+      created.set(file, url);
+      try { onCreate?.(url); } catch (e) {}
+    }
+    return created.get(file);
+  };
+
+  const find = (url) => {
+    if (/^data:/i.test(url) || Array.from(created.values()).includes(url)) return null;
+    let path = url.split(/[?#]/)[0];
+    // relative URIs resolved against a blob:/http base come in absolute
+    const absolute = path.match(/^(?:blob:)?[a-z][a-z0-9+.-]*:\/\/[^/]*\/(.*)$/i);
+    if (absolute) path = absolute[1];
+    try { path = decodeURIComponent(path); } catch (e) {}
+    const relative = normalizePath(path);
+    const candidates = [normalizePath(`${mainDir}/${relative}`), relative];
+    for (const c of candidates) if (byPath.has(c)) return byPath.get(c);
+    // e.g. an absolute path baked in by the exporter: match by trailing segments, then by name
+    const suffix = Array.from(byPath.keys()).find((p) => p.endsWith(`/${relative}`) || relative.endsWith(`/${p}`));
+    if (suffix) return byPath.get(suffix);
+    return byName.get(relative.split("/").pop().toLowerCase()) || null;
+  };
+
+  const resolve = (url) => {
+    const file = find(url);
+    return file ? urlFor(file) : url;
+  };
+
+  let loading = false;
+  let waiters = [];
+  const manager = new THREE.LoadingManager(() => {
+    // every item started so far has finished (or failed)
+    loading = false;
+    waiters.forEach((done) => done());
+    waiters = [];
+  });
+  manager.onStart = () => { loading = true; };
+  manager.setURLModifier(resolve);
+
+  const idle = (timeout = 30000) => (loading
+    ? new Promise((done) => { waiters.push(done); setTimeout(done, timeout); })
+    : Promise.resolve());
+
+  const dispose = () => {
+    created.forEach((url) => {
+      try { URL.revokeObjectURL(url); } catch (e) {}
+      try { onRevoke?.(url); } catch (e) {}
+    });
+    created.clear();
+  };
+
+  return { manager, resolve, idle, dispose };
+}
+
+/**
+ * The file to import from a multi-file pick or drop: glTF first, then OBJ, FBX, STL, PLY
+ * @param {File[]} files
+ * @returns {File|null}
+ */
+export function pickMainFile(files) {
+  const order = ["gltf", "glb", "obj", "fbx", "stl", "ply"];
+  const ranked = files
+    .filter((f) => order.includes(extensionOf(f.name)))
+    .sort((a, b) => order.indexOf(extensionOf(a.name)) - order.indexOf(extensionOf(b.name)));
+  return ranked[0] || null;
+}
+
+/**
+ * All files of a drop, including the contents of dropped folders
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export async function filesFromDataTransfer(dataTransfer) {
+  const items = Array.from(dataTransfer?.items || []);
+  const entries = items.map((item) => item.webkitGetAsEntry?.()).filter(Boolean);
+  if (!entries.length) return Array.from(dataTransfer?.files || []);
+  const lists = await Promise.all(entries.map(readEntry));
+  return lists.flat();
+}
+
+/**
+ * ImportEngine: turns model files into Object3D trees.
+ * The format comes from the file's magic bytes, falling back to its extension.
+ * Parsed roots are not added to the scene here: callers attach them with
+ * AddObjectCommand so they are registered in SceneGraphStore and get a BVH like any other object.
+ */
 export const ImportEngine = {
-  loader: new GLTFLoader(),
+  loader: null, // shared GLTFLoader (Draco, KTX2, meshopt) used by every import path
+  draco: null,
+  ktx2: null,
+  _renderer: null,
+  _decoderCheck: null, // Promise<{ draco, basis }>
+
+  /**
+   * Create the shared loaders once. KTX2 needs the renderer to pick a transcode target,
+   * so it is added when a renderer is passed (Workspace does this on init).
+   * @param {{ renderer?: THREE.WebGLRenderer }} [opts]
+   * @returns {GLTFLoader}
+   */
+  configureLoaders({ renderer = null } = {}) {
+    if (!this.loader) {
+      this.draco = new DRACOLoader().setDecoderPath(DECODER_PATHS.draco);
+      this.loader = new GLTFLoader();
+      this.loader.setDRACOLoader(this.draco);
+      this.loader.setMeshoptDecoder(MeshoptDecoder);
+    }
+    if (renderer && renderer !== this._renderer) {
+      try {
+        this.ktx2?.dispose();
+        this.ktx2 = new KTX2Loader().setTranscoderPath(DECODER_PATHS.basis).detectSupport(renderer);
+        this.loader.setKTX2Loader(this.ktx2);
+        this._renderer = renderer;
+      } catch (e) { console.warn("KTX2 setup failed", e); }
+    }
+    this.checkDecoders();
+    return this.loader;
+  },
 
   /**
-   * Import a .glb/.gltf file from a File input
+   * Check once that the decoder files are served. Emits "import:decoder-missing"
+   * { decoder, label, path } on EventBus for each one that is not.
+   * @returns {Promise<{ draco: boolean, basis: boolean }>}
    */
-  importFile(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-
-      reader.onload = (event) => {
-        const arrayBuffer = event.target.result;
-
-        this.loader.parse(
-          arrayBuffer,
-          "",
-          (gltf) => {
-            const root = gltf.scene || gltf.scenes[0];
-
-            root.traverse((child) => {
-              if (child.isMesh) {
-                const id = THREE.MathUtils.generateUUID();
-                const metadata = { name: child.name || "ImportedMesh" };
-                SceneGraphStore.addObject(id, child, metadata);
-              }
-            });
-
-            EventBus.emit("scene:updated", { type: "import" });
-            resolve(root);
-          },
-          (error) => reject(error)
-        );
-      };
-
-      reader.onerror = (err) => reject(err);
-      reader.readAsArrayBuffer(file);
+  checkDecoders() {
+    if (this._decoderCheck) return this._decoderCheck;
+    const probe = async (key) => {
+      try {
+        const res = await fetch(DECODER_PATHS[key] + DECODER_PROBES[key], { method: "HEAD" });
+        // dev servers answer unknown paths with index.html
+        return res.ok && !/text\/html/i.test(res.headers.get("content-type") || "");
+      } catch (e) {
+        return false;
+      }
+    };
+    this._decoderCheck = Promise.all(Object.keys(DECODER_PATHS).map(probe)).then(([draco, basis]) => {
+      const result = { draco, basis };
+      Object.entries(result).forEach(([decoder, ok]) => {
+        if (!ok) EventBus.emit("import:decoder-missing", { decoder, label: DECODER_LABELS[decoder], path: DECODER_PATHS[decoder] });
+      });
+      return result;
     });
+    return this._decoderCheck;
+  },
+
+  // Release decoder workers; configureLoaders() builds fresh ones
+  disposeLoaders() {
+    try { this.draco?.dispose(); } catch (e) {}
+    try { this.ktx2?.dispose(); } catch (e) {}
+    this.loader = null;
+    this.draco = null;
+    this.ktx2 = null;
+    this._renderer = null;
+  },
+
+  /**
+   * GLTFLoader sharing the configured decoders; with a manager (see createURLResolver)
+   * a per-import loader is returned so its URL modifier stays local
+   */
+  gltfLoader(manager) {
+    const shared = this.loader || this.configureLoaders();
+    if (!manager) return shared;
+    const loader = new GLTFLoader(manager);
+    if (shared.dracoLoader) loader.setDRACOLoader(shared.dracoLoader);
+    if (shared.ktx2Loader) loader.setKTX2Loader(shared.ktx2Loader);
+    if (shared.meshoptDecoder) loader.setMeshoptDecoder(shared.meshoptDecoder);
+    return loader;
+  },
+
+  /**
+   * Detect the format of a file
+   * @param {string} name file name (extension fallback)
+   * @param {ArrayBuffer} [buffer] file contents (magic bytes)
+   * @returns {string|null} key of IMPORT_FORMATS
+   */
+  detectFormat(name, buffer) {
+    if (buffer && buffer.byteLength >= 4) {
+      const head = readHeader(buffer, 32);
+      if (head.startsWith("glTF")) return "gltf";
+      if (head.startsWith("Kaydara FBX Binary") || head.startsWith("; FBX")) return "fbx";
+      if (/^ply\r?\n/.test(head)) return "ply";
+      if (isBinarySTL(buffer)) return "stl";
+    }
+    const ext = extensionOf(name);
+    const byExt = Object.keys(IMPORT_FORMATS).find((key) => IMPORT_FORMATS[key].extensions.includes(ext));
+    return byExt || null;
+  },
+
+  /**
+   * Arrange an imported tree before it is added to the scene.
+   *   keep:    every node (groups, empties, cameras, lights, skinned meshes) keeps its parent and pivot
+   *   flatten: meshes, lights and cameras move directly under the root with world transforms baked in
+   *   merge:   all static meshes become one mesh (one material slot per source material)
+   * A glTF Scene root is turned into a Group so it can live inside the editor scene.
+   * @param {THREE.Object3D} root
+   * @param {"keep"|"flatten"|"merge"} [mode]
+   * @returns {THREE.Object3D} the root to add (a new object for merge)
+   */
+  arrangeHierarchy(root, mode = "keep") {
+    let node = root;
+    if (root.isScene) {
+      node = new THREE.Group();
+      node.name = root.name;
+      node.position.copy(root.position);
+      node.quaternion.copy(root.quaternion);
+      node.scale.copy(root.scale);
+      node.userData = { ...root.userData };
+      node.animations = root.animations || [];
+      [...root.children].forEach((c) => node.add(c));
+    }
+    if (mode === "flatten") return flattenHierarchy(node);
+    if (mode === "merge") {
+      const merged = mergeHierarchy(node);
+      merged.userData = { ...node.userData };
+      return merged;
+    }
+    return node;
   },
 
   /**
-   * Import from a remote URL
+   * Remembered import options for a file extension (falls back to DEFAULT_IMPORT_OPTIONS)
+   * @param {string} ext e.g. "stl" or "file.stl"
    */
-  importFromURL(url) {
-    return new Promise((resolve, reject) => {
-      this.loader.load(
-        url,
-        (gltf) => {
-          const root = gltf.scene || gltf.scenes[0];
-
-          root.traverse((child) => {
-            if (child.isMesh) {
-              const id = THREE.MathUtils.generateUUID();
-              const metadata = { name: child.name || "ImportedMesh" };
-              SceneGraphStore.addObject(id, child, metadata);
-            }
+  getImportOptions(ext) {
+    const key = extensionOf(ext) || String(ext || "").toLowerCase();
+    try {
+      const raw = localStorage.getItem(OPTIONS_KEY_PREFIX + key);
+      if (raw) return { ...DEFAULT_IMPORT_OPTIONS, ...JSON.parse(raw) };
+    } catch (e) {}
+    return { ...DEFAULT_IMPORT_OPTIONS };
+  },
+
+  saveImportOptions(ext, options) {
+    const key = extensionOf(ext) || String(ext || "").toLowerCase();
+    try { localStorage.setItem(OPTIONS_KEY_PREFIX + key, JSON.stringify({ ...DEFAULT_IMPORT_OPTIONS, ...options })); } catch (e) {}
+  },
+
+  /**
+   * Place an imported root: units, Z-up conversion, fit scale, recenter, optional bake.
+   * Used by every import path so a file lands the same way whichever loader parsed it.
+   * @param {THREE.Object3D} root
+   * @param {Partial<typeof DEFAULT_IMPORT_OPTIONS>} [options]
+   * @param {{ point?: THREE.Vector3 }} [opts] drop point (recenter origin/floor only)
+   * @returns {THREE.Object3D} root
+   */
+  applyImportOptions(root, options = {}, { point = null } = {}) {
+    const o = { ...DEFAULT_IMPORT_OPTIONS, ...options };
+    const unit = UNIT_SCALE[o.units] || 1;
+    if (unit !== 1) root.scale.multiplyScalar(unit);
+    if (o.zUp) root.applyMatrix4(new THREE.Matrix4().makeRotationX(-Math.PI / 2));
+    root.updateMatrixWorld(true);
+
+    if (o.scale === "fit") {
+      const size = new THREE.Box3().setFromObject(root).getSize(new THREE.Vector3());
+      const maxDim = Math.max(size.x, size.y, size.z);
+      if (maxDim > 0) root.scale.multiplyScalar(FIT_SIZE / maxDim);
+      root.updateMatrixWorld(true);
+    }
+
+    if (o.recenter === "origin" || o.recenter === "floor") {
+      const box = new THREE.Box3().setFromObject(root);
+      if (!box.isEmpty()) {
+        const center = box.getCenter(new THREE.Vector3());
+        const target = point ? point.clone() : new THREE.Vector3();
+        root.position.sub(center).add(target);
+        if (o.recenter === "floor") root.position.y += center.y - box.min.y;
+      }
+      root.updateMatrixWorld(true);
+    }
+
+    if (o.applyTransforms) bakeTransforms(root);
+    return root;
+  },
+
+  /**
+   * Parse a buffer of a known format
+   * @param {ArrayBuffer} buffer
+   * @param {string} format key of IMPORT_FORMATS
+   * @param {{ name?: string, mtl?: string, manager?: THREE.LoadingManager, path?: string }} [opts]
+   *   mtl: MTL text for OBJ files; manager: resolves external buffers/textures (see createURLResolver);
+   *   path: base URL for external buffers/textures (models loaded from a URL)
+   * @returns {Promise<THREE.Object3D>}
+   */
+  async parse(buffer, format, { name = "", mtl = null, manager = undefined, path = "" } = {}) {
+    try {
+      let root;
+      switch (format) {
+        case "gltf":
+          root = await new Promise((resolve, reject) => {
+            this.gltfLoader(manager).parse(buffer, path, (gltf) => {
+              const scene = gltf.scene || gltf.scenes?.[0];
+              if (!scene) return reject(new Error("file has no scene"));
+              scene.animations = gltf.animations || [];
+              resolve(scene);
+            }, reject);
           });
+          break;
+        case "obj": {
+          const loader = new OBJLoader(manager);
+          if (mtl) {
+            const materials = new MTLLoader(manager).parse(mtl, path);
+            materials.preload();
+            loader.setMaterials(materials);
+          }
+          root = loader.parse(new TextDecoder().decode(buffer));
+          break;
+        }
+        case "stl": {
+          const geometry = new STLLoader().parse(buffer);
+          if (!geometry.getAttribute("normal")) geometry.computeVertexNormals();
+          root = new THREE.Mesh(geometry, defaultMaterial(geometry));
+          break;
+        }
+        case "ply": {
+          const geometry = new PLYLoader().parse(buffer);
+          // no faces: a scanned point cloud
+          if (!geometry.index) {
+            root = new THREE.Points(geometry, new THREE.PointsMaterial({ size: 0.01, vertexColors: !!geometry.getAttribute("color") }));
+          } else {
+            if (!geometry.getAttribute("normal")) geometry.computeVertexNormals();
+            root = new THREE.Mesh(geometry, defaultMaterial(geometry));
+          }
+          break;
+        }
+        case "fbx":
+          root = new FBXLoader(manager).parse(buffer, path);
+          break;
+        default:
+          throw new Error("unsupported format");
+      }
+      if (!root) throw new Error("nothing was loaded");
+      root.name = root.name || baseName(name) || IMPORT_FORMATS[format].label;
+      return root;
+    } catch (e) {
+      throw importError(format, e);
+    }
+  },
 
-          EventBus.emit("scene:updated", { type: "import" });
-          resolve(root);
-        },
-        undefined,
-        (error) => reject(error)
-      );
-    });
-  }
+  /**
+   * Import a model from a File input
+   * @param {File} file
+   * @param {{ files?: File[], options?: Object, point?: THREE.Vector3, onProgress?: (p: number) => void, onCreateURL?: Function, onRevokeURL?: Function }} [opts]
+   *   files: the other files picked/dropped with it (.mtl, .bin, textures); their blob URLs
+   *   are reported through onCreateURL/onRevokeURL and revoked once parsing is done
+   *   options: import options (see DEFAULT_IMPORT_OPTIONS), default: remembered for the extension
+   * @returns {Promise<THREE.Object3D>} placed root, with userData.importFormat set
+   */
+  async importFile(file, { files = [], options = null, point = null, onProgress = null, onCreateURL = null, onRevokeURL = null } = {}) {
+    let buffer;
+    try {
+      buffer = await readAsArrayBuffer(file, onProgress);
+    } catch (e) {
+      throw importError(this.detectFormat(file.name), e);
+    }
+    const format = this.detectFormat(file.name, buffer);
+    if (!format) throw importError(extensionOf(file.name).toUpperCase() || null, new Error(`unsupported file '${file.name}'`));
+
+    let mtl = null;
+    if (format === "obj") {
+      // prefer the .mtl with the same base name, else any .mtl that came along
+      const mtls = files.filter((f) => extensionOf(f.name) === "mtl");
+      const mtlFile = mtls.find((f) => baseName(f.name) === baseName(file.name)) || mtls[0];
+      if (mtlFile) {
+        try { mtl = await mtlFile.text(); } catch (e) { console.warn("MTL read failed, importing without materials", e); }
+      }
+    }
+
+    const siblings = files.filter((f) => f !== file);
+    const resolver = siblings.length ? createURLResolver(siblings, { main: file, onCreate: onCreateURL, onRevoke: onRevokeURL }) : null;
+    try {
+      const parsed = await this.parse(buffer, format, { name: file.name, mtl, manager: resolver?.manager });
+      await resolver?.idle();
+      const opts = options || this.getImportOptions(file.name);
+      let root;
+      try {
+        root = this.applyImportOptions(this.arrangeHierarchy(parsed, opts.hierarchy), opts, { point });
+      } catch (e) {
+        throw importError(format, e);
+      }
+      root.userData.importFormat = format;
+      return root;
+    } finally {
+      resolver?.dispose();
+    }
+  },
+
+  /**
+   * Import a model from a remote URL. Any IMPORT_FORMATS file works; glTF/FBX resolve their
+   * external buffers and textures relative to the URL, OBJ fetches its mtllib file (and that file's maps).
+   * A missing .mtl only costs the materials, as with a local OBJ picked without one.
+   * @param {string} url
+   * @param {{ options?: Object, point?: THREE.Vector3, signal?: AbortSignal, onProgress?: (p: number | null) => void }} [opts]
+   *   onProgress gets 0..1, or null when the server sends no Content-Length
+   * @returns {Promise<THREE.Object3D>} placed root, with userData.importFormat and userData.sourceURL set
+   * @throws Error with .kind (cors | network | not-found | denied | http | html | unsupported | parse | aborted)
+   *   and a message meant for the user
+   */
+  async importFromURL(url, { options = null, point = null, signal = undefined, onProgress = null } = {}) {
+    let parsedURL;
+    try {
+      parsedURL = new URL(url, window.location.href);
+    } catch (e) {
+      throw urlError("invalid", url, e);
+    }
+    if (!/^(https?|blob|data):$/.test(parsedURL.protocol)) throw urlError("invalid", url);
+    const href = parsedURL.href;
+    const rawName = parsedURL.pathname.split("/").pop() || "";
+    let name = rawName;
+    try { name = decodeURIComponent(rawName); } catch (e) {} // malformed %-escape: keep the raw name
+
+    const buffer = await fetchBuffer(href, { signal, onProgress });
+    // share pages, login walls and error pages often come back as 200 + HTML
+    if (/^\s*<(!doctype|html|head|body)/i.test(readHeader(buffer, 64))) throw urlError("html", href);
+    const format = this.detectFormat(name, buffer);
+    if (!format) throw urlError("unsupported", href);
+
+    const path = THREE.LoaderUtils.extractUrlBase(href);
+    let mtl = null;
+    const mtlLib = format === "obj" ? mtlLibOf(buffer) : null;
+    if (mtlLib) {
+      try {
+        mtl = new TextDecoder().decode(await fetchBuffer(new URL(mtlLib, href).href, { signal }));
+      } catch (e) {
+        if (e?.kind === "aborted") throw urlError("aborted", href, e);
+        console.warn("MTL fetch failed, importing without materials", e);
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = await this.parse(buffer, format, { name, mtl, path });
+    } catch (e) {
+      if (signal?.aborted) throw urlError("aborted", href);
+      throw urlError("parse", href, e);
+    }
+    if (signal?.aborted) throw urlError("aborted", href);
+    const opts = options || this.getImportOptions(name || format);
+    let root;
+    try {
+      root = this.applyImportOptions(this.arrangeHierarchy(parsed, opts.hierarchy), opts, { point });
+    } catch (e) {
+      throw urlError("parse", href, importError(format, e));
+    }
+    root.userData.importFormat = format;
+    root.userData.sourceURL = href;
+    this.addRecentURL(href);
+    return root;
+  },
+
+  /**
+   * URLs imported successfully, newest first
+   * @returns {string[]}
+   */
+  getRecentURLs() {
+    try {
+      const list = JSON.parse(localStorage.getItem(RECENT_URLS_KEY) || "[]");
+      return Array.isArray(list) ? list.filter((u) => typeof u === "string") : [];
+    } catch (e) {
+      return [];
+    }
+  },
+
+  addRecentURL(url) {
+    // blob:/data: URLs don't outlive the page
+    if (!/^https?:/i.test(url)) return;
+    const list = [url, ...this.getRecentURLs().filter((u) => u !== url)].slice(0, MAX_RECENT_URLS);
+    try { localStorage.setItem(RECENT_URLS_KEY, JSON.stringify(list)); } catch (e) {}
+  },
+
+  removeRecentURL(url) {
+    try { localStorage.setItem(RECENT_URLS_KEY, JSON.stringify(this.getRecentURLs().filter((u) => u !== url))); } catch (e) {}
+  },
 };
@@ -0,0 +1,224 @@
+// src/engine/ProjectEngine.js
+import * as THREE from "three";
+import { zipSync, unzipSync, strToU8, strFromU8 } from "three/examples/jsm/libs/fflate.module.js";
+import AssetStore from "../store/AssetStore";
+
+/**
+ * ProjectEngine: the .objekta project file.
+ * A project is a zip holding project.json plus binary assets:
+ *   project.json  { format: "objekta", version, meta, scene, camera, environment, settings, presets, textures }
+ *   assets/images/<uuid>.<ext>     images embedded in scene snaps (moved out of the JSON)
+ *   assets/textures/<n>.<ext>      TextureStore entries ({ key, path } in project.textures)
+ *   assets/environment/<name>      the environment HDR (environment.hdr = { name, path })
+ * Plain .json files (the old "Save JSON" output, or an unzipped project.json) load too;
+ * every older version is migrated up to PROJECT_VERSION on load.
+ */
+
+export const PROJECT_FORMAT = "objekta";
+export const PROJECT_VERSION = 2;
+export const PROJECT_EXTENSION = "objekta";
+
+const PROJECT_ENTRY = "project.json";
+const ASSET_PREFIX = "asset:"; // snap image urls pointing into the archive
+
+/**
+ * MIGRATIONS[n] upgrades a version n project to version n + 1.
+ * Version 1 is the bare serializeScene() output: { snaps, metadata?, collections?, selectionSets? }.
+ */
+const MIGRATIONS = {
+  1: (scene) => ({
+    format: PROJECT_FORMAT,
+    version: 2,
+    meta: {},
+    scene,
+    camera: null,
+    environment: null,
+    settings: {},
+    presets: {},
+    textures: [],
+  }),
+};
+
+function versionOf(data) {
+  if (data?.format === PROJECT_FORMAT) return Number(data.version) || 0;
+  if (Array.isArray(data?.snaps)) return 1;
+  return 0;
+}
+
+function isZip(bytes) {
+  return bytes.length > 3 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+function extensionFor(mime) {
+  if (mime === "image/jpeg") return "jpg";
+  return (mime || "").split("/")[1] || "bin";
+}
+
+function mimeFor(path) {
+  const ext = path.split(".").pop().toLowerCase();
+  if (ext === "jpg" || ext === "jpeg") return "image/jpeg";
+  if (ext === "png" || ext === "webp" || ext === "gif") return `image/${ext}`;
+  return "application/octet-stream";
+}
+
+function dataURLToBytes(url) {
+  const comma = url.indexOf(",");
+  const mime = url.slice(5, comma).split(";")[0];
+  const bin = atob(url.slice(comma + 1));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return { mime, bytes };
+}
+
+function bytesToDataURL(bytes, mime) {
+  let bin = "";
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  return `data:${mime};base64,${btoa(bin)}`;
+}
+
+export const ProjectEngine = {
+  /**
+   * Upgrade project data of any known version to PROJECT_VERSION.
+   * @throws when the data is not a project or was written by a newer version
+   */
+  migrate(data) {
+    let version = versionOf(data);
+    if (!version) throw new Error("Not an Objekta project");
+    if (version > PROJECT_VERSION) throw new Error(`Project was saved by a newer version of Objekta (format v${version})`);
+    let project = data;
+    while (version < PROJECT_VERSION) {
+      project = MIGRATIONS[version](project);
+      version = project.version;
+    }
+    return project;
+  },
+
+  /**
+   * Material presets in this browser's asset library, by name
+   */
+  async collectPresets() {
+    const presets = {};
+    try {
+      (await AssetStore.list({ type: "material" })).forEach((a) => { if (!(a.name in presets)) presets[a.name] = a.data; });
+    } catch (e) { console.warn("Project: presets not collected", e); }
+    return presets;
+  },
+
+  /**
+   * Add a project's material presets to the asset library; presets with the same name are left alone
+   * @returns {Promise<number>} presets added
+   */
+  async restorePresets(presets = {}) {
+    let added = 0;
+    try {
+      const names = new Set((await AssetStore.list({ type: "material" })).map((a) => a.name));
+      for (const [name, preset] of Object.entries(presets || {})) {
+        if (names.has(name)) continue;
+        await AssetStore.add({ type: "material", name, tags: ["preset"], data: preset });
+        added++;
+      }
+    } catch (e) { console.warn("Project: presets not restored", e); }
+    return added;
+  },
+
+  /**
+   * Pack a project archive.
+   * @param {{ scene: object, camera?: object, environment?: object, settings?: object, presets?: object, meta?: object }} parts
+   *   scene is serializeScene() output
+   * @param {{ textures?: { key: string, texture: THREE.Texture }[], hdr?: File | null }} [assets]
+   * @returns {Promise<Uint8Array>} zip bytes
+   */
+  async pack(parts, { textures = [], hdr = null } = {}) {
+    const files = {};
+    const now = new Date().toISOString();
+
+    // snap images: data URLs -> files, deduped by image uuid
+    const scene = { ...parts.scene, snaps: (parts.scene?.snaps || []).map((snap) => ({ ...snap })) };
+    scene.snaps.forEach((snap) => {
+      if (!Array.isArray(snap.images)) return;
+      snap.images = snap.images.map((image) => {
+        if (typeof image.url !== "string" || !image.url.startsWith("data:")) return image;
+        const { mime, bytes } = dataURLToBytes(image.url);
+        const path = `assets/images/${image.uuid}.${extensionFor(mime)}`;
+        files[path] = bytes;
+        return { ...image, url: ASSET_PREFIX + path };
+      });
+    });
+
+    const textureList = [];
+    textures.forEach(({ key, texture }, i) => {
+      if (!texture?.image) return;
+      try {
+        const { mime, bytes } = dataURLToBytes(THREE.ImageUtils.getDataURL(texture.image));
+        const path = `assets/textures/${i}.${extensionFor(mime)}`;
+        files[path] = bytes;
+        textureList.push({ key, path });
+      } catch (e) { console.warn("Project: texture not saved", key, e); }
+    });
+
+    const environment = parts.environment ? { ...parts.environment, hdr: null } : null;
+    if (environment && hdr) {
+      const path = `assets/environment/${hdr.name || "environment.hdr"}`;
+      files[path] = new Uint8Array(await hdr.arrayBuffer());
+      environment.hdr = { name: hdr.name || "environment.hdr", path };
+    }
+
+    const project = {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      meta: { name: "Untitled", createdAt: now, ...(parts.meta || {}), modifiedAt: now },
+      scene,
+      camera: parts.camera || null,
+      environment,
+      settings: parts.settings || {},
+      presets: parts.presets || {},
+      textures: textureList,
+    };
+    files[PROJECT_ENTRY] = strToU8(JSON.stringify(project));
+    return zipSync(files);
+  },
+
+  /**
+   * Read a .objekta archive or a project/scene .json, migrated to PROJECT_VERSION.
+   * Snap images are inlined back as data URLs; textures and the HDR come back as Files.
+   * @param {ArrayBuffer | Uint8Array} buffer
+   * @returns {Promise<{ project: object, textures: { key: string, file: File }[], hdr: File | null }>}
+   */
+  async unpack(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let files = {};
+    let data;
+    try {
+      if (isZip(bytes)) {
+        files = unzipSync(bytes);
+        if (!files[PROJECT_ENTRY]) throw new Error(`Archive has no ${PROJECT_ENTRY}`);
+        data = JSON.parse(strFromU8(files[PROJECT_ENTRY]));
+      } else {
+        data = JSON.parse(strFromU8(bytes));
+      }
+    } catch (e) {
+      throw new Error(`Could not read project: ${e.message || e}`);
+    }
+
+    const project = this.migrate(data);
+    const missing = [];
+    (project.scene?.snaps || []).forEach((snap) => {
+      (snap.images || []).forEach((image) => {
+        if (typeof image.url !== "string" || !image.url.startsWith(ASSET_PREFIX)) return;
+        const path = image.url.slice(ASSET_PREFIX.length);
+        if (files[path]) image.url = bytesToDataURL(files[path], mimeFor(path));
+        else missing.push(path);
+      });
+    });
+    if (missing.length) console.warn("Project: missing assets", missing);
+
+    const textures = (project.textures || [])
+      .filter((t) => files[t.path])
+      .map((t) => ({ key: t.key, file: new File([files[t.path]], t.key || t.path.split("/").pop(), { type: mimeFor(t.path) }) }));
+    const hdrInfo = project.environment?.hdr;
+    const hdr = hdrInfo && files[hdrInfo.path] ? new File([files[hdrInfo.path]], hdrInfo.name) : null;
+
+    return { project, textures, hdr };
+  },
+};
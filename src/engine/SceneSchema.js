@@ -0,0 +1,152 @@
+// src/engine/SceneSchema.js
+
+/**
+ * Saved scene format (Workspace.serializeScene / loadFromData, autosaves, project scenes).
+ *   { version, snaps: [Object3D.toJSON()], metadata: { [uuid]: {} },
+ *     collections: { collections: [], members: {} }, selectionSets: [] }
+ * Data without a version is version 1 (the objekta_autosave_v1 era); migrateScene
+ * upgrades it, checkScene reports what can't be loaded as { path, message } items.
+ */
+
+export const SCENE_VERSION = 2;
+
+// Top-level fields: type and whether a missing/invalid value stops the load (fatal) or is dropped
+export const SCENE_SCHEMA = {
+  version: { type: "number", fatal: true },
+  snaps: { type: "array", fatal: true, required: true },
+  metadata: { type: "object" },
+  collections: { type: "object" },
+  selectionSets: { type: "array" },
+};
+
+/**
+ * MIGRATIONS[n] upgrades version n scene data to n + 1
+ */
+const MIGRATIONS = {
+  // v1: no version, sections added over time (metadata, collections, selection sets)
+  1: (data) => ({
+    ...data,
+    version: 2,
+    metadata: data.metadata && typeof data.metadata === "object" ? data.metadata : {},
+    collections: data.collections || { collections: [], members: {} },
+    selectionSets: data.selectionSets || [],
+  }),
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+function snapName(snap, index) {
+  return snap?.object?.name || snap?.object?.type || `object ${index + 1}`;
+}
+
+// Problems in one Object3D.toJSON() snap; an empty list means ObjectLoader can try it
+function checkSnap(snap) {
+  const problems = [];
+  if (typeOf(snap) !== "object") return [`expected an object, got ${typeOf(snap)}`];
+  if (snap.metadata && snap.metadata.type && snap.metadata.type !== "Object") problems.push(`metadata.type is '${snap.metadata.type}', expected 'Object'`);
+  const object = snap.object;
+  if (typeOf(object) !== "object") return [...problems, "missing 'object'"];
+  if (typeof object.type !== "string") problems.push("object.type is missing");
+  if (typeof object.uuid !== "string") problems.push("object.uuid is missing");
+
+  const uuids = (key) => new Set((Array.isArray(snap[key]) ? snap[key] : []).map((x) => x?.uuid));
+  const geometries = uuids("geometries");
+  const materials = uuids("materials");
+  const visit = (node, path) => {
+    if (typeOf(node) !== "object") { problems.push(`${path} is not an object`); return; }
+    if (node.geometry !== undefined && !geometries.has(node.geometry)) problems.push(`${path} references missing geometry ${node.geometry}`);
+    const mats = node.material === undefined ? [] : (Array.isArray(node.material) ? node.material : [node.material]);
+    mats.forEach((m) => { if (!materials.has(m)) problems.push(`${path} references missing material ${m}`); });
+    if (node.children !== undefined) {
+      if (!Array.isArray(node.children)) problems.push(`${path}.children is not an array`);
+      else node.children.forEach((child, i) => visit(child, `${path}.children[${i}]`));
+    }
+  };
+  visit(object, "object");
+  return problems;
+}
+
+/**
+ * Upgrade scene data to SCENE_VERSION. Data is not modified; newer versions are returned as-is
+ * (checkScene reports them).
+ * @returns {{ data: object, from: number }}
+ */
+export function migrateScene(data) {
+  const from = typeOf(data) === "object" ? (Number(data.version) || 1) : 0;
+  let out = data;
+  let version = from;
+  while (version >= 1 && version < SCENE_VERSION) {
+    out = MIGRATIONS[version](out);
+    version = out.version;
+  }
+  return { data: out, from };
+}
+
+/**
+ * Validate (migrated) scene data against SCENE_SCHEMA and the snap structure.
+ * @returns {{ ok: boolean, fatal: boolean, errors: { path: string, message: string }[],
+ *   warnings: { path: string, message: string }[], validSnaps: number[], invalidSnaps: { index: number, name: string, problems: string[] }[] }}
+ *   ok: nothing to report; fatal: nothing can be loaded
+ */
+export function checkScene(data) {
+  const report = { ok: true, fatal: false, errors: [], warnings: [], validSnaps: [], invalidSnaps: [] };
+  const error = (path, message, fatal = false) => {
+    report.errors.push({ path, message });
+    report.ok = false;
+    if (fatal) report.fatal = true;
+  };
+
+  if (typeOf(data) !== "object") {
+    error("", `scene must be an object, got ${typeOf(data)}`, true);
+    return report;
+  }
+  Object.entries(SCENE_SCHEMA).forEach(([key, rule]) => {
+    const value = data[key];
+    if (value === undefined) {
+      if (rule.required) error(key, "is required", rule.fatal);
+      return;
+    }
+    if (typeOf(value) !== rule.type) {
+      if (rule.fatal) error(key, `must be ${rule.type}, got ${typeOf(value)}`, true);
+      else report.warnings.push({ path: key, message: `must be ${rule.type}, got ${typeOf(value)}; ignored` });
+    }
+  });
+  if (typeof data.version === "number" && data.version > SCENE_VERSION) {
+    error("version", `scene version ${data.version} is newer than this editor supports (${SCENE_VERSION})`, true);
+  }
+  if (report.fatal) return report;
+
+  data.snaps.forEach((snap, index) => {
+    const problems = checkSnap(snap);
+    if (!problems.length) { report.validSnaps.push(index); return; }
+    report.invalidSnaps.push({ index, name: snapName(snap, index), problems });
+    problems.forEach((message) => error(`snaps[${index}]`, message));
+  });
+
+  const collections = data.collections;
+  if (typeOf(collections) === "object" && (!Array.isArray(collections.collections) || typeOf(collections.members) !== "object")) {
+    report.warnings.push({ path: "collections", message: "expected { collections: [], members: {} }; ignored" });
+  }
+  if (Array.isArray(data.selectionSets)) {
+    data.selectionSets.forEach((set, i) => {
+      if (typeOf(set) !== "object" || !Array.isArray(set.ids)) report.warnings.push({ path: `selectionSets[${i}]`, message: "expected { id, name, ids: [] }; ignored" });
+    });
+  }
+  return report;
+}
+
+/**
+ * One line per problem, for toasts, confirms and the console
+ */
+export function formatSceneReport(report, { max = 10 } = {}) {
+  const lines = [
+    ...report.errors.map((e) => `✖ ${e.path ? e.path + ": " : ""}${e.message}`),
+    ...report.warnings.map((w) => `⚠ ${w.path ? w.path + ": " : ""}${w.message}`),
+  ];
+  if (lines.length > max) return [...lines.slice(0, max), `… and ${lines.length - max} more`].join("\n");
+  return lines.join("\n");
+}
@@ -0,0 +1,124 @@
+// src/engine/SceneSnapshot.js
+import * as THREE from "three";
+import { SceneGraphStore } from "../store/SceneGraphStore";
+import EventBus from "../utils/EventBus";
+
+/**
+ * Serialize SceneGraphStore into plain data.
+ * Only top-level registered objects are written with toJSON(); registered
+ * descendants are stored by id and re-registered from their root on restore.
+ */
+export function serializeStore() {
+  const ids = Object.keys(SceneGraphStore.objects);
+  const byUuid = new Map();
+  ids.forEach((id) => {
+    const obj = SceneGraphStore.objects[id]?.object;
+    if (obj) byUuid.set(obj.uuid, id);
+  });
+
+  const entries = [];
+  ids.forEach((id) => {
+    const { object, metadata } = SceneGraphStore.objects[id] || {};
+    if (!object || typeof object.toJSON !== "function") return;
+
+    // skip objects nested inside another registered object
+    let rootId = null;
+    for (let p = object.parent; p; p = p.parent) {
+      if (byUuid.has(p.uuid)) rootId = byUuid.get(p.uuid);
+    }
+    if (rootId) {
+      entries.push({ id, uuid: object.uuid, rootId, metadata: { ...(metadata || {}) } });
+      return;
+    }
+
+    try {
+      // toJSON writes .matrix, which is stale until the next render after an edit
+      object.updateMatrixWorld(true);
+      entries.push({
+        id,
+        uuid: object.uuid,
+        json: object.toJSON(),
+        parentUuid: object.parent ? object.parent.uuid : null,
+        metadata: { ...(metadata || {}) },
+      });
+    } catch (err) {
+      console.warn("SceneSnapshot: failed to serialize", id, err);
+    }
+  });
+
+  return { entries };
+}
+
+/**
+ * Replace SceneGraphStore (and the matching Three.js objects) with a snapshot.
+ * @param {Object} state - output of serializeStore()
+ * @param {THREE.Object3D} root - fallback parent when the original one is gone
+ */
+export function restoreStore(state, root = null) {
+  SceneGraphStore.batch(() => restoreEntries(state, root));
+}
+
+function restoreEntries(state, root) {
+  try {
+    const entries = state?.entries || [];
+
+    // detach current objects from the scene
+    Object.values(SceneGraphStore.objects).forEach(({ object }) => {
+      if (object && object.parent) object.parent.remove(object);
+    });
+
+    // reset store (hierarchy is rebuilt once every entry is back)
+    SceneGraphStore.objects = {};
+    SceneGraphStore.rootIds = [];
+
+    // rebuild roots
+    const loader = new THREE.ObjectLoader();
+    const roots = new Map(); // id -> Object3D
+    entries.forEach((entry) => {
+      if (!entry.json) return;
+      try {
+        const object = loader.parse(entry.json);
+        roots.set(entry.id, object);
+        SceneGraphStore.objects[entry.id] = { object, metadata: entry.metadata };
+      } catch (err) {
+        console.warn("SceneSnapshot: failed to rebuild", entry.id, err);
+      }
+    });
+
+    // re-parent roots (to a restored object, an object still in the scene, or the root group)
+    entries.forEach((entry) => {
+      const object = roots.get(entry.id);
+      if (!object) return;
+      const parent = findParent(entry.parentUuid, roots, root) || root;
+      if (parent && typeof parent.add === "function") parent.add(object);
+    });
+
+    // re-register nested objects from their rebuilt roots
+    entries.forEach((entry) => {
+      if (entry.json) return;
+      const rootObj = roots.get(entry.rootId);
+      const object = rootObj?.getObjectByProperty("uuid", entry.uuid);
+      if (object) SceneGraphStore.objects[entry.id] = { object, metadata: entry.metadata };
+    });
+
+    SceneGraphStore.rebuildHierarchy();
+    SceneGraphStore.clearSelection();
+    EventBus.emit("history:restored", { objects: Array.from(roots.values()) });
+  } catch (err) {
+    console.error("History restore failed:", err);
+  }
+}
+
+function findParent(uuid, roots, root) {
+  if (!uuid) return null;
+  for (const object of roots.values()) {
+    const found = object.uuid === uuid ? object : object.getObjectByProperty("uuid", uuid);
+    if (found) return found;
+  }
+  if (root) {
+    let top = root;
+    while (top.parent) top = top.parent;
+    return top.uuid === uuid ? top : top.getObjectByProperty("uuid", uuid) || null;
+  }
+  return null;
+}
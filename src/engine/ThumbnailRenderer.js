@@ -0,0 +1,152 @@
+// src/engine/ThumbnailRenderer.js
+import * as THREE from "three";
+import { computeFraming } from "../components/CameraControls";
+import setupDefaultLighting from "../components/LightingSetup";
+import { ImportEngine } from "./ImportEngine";
+
+/**
+ * ThumbnailRenderer: preview images of objects, materials and model files.
+ * One offscreen WebGLRenderer (same setup as the Workspace viewport) with its own scene lit by
+ * setupDefaultLighting; the subject is framed like CameraControls.frameObject from a 3/4 view.
+ * Renders are queued, so callers anywhere (asset library, presets, projects) can share it.
+ */
+
+export const DEFAULT_THUMBNAIL_OPTIONS = {
+  size: 256,
+  type: "image/png", // or "image/webp" / "image/jpeg"
+  quality: 0.9,
+  background: null, // CSS color, null = transparent
+  padding: 1.1,
+};
+
+const VIEW_DIRECTION = new THREE.Vector3(-1, -0.7, -1.3); // camera looks down on the front-right
+
+// editor helpers that would clutter a preview
+const isHelperNode = (n) => n.isTransformControls || n.type?.endsWith("Helper");
+
+let context = null; // { renderer, scene, camera, lighting }
+let queue = Promise.resolve();
+
+function getContext() {
+  if (context) return context;
+  const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true, canvas: document.createElement("canvas") });
+  renderer.setPixelRatio(1);
+  renderer.shadowMap.enabled = false;
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(35, 1, 0.01, 1000);
+  const lighting = setupDefaultLighting(scene, renderer);
+  // a lower key light than the viewport's so the front reads
+  lighting.lights.directional.position.set(4, 6, 8);
+  renderer.domElement.addEventListener("webglcontextlost", () => { ThumbnailRenderer.dispose(); });
+  context = { renderer, scene, camera, lighting };
+  return context;
+}
+
+function toBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Thumbnail encoding failed"))), type, quality);
+  });
+}
+
+// subject placed in the thumbnail scene with its world transform, sharing geometry/materials
+function stage(object) {
+  object.updateWorldMatrix(true, true);
+  const clone = object.clone(true);
+  object.matrixWorld.decompose(clone.position, clone.quaternion, clone.scale);
+  const drop = [];
+  clone.traverse((n) => { if (n !== clone && isHelperNode(n)) drop.push(n); });
+  drop.forEach((n) => n.parent?.remove(n));
+  return clone;
+}
+
+function disposeTree(root) {
+  root.traverse((n) => {
+    n.geometry?.dispose?.();
+    (Array.isArray(n.material) ? n.material : n.material ? [n.material] : []).forEach((m) => {
+      Object.values(m).forEach((v) => { if (v?.isTexture) v.dispose(); });
+      m.dispose?.();
+    });
+  });
+}
+
+export const ThumbnailRenderer = {
+  /**
+   * Render an object (and its children) to an image
+   * @param {THREE.Object3D} object
+   * @param {Partial<typeof DEFAULT_THUMBNAIL_OPTIONS>} [options]
+   * @returns {Promise<Blob>}
+   */
+  render(object, options = {}) {
+    const job = queue.then(() => this._render(object, { ...DEFAULT_THUMBNAIL_OPTIONS, ...options }));
+    queue = job.catch(() => {});
+    return job;
+  },
+
+  _render(object, o) {
+    if (!object) throw new Error("Nothing to render");
+    const { renderer, scene, camera } = getContext();
+    const subject = stage(object);
+    scene.add(subject);
+    try {
+      const box = new THREE.Box3().setFromObject(subject);
+      if (box.isEmpty()) throw new Error("Nothing visible to render");
+      const { center, position, distance } = computeFraming(subject, camera, { padding: o.padding, direction: VIEW_DIRECTION });
+      camera.position.copy(position);
+      camera.near = Math.max(distance / 100, 0.001);
+      camera.far = distance * 100;
+      camera.lookAt(center);
+      camera.updateProjectionMatrix();
+
+      renderer.setSize(o.size, o.size, false);
+      renderer.setClearColor(o.background ? new THREE.Color(o.background) : 0x000000, o.background ? 1 : 0);
+      renderer.render(scene, camera);
+      return toBlob(renderer.domElement, o.type, o.quality);
+    } finally {
+      scene.remove(subject);
+    }
+  },
+
+  /**
+   * Render a material on a sphere; accepts a THREE.Material or an ObjectProperties preset
+   * ({ hex, roughness, metalness, opacity, emissiveHex, ... }) applied through applyPreset
+   * @param {THREE.Material | object} material
+   * @param {{ applyPreset?: (root: THREE.Object3D, preset: object) => void } & Partial<typeof DEFAULT_THUMBNAIL_OPTIONS>} [options]
+   * @returns {Promise<Blob>}
+   */
+  renderMaterial(material, { applyPreset = null, ...options } = {}) {
+    const sphere = new THREE.Mesh(new THREE.SphereGeometry(0.5, 48, 32), material?.isMaterial ? material : new THREE.MeshStandardMaterial({ color: 0x888888 }));
+    if (!material?.isMaterial && applyPreset) applyPreset(sphere, material || {});
+    return this.render(sphere, { padding: 0.75, ...options }).finally(() => {
+      sphere.geometry.dispose();
+      if (!material?.isMaterial) sphere.material.dispose();
+    });
+  },
+
+  /**
+   * Render a model file (any ImportEngine format; .glb for library assets)
+   * @param {File | Blob} file
+   * @returns {Promise<Blob>}
+   */
+  async renderFile(file, options = {}) {
+    const named = file instanceof File ? file : new File([file], "model.glb");
+    const root = await ImportEngine.importFile(named, { options: { ...ImportEngine.getImportOptions(named.name), scale: "keep", recenter: "origin", applyTransforms: false } });
+    try {
+      return await this.render(root, options);
+    } finally {
+      disposeTree(root);
+    }
+  },
+
+  // release the offscreen renderer; the next render creates a new one
+  dispose() {
+    const c = context;
+    if (!c) return;
+    context = null;
+    try {
+      c.lighting.dispose();
+      c.renderer.dispose();
+      c.renderer.forceContextLoss?.();
+    } catch (e) {}
+  },
+};
@@ -2,17 +2,21 @@
 import EventBus from "../utils/EventBus.js";
 import { SceneGraphStore } from "../store/SceneGraphStore.js";
 import { HistoryEngine } from "./HistoryEngine.js";
+import TransformCommand from "./commands/TransformCommand.js";
 
 export class TransformEngine {
   /**
    * Apply transforms (position, rotation, scale) to an object
    * @param {string} id - Object ID
    * @param {Object} transform - { position, rotation, scale }
-   * @param {boolean} recordHistory - Whether to snapshot for undo/redo
+   * @param {boolean} recordHistory - Whether to record a TransformCommand for undo/redo
    */
   static applyTransform(id, transform, recordHistory = true) {
     const obj = SceneGraphStore.objects[id];
     if (!obj || !obj.object) return;
+    if (SceneGraphStore.isLocked(id)) return; // locked objects keep their transform
+
+    const before = TransformCommand.capture(obj.object);
 
     const { position, rotation, scale } = transform;
 
@@ -38,7 +42,7 @@ export class TransformEngine {
     }
 
     if (recordHistory) {
-      HistoryEngine.snapshot("transform");
+      HistoryEngine.push(new TransformCommand([id], { [id]: before }, { [id]: TransformCommand.capture(obj.object) }));
     }
 
     EventBus.emit("transform:applied", { id, transform });
@@ -51,13 +55,18 @@ export class TransformEngine {
   static resetTransform(id, recordHistory = true) {
     const obj = SceneGraphStore.objects[id];
     if (!obj || !obj.object) return;
+    if (SceneGraphStore.isLocked(id)) return; // locked objects keep their transform
+
+    const before = TransformCommand.capture(obj.object);
 
     obj.object.position.set(0, 0, 0);
     obj.object.rotation.set(0, 0, 0);
     obj.object.scale.set(1, 1, 1);
 
     if (recordHistory) {
-      HistoryEngine.snapshot("reset-transform");
+      const cmd = new TransformCommand([id], { [id]: before }, { [id]: TransformCommand.capture(obj.object) });
+      cmd.label = "reset-transform";
+      HistoryEngine.push(cmd);
     }
 
     EventBus.emit("transform:reset", { id });
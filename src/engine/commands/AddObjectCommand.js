@@ -0,0 +1,102 @@
+// src/engine/commands/AddObjectCommand.js
+import { SceneGraphStore } from "../../store/SceneGraphStore";
+
+/**
+ * AddObjectCommand: attaches an Object3D to a parent and registers it with SceneGraphStore.
+ * The same instance is re-attached on redo, so references held elsewhere
+ * (selection, textures, BVH) stay valid across undo/redo.
+ *
+ * options:
+ *  - label: history label
+ *  - metadata: SceneGraphStore metadata for the root object
+ *  - registerDescendants: also register child nodes flagged userData.__objekta
+ *  - onAttach(object) / onDetach(object): editor side effects (BVH, selection)
+ *  - onDispose(object): release GPU resources once the command is dropped while detached
+ */
+export default class AddObjectCommand {
+  constructor(object, parent, options = {}) {
+    this.object = object;
+    this.parent = parent || null;
+    this.index = -1;
+    this.label = options.label || "add";
+    this.metadata = options.metadata || null;
+    this.registerDescendants = options.registerDescendants !== false;
+    this.onAttach = options.onAttach || null;
+    this.onDetach = options.onDetach || null;
+    this.onDispose = options.onDispose || null;
+    this._savedMeta = new Map(); // uuid -> metadata captured on detach
+  }
+
+  do() {
+    this._attach();
+  }
+
+  undo() {
+    this._detach();
+  }
+
+  getObjectNames() {
+    return [this.object?.name];
+  }
+
+  dispose() {
+    if (this.object && !this.object.parent && typeof this.onDispose === "function") {
+      try { this.onDispose(this.object); } catch (e) {}
+    }
+  }
+
+  _nodes() {
+    const nodes = [];
+    this.object.traverse((n) => {
+      if (n === this.object || (this.registerDescendants && n.userData?.__objekta)) nodes.push(n);
+    });
+    return nodes;
+  }
+
+  _attach() {
+    const obj = this.object;
+    if (!obj || !this.parent) return;
+
+    if (obj.parent !== this.parent) {
+      this.parent.add(obj);
+      // keep original sibling order when re-inserting
+      const children = this.parent.children;
+      if (this.index >= 0 && this.index < children.length - 1) {
+        children.splice(children.indexOf(obj), 1);
+        children.splice(this.index, 0, obj);
+      }
+    }
+
+    this._nodes().forEach((n) => {
+      const meta = this._savedMeta.get(n.uuid) ||
+        (n === obj && this.metadata) || { name: n.name, type: n.type };
+      SceneGraphStore.addObject(n.uuid, n, { ...meta });
+    });
+
+    if (typeof this.onAttach === "function") {
+      try { this.onAttach(obj); } catch (e) {}
+    }
+  }
+
+  _detach() {
+    const obj = this.object;
+    if (!obj) return;
+
+    this._nodes().forEach((n) => {
+      const rec = SceneGraphStore.objects[n.uuid];
+      if (!rec) return;
+      this._savedMeta.set(n.uuid, { ...(rec.metadata || {}) });
+      SceneGraphStore.removeObject(n.uuid);
+    });
+
+    if (obj.parent) {
+      this.parent = obj.parent;
+      this.index = obj.parent.children.indexOf(obj);
+      obj.parent.remove(obj);
+    }
+
+    if (typeof this.onDetach === "function") {
+      try { this.onDetach(obj); } catch (e) {}
+    }
+  }
+}
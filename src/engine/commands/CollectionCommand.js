@@ -0,0 +1,39 @@
+// src/engine/commands/CollectionCommand.js
+import { SceneGraphStore } from "../../store/SceneGraphStore";
+
+/**
+ * CollectionCommand: swaps SceneGraphStore collections + membership between two states.
+ * before/after: SceneGraphStore.serializeCollections() output
+ */
+export default class CollectionCommand {
+  constructor(before, after, { label = "collection", onApply = null } = {}) {
+    this.before = before;
+    this.after = after;
+    this.label = label;
+    this.onApply = onApply;
+  }
+
+  do() {
+    this._apply(this.after);
+  }
+
+  undo() {
+    this._apply(this.before);
+  }
+
+  getObjectNames() {
+    // objects whose collection changed
+    const a = this.before?.members || {};
+    const b = this.after?.members || {};
+    return Array.from(new Set([...Object.keys(a), ...Object.keys(b)]))
+      .filter((id) => a[id] !== b[id])
+      .map((id) => SceneGraphStore.getObject(id)?.name);
+  }
+
+  _apply(state) {
+    SceneGraphStore.restoreCollections(state);
+    if (typeof this.onApply === "function") {
+      try { this.onApply(state); } catch (e) {}
+    }
+  }
+}
@@ -0,0 +1,28 @@
+// src/engine/commands/CompoundCommand.js
+
+/**
+ * CompoundCommand: runs a list of commands as one history step.
+ * undo() walks the list in reverse so later commands are reverted first.
+ */
+export default class CompoundCommand {
+  constructor(label = "transaction", commands = []) {
+    this.label = label;
+    this.commands = commands;
+  }
+
+  do() {
+    this.commands.forEach((cmd) => cmd.do());
+  }
+
+  undo() {
+    for (let i = this.commands.length - 1; i >= 0; i--) this.commands[i].undo();
+  }
+
+  getObjectNames() {
+    return this.commands.flatMap((cmd) => (typeof cmd.getObjectNames === "function" ? cmd.getObjectNames() : []));
+  }
+
+  dispose() {
+    this.commands.forEach((cmd) => { try { cmd.dispose?.(); } catch (e) {} });
+  }
+}
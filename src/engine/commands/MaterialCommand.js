@@ -0,0 +1,102 @@
+// src/engine/commands/MaterialCommand.js
+
+// emissive is left out: the editor uses it for the selection highlight
+const COLOR_KEYS = ["color"];
+const VALUE_KEYS = ["roughness", "metalness", "opacity", "transparent", "emissiveIntensity", "wireframe"];
+const MAP_KEYS = ["map", "normalMap", "roughnessMap", "metalnessMap", "emissiveMap", "aoMap"];
+
+function readMaterial(m) {
+  const v = {};
+  if (!m) return v;
+  COLOR_KEYS.forEach((k) => { if (m[k]?.isColor) v[k] = m[k].getHex(); });
+  VALUE_KEYS.forEach((k) => { if (typeof m[k] === "number" || typeof m[k] === "boolean") v[k] = m[k]; });
+  MAP_KEYS.forEach((k) => { if (k in m) v[k] = m[k] || null; });
+  return v;
+}
+
+function writeMaterial(m, v) {
+  if (!m || !v) return;
+  COLOR_KEYS.forEach((k) => { if (k in v && m[k]?.isColor) m[k].setHex(v[k]); });
+  VALUE_KEYS.forEach((k) => { if (k in v) m[k] = v[k]; });
+  MAP_KEYS.forEach((k) => { if (k in v) m[k] = v[k]; });
+  m.needsUpdate = true;
+}
+
+/**
+ * Capture material assignments and editable values for every mesh under object.
+ * Material references are kept too, so edits that swap/clone materials undo cleanly.
+ */
+export function captureMaterialState(object) {
+  const entries = [];
+  object?.traverse?.((n) => {
+    if (!n.isMesh || !n.material) return;
+    const mats = Array.isArray(n.material) ? n.material : [n.material];
+    entries.push({ mesh: n, material: n.material, values: mats.map(readMaterial) });
+  });
+  return entries;
+}
+
+/**
+ * Compare two captured states (same meshes, materials and values)
+ */
+export function sameMaterialState(a = [], b = []) {
+  if (a.length !== b.length) return false;
+  return a.every((e, i) => {
+    const o = b[i];
+    if (e.mesh !== o.mesh || e.material !== o.material || e.values.length !== o.values.length) return false;
+    return e.values.every((v, j) => {
+      const w = o.values[j];
+      const keys = Object.keys(v);
+      return keys.length === Object.keys(w).length && keys.every((k) => v[k] === w[k]);
+    });
+  });
+}
+
+/**
+ * MaterialCommand: swaps material state captured with captureMaterialState().
+ */
+export default class MaterialCommand {
+  constructor(before = [], after = [], { label = "material", target = null, onApply = null } = {}) {
+    this.target = target; // object the edit was made on (for history listings)
+    this.before = before;
+    this.after = after;
+    this.label = label;
+    this.onApply = onApply;
+  }
+
+  do() {
+    this._apply(this.after);
+  }
+
+  undo() {
+    this._apply(this.before);
+  }
+
+  canMerge(other) {
+    return other instanceof MaterialCommand && other.target === this.target &&
+      other.before.length === this.after.length &&
+      other.before.every((e, i) => e.mesh === this.after[i].mesh);
+  }
+
+  merge(other) {
+    this.after = other.after;
+  }
+
+  getObjectNames() {
+    if (this.target) return [this.target.name];
+    return this.after.map(({ mesh }) => mesh?.name);
+  }
+
+  _apply(entries) {
+    entries.forEach(({ mesh, material, values }) => {
+      try {
+        mesh.material = material;
+        const mats = Array.isArray(material) ? material : [material];
+        mats.forEach((m, i) => writeMaterial(m, values[i]));
+      } catch (e) { console.warn("MaterialCommand apply error", e); }
+    });
+    if (typeof this.onApply === "function") {
+      try { this.onApply(); } catch (e) {}
+    }
+  }
+}
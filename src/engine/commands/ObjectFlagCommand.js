@@ -0,0 +1,46 @@
+// src/engine/commands/ObjectFlagCommand.js
+import { SceneGraphStore } from "../../store/SceneGraphStore";
+
+/**
+ * ObjectFlagCommand: toggles a SceneGraphStore flag ("locked" or "selectable") on one object.
+ * onApply(id, value) runs after every change, e.g. to detach the gizmo from a locked object.
+ */
+export default class ObjectFlagCommand {
+  constructor(id, flag, before, after, { label = flag === "locked" ? "lock" : "selectable", onApply = null } = {}) {
+    this.id = id;
+    this.flag = flag;
+    this.before = !!before;
+    this.after = !!after;
+    this.label = label;
+    this.onApply = onApply;
+  }
+
+  do() {
+    this._apply(this.after);
+  }
+
+  undo() {
+    this._apply(this.before);
+  }
+
+  canMerge(other) {
+    return other instanceof ObjectFlagCommand && other.id === this.id && other.flag === this.flag;
+  }
+
+  merge(other) {
+    this.after = other.after;
+  }
+
+  getObjectNames() {
+    const rec = SceneGraphStore.getEntry(this.id);
+    return [rec?.object?.name || rec?.metadata?.name];
+  }
+
+  _apply(value) {
+    if (this.flag === "locked") SceneGraphStore.setLocked(this.id, value);
+    else if (this.flag === "selectable") SceneGraphStore.setSelectable(this.id, value);
+    if (typeof this.onApply === "function") {
+      try { this.onApply(this.id, value); } catch (e) {}
+    }
+  }
+}
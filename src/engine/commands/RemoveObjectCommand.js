@@ -0,0 +1,21 @@
+// src/engine/commands/RemoveObjectCommand.js
+import AddObjectCommand from "./AddObjectCommand";
+
+/**
+ * RemoveObjectCommand: inverse of AddObjectCommand.
+ * The object is kept (not disposed) so undo can put it back where it was.
+ */
+export default class RemoveObjectCommand extends AddObjectCommand {
+  constructor(object, parent = object?.parent, options = {}) {
+    super(object, parent, { label: "delete", ...options });
+    if (this.parent && object) this.index = this.parent.children.indexOf(object);
+  }
+
+  do() {
+    this._detach();
+  }
+
+  undo() {
+    this._attach();
+  }
+}
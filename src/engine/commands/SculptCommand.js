@@ -0,0 +1,47 @@
+// src/engine/commands/SculptCommand.js
+
+/**
+ * SculptCommand: restores vertex positions touched by one sculpt stroke.
+ * before/after: Map<vertexIndex, [x, y, z]>
+ * onApply(mesh) runs after positions change (normals, BVH refit, render).
+ */
+export default class SculptCommand {
+  constructor(mesh, before, after, { label = "sculpt", onApply = null } = {}) {
+    this.mesh = mesh;
+    this.before = before;
+    this.after = after;
+    this.label = label;
+    this.onApply = onApply;
+  }
+
+  do() {
+    this._apply(this.after);
+  }
+
+  undo() {
+    this._apply(this.before);
+  }
+
+  canMerge(other) {
+    return other instanceof SculptCommand && other.mesh === this.mesh;
+  }
+
+  merge(other) {
+    for (const [i, v] of other.before) if (!this.before.has(i)) this.before.set(i, v);
+    for (const [i, v] of other.after) this.after.set(i, v);
+  }
+
+  getObjectNames() {
+    return [this.mesh?.name];
+  }
+
+  _apply(map) {
+    const pos = this.mesh?.geometry?.attributes?.position;
+    if (!pos || !map) return;
+    for (const [i, v] of map.entries()) pos.setXYZ(i, v[0], v[1], v[2]);
+    pos.needsUpdate = true;
+    if (typeof this.onApply === "function") {
+      try { this.onApply(this.mesh); } catch (e) {}
+    }
+  }
+}
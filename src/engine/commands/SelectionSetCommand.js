@@ -0,0 +1,33 @@
+// src/engine/commands/SelectionSetCommand.js
+import { SceneGraphStore } from "../../store/SceneGraphStore";
+
+/**
+ * SelectionSetCommand: swaps the saved selection sets between two states.
+ * before/after: SceneGraphStore.serializeSelectionSets() output
+ */
+export default class SelectionSetCommand {
+  constructor(before, after, { label = "selection-set" } = {}) {
+    this.before = before;
+    this.after = after;
+    this.label = label;
+  }
+
+  do() {
+    SceneGraphStore.restoreSelectionSets(this.after);
+  }
+
+  undo() {
+    SceneGraphStore.restoreSelectionSets(this.before);
+  }
+
+  getObjectNames() {
+    // names of the sets that differ between the two states
+    const key = (s) => JSON.stringify(s);
+    const before = new Set((this.before || []).map(key));
+    const after = new Set((this.after || []).map(key));
+    return [
+      ...(this.before || []).filter((s) => !after.has(key(s))),
+      ...(this.after || []).filter((s) => !before.has(key(s))),
+    ].map((s) => s.name);
+  }
+}
@@ -0,0 +1,45 @@
+// src/engine/commands/SetPropertyCommand.js
+
+/**
+ * SetPropertyCommand: sets a plain property (name, visible, ...) on an object.
+ * onApply(object, value) runs after every change, e.g. to sync SceneGraphStore.
+ */
+export default class SetPropertyCommand {
+  constructor(object, prop, before, after, { label = prop, onApply = null } = {}) {
+    this.object = object;
+    this.prop = prop;
+    this.before = before;
+    this.after = after;
+    this.label = label;
+    this.onApply = onApply;
+  }
+
+  do() {
+    this._apply(this.after);
+  }
+
+  undo() {
+    this._apply(this.before);
+  }
+
+  canMerge(other) {
+    return other instanceof SetPropertyCommand && other.object === this.object && other.prop === this.prop;
+  }
+
+  merge(other) {
+    this.after = other.after;
+  }
+
+  getObjectNames() {
+    // for renames list the new name
+    return [this.prop === "name" ? this.after : this.object?.name];
+  }
+
+  _apply(value) {
+    if (!this.object) return;
+    this.object[this.prop] = value;
+    if (typeof this.onApply === "function") {
+      try { this.onApply(this.object, value); } catch (e) {}
+    }
+  }
+}
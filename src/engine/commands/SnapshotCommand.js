@@ -0,0 +1,27 @@
+// src/engine/commands/SnapshotCommand.js
+import { restoreStore } from "../SceneSnapshot";
+
+/**
+ * SnapshotCommand: swaps the whole SceneGraphStore between two serialized states.
+ * Used for edits that can't be described by a finer-grained command.
+ */
+export default class SnapshotCommand {
+  constructor(before, after, { label = "update", root = null } = {}) {
+    this.before = before;
+    this.after = after;
+    this.root = root;
+    this.label = label;
+  }
+
+  getObjectNames() {
+    return (this.after?.entries || []).filter((e) => e.json).map((e) => e.metadata?.name);
+  }
+
+  do() {
+    restoreStore(this.after, this.root);
+  }
+
+  undo() {
+    restoreStore(this.before, this.root);
+  }
+}
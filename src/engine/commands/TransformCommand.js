@@ -1,6 +1,5 @@
 // src/engine/commands/TransformCommand.js
 import { SceneGraphStore } from "../../store/SceneGraphStore";
-import * as THREE from "three";
 
 /**
  * TransformCommand: captures before/after transforms for one or more objects.
@@ -14,6 +13,34 @@ export default class TransformCommand {
     this.label = "transform";
   }
 
+  /**
+   * Read an object's transform in the before/after map format
+   */
+  static capture(object) {
+    return {
+      position: object.position.toArray(),
+      rotation: [object.rotation.x, object.rotation.y, object.rotation.z],
+      scale: object.scale.toArray(),
+    };
+  }
+
+  canMerge(other) {
+    return other instanceof TransformCommand;
+  }
+
+  /**
+   * Absorb a later TransformCommand: keep the earliest before, take the latest after
+   */
+  merge(other) {
+    other.ids.forEach((id) => {
+      if (!this.ids.includes(id)) {
+        this.ids.push(id);
+        this.before[id] = other.before[id];
+      }
+      this.after[id] = other.after[id];
+    });
+  }
+
   do() {
     this._apply(this.after);
   }
@@ -22,6 +49,10 @@ export default class TransformCommand {
     this._apply(this.before);
   }
 
+  getObjectNames() {
+    return this.ids.map((id) => SceneGraphStore.objects?.[id]?.object?.name || SceneGraphStore.objects?.[id]?.metadata?.name);
+  }
+
   _apply(map) {
     try {
       this.ids.forEach((id) => {
@@ -36,8 +67,8 @@ export default class TransformCommand {
           rec.updateMatrixWorld(true);
         } catch (e) { console.warn("TransformCommand apply error", e); }
       });
-      // emit scene update so UI reacts (EventBus is optional)
-      try { const EB = require("../../utils/EventBus").default; EB?.emit?.("scene:updated", { type: "transform-command" }); } catch (e) {}
+      // let the UI know which objects moved
+      SceneGraphStore.notifyChanged(this.ids, ["transform"]);
     } catch (e) { console.warn("TransformCommand _apply failed", e); }
   }
 }
@@ -1,10 +1,133 @@
+// src/pages/Projects.jsx
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import ProjectStore from "../store/ProjectStore";
+import EventBus from "../utils/EventBus";
+
+/**
+ * Projects page: Studio projects saved in this browser (ProjectStore).
+ * Open goes to /studio?project=<id>; Studio loads the record and saves back to it.
+ */
+
+const formatDate = (t) => (t ? new Date(t).toLocaleString() : "—");
+const formatCount = (n) => (Number(n) || 0).toLocaleString();
+
+// object URL for a thumbnail Blob, revoked when it changes or the card unmounts
+function useBlobURL(blob) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) { setUrl(null); return undefined; }
+    const u = URL.createObjectURL(blob);
+    setUrl(u);
+    return () => { try { URL.revokeObjectURL(u); } catch (e) {} };
+  }, [blob]);
+  return url;
+}
+
+function ProjectCard({ project, onOpen, onRename, onDuplicate, onDelete }) {
+  const thumb = useBlobURL(project.thumbnail);
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-lg overflow-hidden flex flex-col">
+      <button type="button" className="aspect-square bg-gray-700 flex items-center justify-center" onClick={() => onOpen(project)} title="Open in Studio">
+        {thumb
+          ? <img src={thumb} alt="" className="w-full h-full object-contain" />
+          : <span className="text-4xl text-gray-500">🧊</span>}
+      </button>
+      <div className="p-4 flex-1 flex flex-col">
+        <h2 className="font-bold text-lg truncate" title={project.name}>{project.name}</h2>
+        <p className="text-sm text-gray-400 mt-1">Modified {formatDate(project.modifiedAt)}</p>
+        <p className="text-sm text-gray-400">
+          {project.hasArchive ? `${formatCount(project.objects)} objects · ${formatCount(project.triangles)} triangles` : "Not saved yet"}
+        </p>
+        <div className="mt-4 flex flex-wrap gap-2 text-sm">
+          <button type="button" className="px-3 py-1 bg-cyan-400 text-gray-900 font-bold rounded hover:bg-cyan-500 transition-colors" onClick={() => onOpen(project)}>Open</button>
+          <button type="button" className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 transition-colors" onClick={() => onRename(project)}>Rename</button>
+          <button type="button" className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 transition-colors" onClick={() => onDuplicate(project)}>Duplicate</button>
+          <button type="button" className="px-3 py-1 bg-gray-700 rounded hover:bg-red-600 transition-colors" onClick={() => onDelete(project)}>Delete</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default function Projects() {
+  const navigate = useNavigate();
+  const [projects, setProjects] = useState(null);
+  const [search, setSearch] = useState("");
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setProjects(await ProjectStore.list({ query: search }));
+      setError(null);
+    } catch (e) {
+      console.warn("Projects: list failed", e);
+      setError(e?.message || "Could not open the project database");
+      setProjects([]);
+    }
+  }, [search]);
+
+  useEffect(() => {
+    refresh();
+    const onChanged = () => refresh();
+    EventBus.on("projects:changed", onChanged);
+    return () => EventBus.off("projects:changed", onChanged);
+  }, [refresh]);
+
+  const open = useCallback((project) => navigate(`/studio?project=${encodeURIComponent(project.id)}`), [navigate]);
+
+  const create = useCallback(async () => {
+    const name = window.prompt("Project name", "Untitled");
+    if (name === null) return;
+    try { open(await ProjectStore.create(name)); } catch (e) { setError(e?.message || "Could not create project"); }
+  }, [open]);
+
+  const rename = useCallback((project) => {
+    const name = window.prompt("Project name", project.name);
+    if (name && name.trim() && name !== project.name) ProjectStore.rename(project.id, name).catch((e) => setError(e?.message || "Rename failed"));
+  }, []);
+
+  const duplicate = useCallback((project) => {
+    ProjectStore.duplicate(project.id).catch((e) => setError(e?.message || "Duplicate failed"));
+  }, []);
+
+  const remove = useCallback((project) => {
+    if (window.confirm(`Delete "${project.name}"? This can't be undone.`)) ProjectStore.remove(project.id).catch((e) => setError(e?.message || "Delete failed"));
+  }, []);
+
   return (
     <div className="min-h-screen bg-gray-900 text-white p-8">
-      <h1 className="text-3xl font-bold mb-4">Projects</h1>
-      <p className="text-lg text-gray-300">
-        A list of projects will be displayed here.
-      </p>
+      <div className="max-w-6xl mx-auto">
+        <div className="flex flex-wrap items-center gap-4 mb-8">
+          <h1 className="text-3xl font-bold flex-1">Projects</h1>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search projects..."
+            className="p-2 rounded bg-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-cyan-400"
+          />
+          <button type="button" className="px-4 py-2 bg-cyan-400 text-gray-900 font-bold rounded hover:bg-cyan-500 transition-colors" onClick={create}>
+            ＋ New project
+          </button>
+        </div>
+
+        {error && <p className="mb-6 p-3 rounded bg-red-900 text-red-100">{error}</p>}
+
+        {projects === null && <p className="text-gray-400">Loading…</p>}
+        {projects?.length === 0 && (
+          <p className="text-lg text-gray-300">
+            {search.trim() ? "No projects match." : "No projects yet. Create one to start a scene in the Studio."}
+          </p>
+        )}
+        {projects?.length > 0 && (
+          <div className="grid gap-6 grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
+            {projects.map((p) => (
+              <ProjectCard key={p.id} project={p} onOpen={open} onRename={rename} onDuplicate={duplicate} onDelete={remove} />
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
@@ -6,18 +6,27 @@ import { DndProvider } from "react-dnd";
 import { HTML5Backend } from "react-dnd-html5-backend";
 import {
   FiSave, FiUpload, FiRefreshCcw, FiMaximize, FiMinimize, FiRotateCcw,
-  FiRotateCw, FiSidebar, FiLayers, FiPlusSquare, FiCopy, FiWifi, FiWifiOff, FiSearch
+  FiRotateCw, FiSidebar, FiLayers, FiPlusSquare, FiCopy, FiWifi, FiWifiOff, FiSearch, FiFolderPlus, FiFilter, FiFolder, FiPrinter, FiBookOpen, FiLink, FiDownload
 } from "react-icons/fi";
+import { Link, useSearchParams } from "react-router-dom";
 
 import Palette from "../components/Palette";
+import AssetLibrary from "../components/AssetLibrary";
 import Workspace from "../components/Workspace";
 import ObjectProperties from "../components/ObjectProperties";
 import SculptToolbar from "../components/SculptToolbar";
 import "../styles/Studio.css";
 
 import { SceneGraphStore } from "../store/SceneGraphStore";
+import useSceneGraph from "../store/useSceneGraph";
 import TextureStore from "../store/TextureStore";
+import AutosaveStore from "../store/AutosaveStore";
+import ProjectStore from "../store/ProjectStore";
 import EventBus from "../utils/EventBus";
+import { ISSUE_CODES } from "../utils/validator";
+import { ImportEngine, IMPORT_FORMATS, IMPORT_EXTENSIONS, pickMainFile, filesFromDataTransfer } from "../engine/ImportEngine";
+import { ExportEngine, EXPORT_FORMATS } from "../engine/ExportEngine";
+import { ProjectEngine, PROJECT_EXTENSION } from "../engine/ProjectEngine";
 
 import initCameraControls from "../components/CameraControls";
 import setupDefaultLighting from "../components/LightingSetup";
@@ -55,7 +64,8 @@ const ToastList = ({ toasts, remove }) => (
   </div>
 );
 
-const Loader = ({ active, message, progress }) => {
+// onCancel: shows a Cancel button (abortable work such as URL imports)
+const Loader = ({ active, message, progress, onCancel }) => {
   if (!active) return null;
   return (
     <div className="loader-container" role="status" aria-live="polite">
@@ -65,6 +75,7 @@ const Loader = ({ active, message, progress }) => {
           <div style={{ width: `${Math.round((progress ?? 0) * 100)}%`, height: "100%", background: "linear-gradient(90deg,var(--brand-purple),var(--brand-pink))" }} />
         </div>
         {typeof progress === "number" && <div style={{ marginTop: 8, fontSize: 12 }}>{Math.round(progress * 100)}%</div>}
+        {onCancel && <button onClick={onCancel} className="studio-btn" style={{ marginTop: 12 }}>Cancel</button>}
       </div>
     </div>
   );
@@ -86,6 +97,390 @@ const ConfirmModal = ({ open, title, message, onCancel, onConfirm }) => {
   );
 };
 
+/* -------------------
+   ImportOptionsModal: placement options confirmed before an import is committed
+   ------------------- */
+const ImportOptionsModal = ({ request, onCancel, onConfirm }) => {
+  const [options, setOptions] = useState(request?.options || {});
+  useEffect(() => { if (request) setOptions(request.options); }, [request]);
+  if (!request) return null;
+
+  const set = (key) => (e) => setOptions((o) => ({ ...o, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+  const row = { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, marginBottom: 10 };
+  return (
+    <div className="modal-container" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 4 }}>Import options</div>
+        <div style={{ color: 'var(--text-muted)', marginBottom: 14, fontSize: 13 }}>{request.file.name}</div>
+        <label style={row}>Source units
+          <select value={options.units} onChange={set('units')}>
+            <option value="mm">Millimeters</option>
+            <option value="cm">Centimeters</option>
+            <option value="m">Meters</option>
+            <option value="in">Inches</option>
+          </select>
+        </label>
+        <label style={row}>Recenter
+          <select value={options.recenter} onChange={set('recenter')}>
+            <option value="floor">On the floor</option>
+            <option value="origin">At origin</option>
+            <option value="none">Keep file position</option>
+          </select>
+        </label>
+        <label style={row}>Scale
+          <select value={options.scale} onChange={set('scale')}>
+            <option value="fit">Fit to view</option>
+            <option value="keep">Keep (after units)</option>
+          </select>
+        </label>
+        <label style={row}>Hierarchy
+          <select value={options.hierarchy} onChange={set('hierarchy')}>
+            <option value="keep">Keep</option>
+            <option value="flatten">Flatten</option>
+            <option value="merge">Merge into one object</option>
+          </select>
+        </label>
+        <label style={{ ...row, justifyContent: 'flex-start' }}>
+          <input type="checkbox" checked={!!options.zUp} onChange={set('zUp')} /> Convert Z-up to Y-up
+        </label>
+        <label style={{ ...row, justifyContent: 'flex-start' }}>
+          <input type="checkbox" checked={!!options.applyTransforms} onChange={set('applyTransforms')} /> Apply transforms to geometry
+        </label>
+        <div style={{ color: 'var(--text-muted)', fontSize: 12, marginBottom: 16 }}>These options are remembered for .{request.ext} files.</div>
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>
+          <button onClick={onCancel} className="studio-btn">Cancel</button>
+          <button onClick={() => onConfirm(options)} className="launch-btn" style={{ padding: '8px 16px', fontSize: 14 }}>Import</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/* -------------------
+   ImportURLModal: URL to import from, with the recently imported URLs
+   request: null (closed) or { url?, error? }; error is the last failure for that URL
+   ------------------- */
+const ImportURLModal = ({ request, onCancel, onConfirm }) => {
+  const [url, setUrl] = useState("");
+  const [recent, setRecent] = useState([]);
+  useEffect(() => {
+    if (!request) return;
+    setUrl(request.url || "");
+    setRecent(ImportEngine.getRecentURLs());
+  }, [request]);
+  if (!request) return null;
+
+  const submit = (e) => { e.preventDefault(); if (url.trim()) onConfirm(url.trim()); };
+  const forget = (u) => { ImportEngine.removeRecentURL(u); setRecent(ImportEngine.getRecentURLs()); };
+  return (
+    <div className="modal-container" onClick={onCancel}>
+      <form className="modal-content" onClick={(e) => e.stopPropagation()} onSubmit={submit}>
+        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 4 }}>Import from URL</div>
+        <div style={{ color: 'var(--text-muted)', marginBottom: 14, fontSize: 13 }}>
+          Direct link to a {Object.values(IMPORT_FORMATS).map((f) => f.label).join(", ")} file. The server must allow cross-origin downloads (CORS).
+        </div>
+        <input
+          autoFocus type="url" value={url} placeholder="https://example.com/model.glb"
+          onChange={(e) => setUrl(e.target.value)} style={{ width: '100%', padding: 6, boxSizing: 'border-box', marginBottom: 10 }}
+        />
+        {request.error && <div role="alert" style={{ color: 'var(--brand-pink)', fontSize: 13, marginBottom: 10, lineHeight: 1.4 }}>{request.error}</div>}
+        {recent.length > 0 && (
+          <div style={{ marginBottom: 14 }}>
+            <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}>Recent</div>
+            {recent.map((u) => (
+              <div key={u} style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 4 }}>
+                <button type="button" className="studio-btn" title={u} onClick={() => setUrl(u)} onDoubleClick={() => onConfirm(u)}
+                  style={{ flex: 1, minWidth: 0, textAlign: 'left', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', fontSize: 12 }}>{u}</button>
+                <button type="button" className="studio-btn" title="Remove from recent" onClick={() => forget(u)}>✕</button>
+              </div>
+            ))}
+          </div>
+        )}
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>
+          <button type="button" onClick={onCancel} className="studio-btn">Cancel</button>
+          <button type="submit" disabled={!url.trim()} className="launch-btn" style={{ padding: '8px 16px', fontSize: 14 }}>Import</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+/* -------------------
+   ExportOptionsModal: scope, content and per-format exporter options for Export
+   request: null (closed) or { format? } to preselect a format
+   ------------------- */
+const ExportOptionsModal = ({ request, onCancel, onConfirm }) => {
+  const [options, setOptions] = useState(() => ExportEngine.getExportOptions());
+  const rootIds = useSceneGraph((s) => s.getRootIds());
+  const collections = useSceneGraph((s) => s.getCollections());
+  const selectedCount = useSceneGraph((s) => s.selected.length);
+  useEffect(() => {
+    if (request) setOptions({ ...ExportEngine.getExportOptions(), ...(request.format ? { format: request.format } : {}), ids: SceneGraphStore.getSelectedIds() });
+  }, [request]);
+  if (!request) return null;
+
+  const set = (key) => (e) => setOptions((o) => ({ ...o, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+  const toggleId = (id) => setOptions((o) => ({ ...o, ids: o.ids.includes(id) ? o.ids.filter((x) => x !== id) : [...o.ids, id] }));
+  const collectionId = options.collections?.[0] || collections[0]?.id || '';
+  const canExport = options.scope === 'selection' ? selectedCount > 0
+    : options.scope === 'objects' ? options.ids.length > 0
+    : options.scope === 'collection' ? !!collectionId : true;
+  const format = EXPORT_FORMATS[options.format] || EXPORT_FORMATS.glb;
+  const isGLTF = options.format === 'glb' || options.format === 'gltf';
+  const confirm = () => onConfirm({ ...options, collections: options.scope === 'collection' ? [collectionId] : null });
+  const row = { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, marginBottom: 10 };
+  return (
+    <div className="modal-container" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 14 }}>Export</div>
+        <label style={row}>File name
+          <input value={options.filename} onChange={set('filename')} style={{ padding: 4 }} />
+        </label>
+        <label style={row}>Format
+          <select value={options.format} onChange={set('format')}>
+            {Object.entries(EXPORT_FORMATS).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+          </select>
+        </label>
+        <label style={row}>Scope
+          <select value={options.scope} onChange={set('scope')}>
+            <option value="all">Whole scene</option>
+            <option value="selection">Selection ({selectedCount})</option>
+            <option value="visible">Visible only</option>
+            <option value="objects">Chosen objects</option>
+            <option value="collection" disabled={!collections.length}>Collection</option>
+          </select>
+        </label>
+        {options.scope === 'collection' && (
+          <label style={row}>Collection
+            <select value={collectionId} onChange={(e) => setOptions((o) => ({ ...o, collections: [e.target.value] }))}>
+              {collections.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </label>
+        )}
+        {options.scope === 'objects' && (
+          <div style={{ maxHeight: 160, overflowY: 'auto', marginBottom: 10, padding: '4px 8px', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 6 }}>
+            {rootIds.map((id) => (
+              <label key={id} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13 }}>
+                <input type="checkbox" checked={options.ids.includes(id)} onChange={() => toggleId(id)} /> {SceneGraphStore.getObject(id)?.name || 'Object'}
+              </label>
+            ))}
+          </div>
+        )}
+        {isGLTF && (
+          <label style={row}>Textures
+            <select value={options.format === 'glb' ? 'embed' : options.textures} onChange={set('textures')} disabled={options.format === 'glb'}>
+              <option value="embed">Embed</option>
+              <option value="separate">Separate files (.zip)</option>
+            </select>
+          </label>
+        )}
+        {(isGLTF || options.format === 'usdz') && (
+          <label style={row}>Max texture size
+            <select value={options.maxTextureSize} onChange={set('maxTextureSize')}>
+              {[512, 1024, 2048, 4096, 8192].map((n) => <option key={n} value={n}>{n}px</option>)}
+            </select>
+          </label>
+        )}
+        {format.meshOnly && (
+          <label style={row}>Units
+            <select value={options.units} onChange={set('units')}>
+              <option value="mm">Millimeters</option>
+              <option value="cm">Centimeters</option>
+              <option value="m">Meters</option>
+              <option value="in">Inches</option>
+            </select>
+          </label>
+        )}
+        {(options.format === 'stl' || options.format === 'ply') && (
+          <label style={row}>Encoding
+            <select value={options.binary ? 'binary' : 'ascii'} onChange={(e) => setOptions((o) => ({ ...o, binary: e.target.value === 'binary' }))}>
+              <option value="binary">Binary</option>
+              <option value="ascii">ASCII</option>
+            </select>
+          </label>
+        )}
+        {format.meshOnly ? (
+          <>
+            <label style={{ ...row, justifyContent: 'flex-start' }}>
+              <input type="checkbox" checked={!!options.mergeMeshes} onChange={set('mergeMeshes')} /> Merge meshes into one
+            </label>
+            <div style={{ color: 'var(--text-muted)', fontSize: 12, marginBottom: 10 }}>Transforms are baked into world space; lights and cameras are left out.</div>
+          </>
+        ) : (
+          <label style={{ ...row, justifyContent: 'flex-start' }}>
+            <input type="checkbox" checked={!!options.applyTransforms} onChange={set('applyTransforms')} /> Apply transforms to geometry
+          </label>
+        )}
+        {isGLTF && (
+          <>
+            <label style={{ ...row, justifyContent: 'flex-start' }}>
+              <input type="checkbox" checked={!!options.includeLights} onChange={set('includeLights')} /> Include lights
+            </label>
+            <label style={{ ...row, justifyContent: 'flex-start' }}>
+              <input type="checkbox" checked={!!options.includeCameras} onChange={set('includeCameras')} /> Include cameras
+            </label>
+            <label style={{ ...row, justifyContent: 'flex-start' }}>
+              <input type="checkbox" checked={!!options.onlyVisible} onChange={set('onlyVisible')} /> Skip hidden nodes
+            </label>
+            <label style={{ ...row, justifyContent: 'flex-start' }}>
+              <input type="checkbox" checked={!!options.truncateDrawRange} onChange={set('truncateDrawRange')} /> Truncate to draw range
+            </label>
+          </>
+        )}
+        <label style={{ ...row, justifyContent: 'flex-start', marginTop: 6 }}>
+          <input type="checkbox" checked={!!options.optimize} onChange={set('optimize')} /> Optimize for web
+        </label>
+        {options.optimize && (
+          <div style={{ paddingLeft: 22 }}>
+            <label style={row}>Triangle budget
+              <input type="number" min="0" step="1000" value={options.triangleBudget} onChange={set('triangleBudget')} placeholder="0 = keep" style={{ width: 100, padding: 4 }} />
+            </label>
+            {!isGLTF && options.format !== 'usdz' && (
+              <label style={row}>Max texture size
+                <select value={options.maxTextureSize} onChange={set('maxTextureSize')}>
+                  {[512, 1024, 2048, 4096, 8192].map((n) => <option key={n} value={n}>{n}px</option>)}
+                </select>
+              </label>
+            )}
+            <label style={{ ...row, justifyContent: 'flex-start' }}>
+              <input type="checkbox" checked={!!options.weldVertices} onChange={set('weldVertices')} /> Merge duplicate vertices
+            </label>
+            <label style={{ ...row, justifyContent: 'flex-start' }}>
+              <input type="checkbox" checked={!!options.dedupe} onChange={set('dedupe')} /> Share identical materials and textures
+            </label>
+            <label style={{ ...row, justifyContent: 'flex-start' }}>
+              <input type="checkbox" checked={!!options.stripAttributes} onChange={set('stripAttributes')} /> Strip unused attributes
+            </label>
+          </div>
+        )}
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 6 }}>
+          <button onClick={onCancel} className="studio-btn">Cancel</button>
+          <button onClick={confirm} disabled={!canExport} className="launch-btn" style={{ padding: '8px 16px', fontSize: 14 }}>Export</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/* -------------------
+   SelectByModal: select objects by material, geometry, type, name, triangle count or validator issue
+   ------------------- */
+const SELECT_BY_OPTIONS = [
+  { value: 'material', label: 'Same material as selection' },
+  { value: 'geometry', label: 'Same geometry as selection' },
+  { value: 'type', label: 'Type' },
+  { value: 'name', label: 'Name (regex)' },
+  { value: 'triangles', label: 'Triangle count' },
+  { value: 'issue', label: 'Validation issue' },
+];
+
+const SelectByModal = ({ open, onClose, workspaceRef, pushToast }) => {
+  const [by, setBy] = useState('material');
+  const [kind, setKind] = useState('meshes');
+  const [pattern, setPattern] = useState('');
+  const [minTris, setMinTris] = useState('');
+  const [maxTris, setMaxTris] = useState('');
+  const [issue, setIssue] = useState(ISSUE_CODES[0]);
+  const [add, setAdd] = useState(false);
+  if (!open) return null;
+
+  const run = () => {
+    const num = (v) => (v === '' ? undefined : Number(v));
+    const criteria = { by };
+    if (by === 'type') criteria.value = kind;
+    if (by === 'name') criteria.value = pattern;
+    if (by === 'triangles') { criteria.min = num(minTris); criteria.max = num(maxTris); }
+    if (by === 'issue') criteria.value = issue;
+    const res = workspaceRef.current?.selectBy?.(criteria, { add });
+    if (!res) return;
+    if (!res.ok) { pushToast?.({ type: "error", message: res.error }); return; }
+    pushToast?.({ type: "info", message: `Selected ${res.count} object${res.count === 1 ? '' : 's'}` });
+    onClose();
+  };
+
+  const field = { width: '100%', padding: 6, marginBottom: 10 };
+  return (
+    <div className="modal-container" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 12 }}>Select by…</div>
+        <select value={by} onChange={(e) => setBy(e.target.value)} style={field}>
+          {SELECT_BY_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        {by === 'type' && (
+          <select value={kind} onChange={(e) => setKind(e.target.value)} style={field}>
+            <option value="meshes">Meshes</option>
+            <option value="lights">Lights</option>
+            <option value="cameras">Cameras</option>
+          </select>
+        )}
+        {by === 'name' && <input autoFocus placeholder="e.g. ^wheel_\d+" value={pattern} onChange={(e) => setPattern(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') run(); }} style={field} />}
+        {by === 'triangles' && (
+          <div style={{ display: 'flex', gap: 8 }}>
+            <input type="number" min={0} placeholder="Min" value={minTris} onChange={(e) => setMinTris(e.target.value)} style={field} />
+            <input type="number" min={0} placeholder="Max" value={maxTris} onChange={(e) => setMaxTris(e.target.value)} style={field} />
+          </div>
+        )}
+        {by === 'issue' && (
+          <select value={issue} onChange={(e) => setIssue(e.target.value)} style={field}>
+            {ISSUE_CODES.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        )}
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, color: 'var(--text-muted)', marginBottom: 16 }}>
+          <input type="checkbox" checked={add} onChange={(e) => setAdd(e.target.checked)} /> Add to current selection
+        </label>
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>
+          <button onClick={onClose} className="studio-btn">Cancel</button>
+          <button onClick={run} className="launch-btn" style={{ padding: '8px 16px', fontSize: 14 }}>Select</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/* -------------------
+   SelectionSetsView: named selections saved with the scene
+   ------------------- */
+const SelectionSetsView = ({ workspaceRef, pushToast }) => {
+  const sets = useSceneGraph((s) => s.getSelectionSets());
+  const selectedCount = useSceneGraph((s) => s.selected.length);
+  // resolved counts change when members are removed or made unselectable
+  const counts = useSceneGraph((s) => sets.map((set) => s.resolveSelectionSet(set.id).length));
+  const ws = () => workspaceRef.current;
+
+  const saveSelection = () => {
+    const name = prompt('Selection set name', `Selection ${sets.length + 1}`);
+    if (name) ws()?.createSelectionSet?.(name);
+  };
+  const selectSet = (set, add) => {
+    const objects = ws()?.selectSelectionSet?.(set.id, { add }) || [];
+    if (!objects.length) pushToast?.({ type: "info", message: `'${set.name}' has nothing to select` });
+  };
+  const renameSet = (set) => {
+    const name = prompt('Rename selection set', set.name);
+    if (name && name !== set.name) ws()?.renameSelectionSet?.(set.id, name);
+  };
+
+  return (
+    <div style={{ marginBottom: 12 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+        <div style={{ flex: 1, fontWeight: 600 }}>Selection sets</div>
+        <button className="studio-btn" disabled={!selectedCount} onClick={saveSelection} title="Save the current selection as a set">Save selection</button>
+      </div>
+      {sets.length === 0 && <div style={{ opacity: 0.5, fontSize: 12, padding: '2px 8px' }}>No saved selections</div>}
+      {sets.map((set, i) => (
+        <div key={set.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '4px 8px' }}>
+          <div style={{ flex: 1, cursor: 'pointer' }} title="Click to select, Shift+click to add" onClick={(e) => selectSet(set, e.shiftKey)}>
+            {set.name} <span style={{ opacity: 0.6 }}>({counts[i]})</span>
+          </div>
+          <button title="Replace with current selection" disabled={!selectedCount} onClick={() => ws()?.updateSelectionSet?.(set.id)}>↻</button>
+          <button title="Rename" onClick={() => renameSet(set)}>✎</button>
+          <button title="Delete" onClick={() => ws()?.deleteSelectionSet?.(set.id)}>🗑</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 /* -------------------
    OutlinerView component
    ------------------- */
@@ -110,17 +505,32 @@ const OutlinerView = ({ onSelect, sceneVersion, outlinerSearch: parentSearch, se
         }
         if (!mounted) return;
         lastVerRef.current = ver;
-        const filtered = parentSearch ? list.filter(i => (i.name || '').toLowerCase().includes(parentSearch.toLowerCase())) : list;
+        // search covers nested objects too, not just the top level
+        const filtered = parentSearch
+          ? SceneGraphStore.findByName(parentSearch).map((id) => SceneGraphStore.getObject(id)).filter(Boolean)
+          : list;
         setItems(filtered);
       } catch (e) { /* ignore */ }
     };
 
     scanIfNeeded();
-    const t = setInterval(scanIfNeeded, 800);
-    return () => { mounted = false; clearInterval(t); };
+    // only structural/name/visibility changes need a rescan (as in Outliner); transforms, materials
+    // and selection don't (rows read the selection through useSceneGraph)
+    const unsubscribe = SceneGraphStore.subscribe((events) => {
+      const relevant = events.some((e) => e.type === "object:changed"
+        ? e.changes.some((c) => c === "name" || c === "visible" || c === "locked" || c === "selectable")
+        : e.type !== "selection:changed");
+      if (!relevant) return;
+      lastVerRef.current = -1;
+      scanIfNeeded();
+    });
+    return () => { mounted = false; unsubscribe(); };
   }, [parentSearch, sceneVersion, workspaceRef]);
 
-  const toggleVisibility = (obj) => { obj.visible = !obj.visible; pushToast?.({ type: "info", message: `${obj.name} ${obj.visible ? "shown" : "hidden"}` }); };
+  const toggleVisibility = (obj) => {
+    if (workspaceRef.current?.setObjectVisible) workspaceRef.current.setObjectVisible(obj, !obj.visible);
+    else obj.visible = !obj.visible;
+    pushToast?.({ type: "info", message: `${obj.name} ${obj.visible ? "shown" : "hidden"}` }); };
   const renameObject = (obj) => {
     const nv = prompt('Rename object', obj.name || '');
     if (nv && nv !== obj.name) {
@@ -134,12 +544,27 @@ const OutlinerView = ({ onSelect, sceneVersion, outlinerSearch: parentSearch, se
     }
   };
 
+  const toggleLocked = (obj) => {
+    const entry = SceneGraphStore.getEntry(obj.uuid);
+    if (!entry) return;
+    workspaceRef.current?.setObjectLocked?.(obj, !entry.locked);
+    pushToast?.({ type: "info", message: `${obj.name} ${entry.locked ? "unlocked" : "locked"}` });
+  };
+  const toggleSelectable = (obj) => {
+    const entry = SceneGraphStore.getEntry(obj.uuid);
+    if (!entry) return;
+    workspaceRef.current?.setObjectSelectable?.(obj, !entry.selectable);
+  };
+
   const deleteObject = (obj) => {
+    if (SceneGraphStore.getEntry(obj.uuid) && SceneGraphStore.isLocked(obj.uuid)) {
+      pushToast?.({ type: "error", message: `${obj.name || "Object"} is locked` });
+      return;
+    }
     if (!confirm('Delete object?')) return;
     try {
       if (workspaceRef.current?.selectObject) {
         workspaceRef.current.selectObject(obj);
-        disposeObjectResources(obj);
         workspaceRef.current.deleteSelected?.();
       } else {
         const scene = workspaceRef.current?.scene;
@@ -153,31 +578,337 @@ const OutlinerView = ({ onSelect, sceneVersion, outlinerSearch: parentSearch, se
     } catch (e) { pushToast?.({ type: "error", message: "Delete failed" }); }
   };
 
+  /* ---------- collections ---------- */
+  const collections = useSceneGraph((s) => s.getCollections());
+  const selectedIds = useSceneGraph((s) => s.getSelectedIds());
+  const [menu, setMenu] = useState(null); // { x, y, obj } for the row context menu
+  const [dropTarget, setDropTarget] = useState(undefined); // collection id (null = unassigned)
+  const ws = () => workspaceRef.current;
+
+  useEffect(() => {
+    if (!menu) return;
+    const close = () => setMenu(null);
+    window.addEventListener('click', close);
+    return () => window.removeEventListener('click', close);
+  }, [menu]);
+
+  const createCollection = (objects = []) => {
+    const name = prompt('Collection name', `Collection ${collections.length + 1}`);
+    if (!name) return;
+    ws()?.createCollection?.(name, objects);
+  };
+  const renameCollection = (col) => {
+    const name = prompt('Rename collection', col.name);
+    if (name && name !== col.name) ws()?.updateCollection?.(col.id, { name });
+  };
+  const deleteCollection = (col) => {
+    if (!confirm(`Delete collection '${col.name}'? Its objects stay in the scene.`)) return;
+    ws()?.deleteCollection?.(col.id);
+  };
+  const isIsolated = (col) => col.visible && collections.every((c) => c.id === col.id || !c.visible);
+  const toggleIsolate = (col) => {
+    if (isIsolated(col)) ws()?.showAllCollections?.();
+    else ws()?.isolateCollection?.(col.id);
+  };
+  const exportCollection = (col) => {
+    Promise.resolve(ws()?.exportGLTF?.(true, { collections: [col.id], filename: col.name }))
+      .then(() => pushToast?.({ type: "info", message: `Exported '${col.name}'` }))
+      .catch(() => pushToast?.({ type: "error", message: "Export failed" }));
+  };
+  const moveTo = (obj, collectionId) => ws()?.assignToCollection?.(obj, collectionId);
+
+  const dropProps = (collectionId) => ({
+    onDragOver: (e) => { if (e.dataTransfer.types.includes('text/objekta-object')) { e.preventDefault(); setDropTarget(collectionId); } },
+    onDragLeave: () => setDropTarget(undefined),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(undefined);
+      const id = e.dataTransfer.getData('text/objekta-object');
+      const obj = id ? SceneGraphStore.getObject(id) : null;
+      if (obj) moveTo(obj, collectionId);
+    },
+  });
+
+  // objects per section: direct members of each collection, then top-level objects without one
+  const matches = (o) => items.includes(o);
+  const sections = [
+    ...collections.map((col) => ({
+      col,
+      objects: SceneGraphStore.getCollectionMembers(col.id).map((id) => SceneGraphStore.getObject(id)).filter((o) => o && (!parentSearch || matches(o))),
+    })),
+    { col: null, objects: items.filter((o) => !SceneGraphStore.getCollectionOf(o.uuid)) },
+  ];
+
+  const renderRow = (it) => {
+    const entry = SceneGraphStore.getEntry(it.uuid);
+    return (
+      <div key={it.uuid}
+        draggable={!!entry}
+        onDragStart={(e) => { e.dataTransfer.setData('text/objekta-object', it.uuid); e.dataTransfer.effectAllowed = 'move'; }}
+        onContextMenu={(e) => { if (!entry) return; e.preventDefault(); e.stopPropagation(); setMenu({ x: e.clientX, y: e.clientY, obj: it }); }}
+        style={{
+          display: 'flex', alignItems: 'center', gap: 8,
+          padding: '6px 8px', borderRadius: 8,
+          background: selectedIds.includes(it.uuid) ? 'rgba(127,90,240,0.12)' : 'transparent',
+          marginBottom: 6
+        }}>
+        <div style={{ flex: 1, cursor: 'pointer' }} onClick={() => { if (workspaceRef.current?.selectObject) workspaceRef.current.selectObject(it); else onSelect?.(it); onSelect?.(it); }}>
+          {it.name || it.type || it.uuid}
+        </div>
+        <button title="Rename" onClick={() => renameObject(it)}>✎</button>
+        <button title="Toggle visibility" onClick={() => toggleVisibility(it)}>{it.visible ? '👁' : '🚫'}</button>
+        {entry && <button title={entry.locked ? 'Unlock' : 'Lock'} onClick={() => toggleLocked(it)}>{entry.locked ? '🔒' : '🔓'}</button>}
+        {entry && <button title={entry.selectable ? 'Make unselectable' : 'Make selectable'} onClick={() => toggleSelectable(it)}>{entry.selectable ? '➚' : '⊘'}</button>}
+        <button title={entry?.locked ? 'Locked' : 'Delete'} disabled={!!entry?.locked} onClick={() => deleteObject(it)}>🗑</button>
+      </div>
+    );
+  };
+
   return (
     <div style={{ padding: 8, overflowY: 'auto', height: '100%' }}>
       <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
         <input placeholder="Filter..." value={parentSearch} onChange={e => setParentSearch(e.target.value)} style={{ flex: 1, padding: 6 }} />
         <button onClick={() => { setParentSearch(''); }} className="studio-btn icon-btn"><FiSearch /></button>
+        <button onClick={() => createCollection()} className="studio-btn icon-btn" title="New collection"><FiFolderPlus /></button>
       </div>
-      {items.map((it) => (
-        <div key={it.uuid} style={{
-          display: 'flex', alignItems: 'center', gap: 8,
-          padding: '6px 8px', borderRadius: 8,
-          background: it.userData?.__selected ? 'rgba(127,90,240,0.12)' : 'transparent',
-          marginBottom: 6
+      {sections.map(({ col, objects }) => (
+        <div key={col ? col.id : '__unassigned'} {...dropProps(col ? col.id : null)} style={{
+          marginBottom: 10, borderRadius: 8,
+          outline: dropTarget === (col ? col.id : null) ? '1px dashed rgba(127,90,240,0.8)' : 'none',
+        }}>
+          {(col || collections.length > 0) && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '4px 6px', fontWeight: 600, opacity: col && !col.visible ? 0.5 : 1 }}>
+              <div style={{ flex: 1 }}>{col ? col.name : 'Unassigned'} <span style={{ opacity: 0.6, fontWeight: 400 }}>({objects.length})</span></div>
+              {col && (
+                <>
+                  <button title={col.visible ? 'Hide collection' : 'Show collection'} onClick={() => ws()?.updateCollection?.(col.id, { visible: !col.visible })}>{col.visible ? '👁' : '🚫'}</button>
+                  <button title={col.renderable ? 'Exclude from export' : 'Include in export'} onClick={() => ws()?.updateCollection?.(col.id, { renderable: !col.renderable })} style={{ opacity: col.renderable ? 1 : 0.4 }}>📷</button>
+                  <button title={col.selectable ? 'Make unselectable' : 'Make selectable'} onClick={() => ws()?.updateCollection?.(col.id, { selectable: !col.selectable })}>{col.selectable ? '➚' : '⊘'}</button>
+                  <button title={isIsolated(col) ? 'Show all collections' : 'Isolate'} onClick={() => toggleIsolate(col)}>{isIsolated(col) ? '◉' : '◎'}</button>
+                  <button title="Export this collection (GLB)" onClick={() => exportCollection(col)}>⤓</button>
+                  <button title="Rename collection" onClick={() => renameCollection(col)}>✎</button>
+                  <button title="Delete collection" onClick={() => deleteCollection(col)}>🗑</button>
+                </>
+              )}
+            </div>
+          )}
+          <div style={{ paddingLeft: col || collections.length > 0 ? 8 : 0 }}>
+            {objects.map(renderRow)}
+            {col && objects.length === 0 && <div style={{ opacity: 0.5, fontSize: 12, padding: '4px 8px' }}>Drag objects here</div>}
+          </div>
+        </div>
+      ))}
+
+      {menu && (
+        <div onClick={(e) => e.stopPropagation()} style={{
+          position: 'fixed', left: menu.x, top: menu.y, zIndex: 1000, minWidth: 180,
+          background: '#1b1b24', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8, padding: 4,
         }}>
-          <div style={{ flex: 1, cursor: 'pointer' }} onClick={() => { if (workspaceRef.current?.selectObject) workspaceRef.current.selectObject(it); else onSelect?.(it); onSelect?.(it); }}>
-            {it.name || it.type || it.uuid}
+          <div style={{ padding: '4px 8px', opacity: 0.6, fontSize: 12 }}>Move to collection</div>
+          {collections.map((col) => (
+            <div key={col.id} className="ctx-item" style={{ padding: '6px 8px', cursor: 'pointer' }}
+              onClick={() => { moveTo(menu.obj, col.id); setMenu(null); }}>
+              {SceneGraphStore.getEntry(menu.obj.uuid)?.metadata?.collection === col.id ? '✓ ' : ''}{col.name}
+            </div>
+          ))}
+          <div className="ctx-item" style={{ padding: '6px 8px', cursor: 'pointer' }} onClick={() => { setMenu(null); createCollection([menu.obj]); }}>New collection…</div>
+          {SceneGraphStore.getEntry(menu.obj.uuid)?.metadata?.collection && (
+            <div className="ctx-item" style={{ padding: '6px 8px', cursor: 'pointer' }} onClick={() => { moveTo(menu.obj, null); setMenu(null); }}>Remove from collection</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/* -------------------
+   HistoryView: undo steps + stored redo branches
+   ------------------- */
+const HistoryView = ({ workspaceRef, pushToast }) => {
+  const [history, setHistory] = useState({ entries: [], position: 0, branches: [] });
+
+  useEffect(() => {
+    const refresh = () => {
+      try { setHistory(workspaceRef.current?.getHistory?.() ?? { entries: [], position: 0, branches: [] }); } catch (e) {}
+    };
+    refresh();
+    EventBus.on("history:changed", refresh);
+    return () => EventBus.off("history:changed", refresh);
+  }, [workspaceRef]);
+
+  const fmtTime = (t) => (t ? new Date(t).toLocaleTimeString() : '');
+  const fmtObjects = (names = []) => (names.length > 3 ? `${names.slice(0, 3).join(', ')} +${names.length - 3}` : names.join(', '));
+
+  const rowStyle = (active, undone) => ({
+    display: 'flex', alignItems: 'center', gap: 8,
+    padding: '6px 8px', borderRadius: 8, marginBottom: 4, cursor: 'pointer',
+    background: active ? 'rgba(127,90,240,0.12)' : 'transparent',
+    opacity: undone ? 0.5 : 1,
+  });
+
+  return (
+    <div style={{ padding: 8, overflowY: 'auto', height: '100%' }}>
+      <div style={rowStyle(history.position === 0, false)} onClick={() => workspaceRef.current?.jumpToHistory?.(0)}>
+        <div style={{ flex: 1, fontStyle: 'italic' }}>Initial state</div>
+      </div>
+      {history.entries.map((entry, i) => (
+        <div key={i} title="Jump to this step" style={rowStyle(history.position === i + 1, i >= history.position)} onClick={() => workspaceRef.current?.jumpToHistory?.(i + 1)}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontWeight: 600 }}>{entry.label}</div>
+            {entry.objects.length > 0 && <div style={{ fontSize: 12, color: 'var(--text-muted)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{fmtObjects(entry.objects)}</div>}
           </div>
-          <button title="Rename" onClick={() => renameObject(it)}>✎</button>
-          <button title="Toggle visibility" onClick={() => toggleVisibility(it)}>{it.visible ? '👁' : '🚫'}</button>
-          <button title="Delete" onClick={() => deleteObject(it)}>🗑</button>
+          <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>{fmtTime(entry.timestamp)}</div>
+        </div>
+      ))}
+      {history.entries.length === 0 && <div style={{ color: 'var(--text-muted)' }}>No history yet</div>}
+
+      {history.branches.length > 0 && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontWeight: 700, marginBottom: 6 }}>Branches</div>
+          {history.branches.map((b) => (
+            <div key={b.id} style={{ borderTop: '1px solid rgba(255,255,255,0.04)', padding: '6px 0', opacity: b.reachable ? 1 : 0.5 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <div style={{ flex: 1, fontSize: 12 }}>
+                  {b.steps.length} step{b.steps.length === 1 ? '' : 's'} after {b.depth === 0 ? 'initial state' : (b.depth ? `step ${b.depth}` : 'an undone step')} · {fmtTime(b.time)}
+                </div>
+                <button className="studio-btn" disabled={!b.reachable} onClick={() => {
+                  if (workspaceRef.current?.restoreHistoryBranch?.(b.id)) pushToast?.({ type: "info", message: "Branch restored" });
+                }}>Restore</button>
+              </div>
+              <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>{b.steps.map((s) => s.label).join(' → ')}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/* -------------------
+   ExportReportView: before/after numbers of the last optimized export (ExportEngine.optimizeScene)
+   ------------------- */
+const formatBytes = (n) => (n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(n / 1024))} KB`);
+
+const ExportReportView = ({ report, onClear }) => {
+  const rows = [
+    ['Triangles', 'triangles', (n) => n.toLocaleString()],
+    ['Vertices', 'vertices', (n) => n.toLocaleString()],
+    ['Materials', 'materials', String],
+    ['Textures', 'textures', String],
+    ['Data (est.)', 'bytes', formatBytes],
+  ];
+  const cell = { padding: '2px 6px', textAlign: 'right' };
+  return (
+    <div style={{ fontSize: 13 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+        <div style={{ flex: 1, color: 'var(--text-muted)' }}>{report.filename} · {formatBytes(report.fileSize)}</div>
+        <button className="studio-btn" onClick={onClear}>Clear</button>
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: 6 }}>
+        <thead>
+          <tr style={{ color: 'var(--text-muted)' }}><th style={{ textAlign: 'left' }}></th><th style={cell}>Before</th><th style={cell}>After</th></tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, key, fmt]) => (
+            <tr key={key}>
+              <td>{label}</td>
+              <td style={cell}>{fmt(report.before[key])}</td>
+              <td style={{ ...cell, color: report.after[key] < report.before[key] ? 'var(--success)' : undefined }}>{fmt(report.after[key])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {report.steps.length === 0 && <div style={{ color: 'var(--text-muted)' }}>Nothing to optimize</div>}
+      {report.steps.map((step, i) => <div key={i} style={{ color: 'var(--text-muted)', fontSize: 12 }}>• {step}</div>)}
+    </div>
+  );
+};
+
+/* -------------------
+   CameraViewsView: saved camera bookmarks (stored in .objekta projects)
+   ------------------- */
+const CameraViewsView = ({ workspaceRef }) => {
+  const [bookmarks, setBookmarks] = useState(() => workspaceRef.current?.getCameraBookmarks?.() || []);
+  useEffect(() => {
+    const onChange = ({ bookmarks }) => setBookmarks(bookmarks);
+    EventBus.on('camera:bookmarks', onChange);
+    setBookmarks(workspaceRef.current?.getCameraBookmarks?.() || []);
+    return () => EventBus.off('camera:bookmarks', onChange);
+  }, [workspaceRef]);
+  const ws = () => workspaceRef.current;
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+        <div style={{ flex: 1, fontWeight: 700 }}>Camera views</div>
+        <button className="studio-btn" onClick={() => ws()?.addCameraBookmark?.(prompt('View name', `View ${bookmarks.length + 1}`) || undefined)}>Save view</button>
+      </div>
+      {bookmarks.length === 0 && <div style={{ opacity: 0.5, fontSize: 12, padding: '2px 8px' }}>No saved views</div>}
+      {bookmarks.map((b) => (
+        <div key={b.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '4px 8px' }}>
+          <div style={{ flex: 1, cursor: 'pointer' }} title="Go to view" onClick={() => ws()?.goToCameraBookmark?.(b.id)}>🎥 {b.name}</div>
+          <button title="Delete" onClick={() => ws()?.removeCameraBookmark?.(b.id)}>🗑</button>
         </div>
       ))}
     </div>
   );
 };
 
+/* -------------------
+   RecoveryModal: autosave slots from earlier sessions (AutosaveStore), shown when the Studio opens
+   slots: null (closed) or the slot list, newest first
+   ------------------- */
+const SlotThumb = ({ blob }) => {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) { setUrl(null); return undefined; }
+    const u = URL.createObjectURL(blob);
+    setUrl(u);
+    return () => { try { URL.revokeObjectURL(u); } catch (e) {} };
+  }, [blob]);
+  const box = { width: 64, height: 64, borderRadius: 8, flex: '0 0 auto', background: 'rgba(0,0,0,0.3)', display: 'flex', alignItems: 'center', justifyContent: 'center' };
+  return url ? <img src={url} alt="" style={{ ...box, objectFit: 'cover' }} /> : <div style={box}>🕘</div>;
+};
+
+const RecoveryModal = ({ slots, usage, onRestore, onDiscard, onDiscardAll, onClose }) => {
+  if (!slots) return null;
+  return (
+    <div className="modal-container" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 520 }}>
+        <div style={{ fontSize: 18, fontWeight: 800, marginBottom: 4 }}>Recover autosaved work</div>
+        <div style={{ color: 'var(--text-muted)', marginBottom: 14, fontSize: 13 }}>
+          These scenes were autosaved in earlier sessions. Restoring one replaces the current scene (you can undo it).
+        </div>
+        <div style={{ maxHeight: 360, overflowY: 'auto', marginBottom: 12 }}>
+          {slots.map((slot) => (
+            <div key={slot.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '6px 0', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+              <SlotThumb blob={slot.thumbnail} />
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 700 }}>{new Date(slot.createdAt).toLocaleString()}</div>
+                <div style={{ color: 'var(--text-muted)', fontSize: 12 }}>
+                  {slot.objects} object{slot.objects === 1 ? '' : 's'} · {formatBytes(slot.size)}{slot.reason === 'legacy' ? ' · older autosave' : ''}
+                </div>
+              </div>
+              <button className="launch-btn" style={{ padding: '6px 12px', fontSize: 13 }} onClick={() => onRestore(slot)}>Restore</button>
+              <button className="studio-btn" title="Discard this autosave" onClick={() => onDiscard(slot)}>Discard</button>
+            </div>
+          ))}
+        </div>
+        {usage && (
+          <div style={{ color: 'var(--text-muted)', fontSize: 12, marginBottom: 12 }}>
+            Autosaves use {formatBytes(usage.bytes)} of {formatBytes(usage.limit)}
+            {usage.quota ? ` · browser storage ${formatBytes(usage.usage || 0)} of ${formatBytes(usage.quota)}` : ''}
+          </div>
+        )}
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>
+          <button onClick={onDiscardAll} className="studio-btn">Discard all</button>
+          <button onClick={onClose} className="studio-btn">Keep for later</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 /* -------------------
    Main Studio component
    ------------------- */
@@ -212,6 +943,8 @@ export default function Studio() {
   useEffect(() => { paletteWidthRef.current = paletteWidth; }, [paletteWidth]);
 
   const [paletteCollapsed, setPaletteCollapsed] = useState(false);
+  const [paletteTab, setPaletteTab] = useState(() => localStorage.getItem("objekta_palette_tab") === "assets" ? "assets" : "palette");
+  useEffect(() => { try { localStorage.setItem("objekta_palette_tab", paletteTab); } catch (e) {} }, [paletteTab]);
   const [propsCollapsed, setPropsCollapsed] = useState(false);
   const [propsWidth, setPropsWidth] = useState(() => {
     const raw = localStorage.getItem("objekta_props_width");
@@ -240,6 +973,11 @@ export default function Studio() {
   const [loading, setLoading] = useState(false);
   const [loadProgress, setLoadProgress] = useState(null);
   const [confirmState, setConfirmState] = useState({ open: false, title: "", message: "", onConfirm: null });
+  const [selectByOpen, setSelectByOpen] = useState(false);
+  const [importRequest, setImportRequest] = useState(null); // { file, files, ext, options } awaiting the options dialog
+  const [exportRequest, setExportRequest] = useState(null); // { format? } while the export dialog is open
+  const [urlImportRequest, setUrlImportRequest] = useState(null); // { url?, error? } while the Import from URL dialog is open
+  const urlAbortRef = useRef(null); // AbortController of the running URL import
   const resizingRef = useRef(false);
   const draggingRef = useRef(false);
   const offsetRef = useRef({ x: 0, y: 0 });
@@ -278,6 +1016,9 @@ export default function Studio() {
   const [outlinerSearch, setOutlinerSearch] = useState("");
   const [sceneVersion, setSceneVersion] = useState(0);
   const [propsTab, setPropsTab] = useState("props");
+  const envFileRef = useRef(null); // last HDR applied (saved into projects)
+  const [validationResult, setValidationResult] = useState(null);
+  const [exportReport, setExportReport] = useState(() => ExportEngine.lastReport);
   const [envColor, setEnvColor] = useState("#111122");
   const [envIntensity, setEnvIntensity] = useState(1.0);
   const [bloomEnabled, setBloomEnabled] = useState(false);
@@ -356,7 +1097,7 @@ export default function Studio() {
                   },
                   onProgress: (p) => { setLoadProgress(p); },
                 });
-                try { importerApiRef.current.enableDragDrop(); } catch (e) {}
+                // drops are handled by the studio container (importModel), not by the viewer importer
               } catch (e) { console.warn("glb importer init failed", e); }
             }
 
@@ -484,15 +1225,15 @@ export default function Studio() {
   }, []);
 
   /* ---------- importGLTF wrapper ---------- */
-  const importGLTF = useCallback(async (file) => {
+  const importGLTF = useCallback(async (file, options = undefined) => {
     if (!file) return;
     setLoading(true); setLoadProgress(0);
     try {
       if (importerApiRef.current?.loadFromFile) {
-        await importerApiRef.current.loadFromFile(file);
+        await importerApiRef.current.loadFromFile(file, options);
         pushToast({ type: "info", message: `Imported: ${file.name}` });
       } else if (workspaceRef.current?.addGLTF) {
-        await workspaceRef.current.addGLTF?.(file, null, (p) => setLoadProgress(p));
+        await workspaceRef.current.addGLTF?.(file, null, (p) => setLoadProgress(p), { options });
         pushToast({ type: "info", message: `Imported (workspace): ${file.name}` });
       } else {
         pushToast({ type: "error", message: "No importer available" });
@@ -505,16 +1246,88 @@ export default function Studio() {
     }
   }, [pushToast]);
 
+  /* ---------- importModel: any supported format (OBJ/STL/PLY/FBX via ImportEngine) ---------- */
+  // files: everything picked/dropped together (or a whole folder), so an .obj finds its .mtl
+  // and a .gltf its .bin and textures
+  // opts.options: import options (see ImportEngine DEFAULT_IMPORT_OPTIONS)
+  const importModel = useCallback(async (file, files = [], opts = {}) => {
+    if (!file) return;
+    // Workspace registers the imported hierarchy in SceneGraphStore; the viewer importer is only a fallback
+    if (!workspaceRef.current?.importModel) {
+      if (ImportEngine.detectFormat(file.name) === "gltf") await importGLTF(file, opts.options);
+      else pushToast({ type: "error", message: "No importer available" });
+      return;
+    }
+    setLoading(true); setLoadProgress(0);
+    try {
+      await workspaceRef.current.importModel(file, { ...opts, files, onProgress: (p) => setLoadProgress(p) });
+      pushToast({ type: "info", message: `Imported: ${file.name}` });
+    } catch (e) {
+      console.error("Import failed", e);
+      const label = IMPORT_FORMATS[e?.format]?.label;
+      pushToast({ type: "error", title: label ? `${label} import` : "Import", message: e?.message || "Import failed" });
+    } finally {
+      setTimeout(() => { setLoading(false); setLoadProgress(null); }, 300);
+    }
+  }, [importGLTF, pushToast]);
+
+  // Ask for import options first; they are remembered per extension
+  const requestImport = useCallback((file, files = []) => {
+    if (!file) return;
+    const ext = (file.name.toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1] || "";
+    setImportRequest({ file, files, ext, options: ImportEngine.getImportOptions(ext) });
+  }, []);
+
+  const confirmImport = useCallback((options) => {
+    const req = importRequest;
+    setImportRequest(null);
+    if (!req) return;
+    ImportEngine.saveImportOptions(req.ext, options);
+    importModel(req.file, req.files, { options });
+  }, [importRequest, importModel]);
+
+  /* ---------- importFromURL: download with progress; Cancel in the loader aborts ---------- */
+  // failures reopen the dialog with the plain-language reason (ImportEngine.importFromURL)
+  const importFromURL = useCallback(async (url) => {
+    setUrlImportRequest(null);
+    const workspace = workspaceRef.current;
+    const importer = workspace?.importFromURL ? workspace : importerApiRef.current;
+    if (!importer) { pushToast({ type: "error", message: "No importer available" }); return; }
+    urlAbortRef.current?.abort();
+    const controller = new AbortController();
+    urlAbortRef.current = controller;
+    setLoading(true); setLoadProgress(0);
+    try {
+      const opts = { signal: controller.signal, onProgress: (p) => setLoadProgress(p) };
+      await (workspace?.importFromURL ? workspace.importFromURL(url, opts) : importer.loadFromURL(url, opts));
+      pushToast({ type: "info", message: `Imported: ${decodeURIComponent(url.split(/[?#]/)[0].split("/").pop() || url)}` });
+    } catch (e) {
+      if (e?.kind === "aborted") {
+        pushToast({ type: "info", message: "Import cancelled" });
+      } else {
+        console.error("URL import failed", e);
+        pushToast({ type: "error", title: "Import from URL", message: e?.message || "Import failed" });
+        setUrlImportRequest({ url, error: e?.message || "Import failed" });
+      }
+    } finally {
+      if (urlAbortRef.current === controller) urlAbortRef.current = null;
+      setTimeout(() => { setLoading(false); setLoadProgress(null); }, 300);
+    }
+  }, [pushToast]);
+
+  const cancelURLImport = useCallback(() => { urlAbortRef.current?.abort(); }, []);
+
   /* ---------- applyEnvironmentFromFile ---------- */
   const applyEnvironmentFromFile = useCallback(async (file) => {
     if (!file) return;
     setLoading(true);
     try {
       const name = (file.name || "").toLowerCase();
-      if ((name.endsWith(".hdr") || name.endsWith(".exr")) && envApiRef.current?.setEnvFromEquirect) {
+      if (/\.(hdr|exr)$/.test(name) && envApiRef.current?.setHDR) {
         const url = URL.createObjectURL(file);
         try {
-          await envApiRef.current.setEnvFromEquirect(url);
+          await envApiRef.current.setHDR(url, { format: name.endsWith(".exr") ? "exr" : "hdr" });
+          envFileRef.current = file;
           pushToast({ type: "info", message: "HDR loaded" });
         } finally { try { URL.revokeObjectURL(url); } catch (e) {} }
       } else {
@@ -612,7 +1425,12 @@ export default function Studio() {
         pushToast({ type: "info", message: "Material applied (workspace)" });
         return;
       }
-      sel.traverse((n) => {
+      // route edits through workspace history when available
+      const record = (label, fn) => {
+        if (workspaceRef.current?.recordMaterialEdit) workspaceRef.current.recordMaterialEdit(label, fn, sel);
+        else fn();
+      };
+      record('material', () => sel.traverse((n) => {
         if (n.isMesh) {
           try {
             n.material = Array.isArray(n.material) ? n.material.map(m => m.clone()) : n.material.clone();
@@ -625,18 +1443,18 @@ export default function Studio() {
             });
           } catch (e) { console.warn("applyMaterial error", e); }
         }
-      });
+      }));
       if (mapFile) {
         const url = URL.createObjectURL(mapFile);
         const loader = new THREE.TextureLoader();
         loader.load(url, (tex) => {
           tex.__objekta_preview = url;
-          sel.traverse((n) => {
+          record('material-map', () => sel.traverse((n) => {
             if (n.isMesh && n.material) {
               const mats = Array.isArray(n.material) ? n.material : [n.material];
               mats.forEach((mat) => { mat.map = tex; mat.needsUpdate = true; });
             }
-          });
+          }));
           setMatHasMap(true); setMatMapURL(url);
           pushToast({ type: "info", message: "Texture applied" });
         }, undefined, (err) => {
@@ -644,18 +1462,18 @@ export default function Studio() {
           try { if (url.startsWith('blob:')) URL.revokeObjectURL(url); } catch (e) {}
         });
       } else {
-        sel.traverse((n) => {
+        // maps are kept (not disposed) so removal can be undone
+        record('material-map', () => sel.traverse((n) => {
           if (n.isMesh && n.material) {
             const mats = Array.isArray(n.material) ? n.material : [n.material];
             mats.forEach((mat) => {
               if (mat.map) {
-                try { mat.map.dispose && mat.map.dispose(); } catch (e) {}
                 mat.map = null;
                 mat.needsUpdate = true;
               }
             });
           }
-        });
+        }));
         setMatHasMap(false); setMatMapURL(null);
       }
       pushToast({ type: "info", message: "Material applied" });
@@ -666,24 +1484,202 @@ export default function Studio() {
   }, [selected, pushToast]);
 
   /* ---------- save/export ---------- */
-  const saveJSON = useCallback(() => {
-    const data = workspaceRef.current?.serializeScene?.();
-    if (!data) { pushToast({ type: "error", message: "Nothing to save" }); return; }
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `Objekta_Scene_${safeDate()}.json`;
-    a.click();
-    setTimeout(() => URL.revokeObjectURL(url), 1500);
-    pushToast({ type: "info", message: "Scene saved (JSON)" });
-  }, [pushToast, safeDate]);
-
-  const exportGLTF = useCallback((binary = true) => {
-    if (workspaceRef.current?.exportGLTF) return workspaceRef.current.exportGLTF(binary);
-    pushToast({ type: "error", message: "Export not implemented in workspace" });
+  // ?project=<id> opens a ProjectStore record (Projects page); saving then writes back to it
+  const [searchParams] = useSearchParams();
+  const projectId = searchParams.get("project");
+  const [projectInfo, setProjectInfo] = useState(null); // { id, name } of the open record
+
+  // scene, camera, environment and settings as a .objekta archive (null when there is no scene)
+  const packProject = useCallback(async (name) => {
+    const ws = workspaceRef.current;
+    const scene = ws?.serializeScene?.();
+    if (!scene) return null;
+    return ProjectEngine.pack({
+      scene,
+      meta: { name },
+      camera: { view: ws.getCameraView?.() || null, bookmarks: ws.getCameraBookmarks?.() || [] },
+      environment: { background: envColor, intensity: envIntensity },
+      settings: { snapEnabled, snapSize, bloom: bloomEnabled },
+      presets: await ProjectEngine.collectPresets(),
+    }, { textures: TextureStore.entries(), hdr: envFileRef.current });
+  }, [envColor, envIntensity, snapEnabled, snapSize, bloomEnabled]);
+
+  const downloadProject = useCallback(async () => {
+    const name = projectInfo?.name || `Objekta_Project_${safeDate()}`;
+    try {
+      const bytes = await packProject(name);
+      if (!bytes) { pushToast({ type: "error", message: "Nothing to save" }); return; }
+      const url = URL.createObjectURL(new Blob([bytes], { type: "application/zip" }));
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${name}.${PROJECT_EXTENSION}`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1500);
+      pushToast({ type: "info", message: `Project saved (.${PROJECT_EXTENSION})` });
+    } catch (e) {
+      console.error("saveProject failed", e);
+      pushToast({ type: "error", title: "Save failed", message: e?.message || String(e) });
+    }
+  }, [pushToast, safeDate, packProject, projectInfo]);
+
+  // Ctrl/Cmd+S: back to the open project's record, or a file download when no project is open
+  const saveProject = useCallback(async () => {
+    if (!projectInfo) return downloadProject();
+    const ws = workspaceRef.current;
+    try {
+      const bytes = await packProject(projectInfo.name);
+      if (!bytes) { pushToast({ type: "error", message: "Nothing to save" }); return; }
+      const summary = ws.getSceneSummary?.() || {};
+      const thumbnail = await ws.renderThumbnail?.({ size: 256, type: "image/webp" });
+      await ProjectStore.save(projectInfo.id, { archive: bytes, thumbnail: thumbnail || null, objects: summary.objects, triangles: summary.totalTris });
+      pushToast({ type: "info", message: `Saved ${projectInfo.name}` });
+    } catch (e) {
+      console.error("saveProject failed", e);
+      pushToast({ type: "error", title: "Save failed", message: e?.message || String(e) });
+    }
+  }, [pushToast, packProject, downloadProject, projectInfo]);
+
+  const exportModel = useCallback((options) => {
+    if (!workspaceRef.current?.exportModel) { pushToast({ type: "error", message: "Export not implemented in workspace" }); return; }
+    return Promise.resolve(workspaceRef.current.exportModel(options))
+      .then(() => pushToast({ type: "info", message: "Export complete" }))
+      .catch((err) => pushToast({ type: "error", title: "Export failed", message: err?.message || String(err) }));
+  }, [pushToast]);
+
+  const runValidation = useCallback(async () => {
+    const res = await workspaceRef.current?.validateScene?.();
+    setValidationResult(res || { ok: false, error: "Validation not available" });
+  }, []);
+
+  const confirmExport = useCallback((options) => {
+    setExportRequest(null);
+    ExportEngine.saveExportOptions(options);
+    exportModel(options);
+  }, [exportModel]);
+
+  /* ---------- loadSceneData: schema-checked scene load, offering a partial load ---------- */
+  const loadSceneData = useCallback((scene, source) => {
+    const ws = workspaceRef.current;
+    let res = ws.loadFromData(scene);
+    const total = Array.isArray(scene?.snaps) ? scene.snaps.length : 0;
+    if (!res.applied && !res.fatal && res.failed.length && res.failed.length < total) {
+      const list = res.failed.slice(0, 8).map((f) => `• ${f.name}: ${f.error}`).join("\n");
+      if (!window.confirm(`${source}: ${res.failed.length} object(s) can't be loaded:\n${list}\n\nLoad the other ${total - res.failed.length} object(s)?`)) return res;
+      res = ws.loadFromData(scene, { partial: true });
+    }
+    if (!res.applied) pushToast({ type: "error", title: `${source} not loaded`, message: res.message || "Invalid scene data" }, 10000);
+    else if (res.failed.length) pushToast({ type: "info", title: `${source} partly loaded`, message: `Skipped ${res.failed.map((f) => f.name).join(", ")}` }, 10000);
+    return res;
   }, [pushToast]);
 
+  /* ---------- autosave recovery: earlier sessions' slots, offered once on load ---------- */
+  const [recoverySlots, setRecoverySlots] = useState(null);
+  const [autosaveUsage, setAutosaveUsage] = useState(null);
+  const refreshRecovery = useCallback(async () => {
+    const slots = await AutosaveStore.list();
+    setRecoverySlots(slots.length ? slots : null);
+    setAutosaveUsage(await AutosaveStore.usage());
+  }, []);
+  useEffect(() => {
+    // an opened project is what the user asked for; its autosaves stay listed for the next plain session
+    if (projectId) return;
+    refreshRecovery().catch((e) => console.warn("autosave recovery unavailable", e));
+  }, [refreshRecovery, projectId]);
+
+  const restoreSlot = useCallback(async (slot) => {
+    if (!workspaceRef.current?.loadFromData) return;
+    // the list holds metadata only; the scene data is read now
+    let full = null;
+    try { full = await AutosaveStore.get(slot.id); } catch (e) { console.warn("autosave slot unreadable", e); }
+    if (!full) { pushToast({ type: "error", title: "Autosave", message: "This autosave could not be read" }); return; }
+    const res = loadSceneData(full.data, "Autosave");
+    if (!res.applied) return;
+    setRecoverySlots(null);
+    pushToast({ type: "info", message: `Restored autosave from ${new Date(slot.createdAt).toLocaleString()}` });
+  }, [loadSceneData, pushToast]);
+
+  const discardSlot = useCallback(async (slot) => {
+    try { await AutosaveStore.remove(slot.id); } catch (e) {}
+    refreshRecovery().catch(() => {});
+  }, [refreshRecovery]);
+
+  const discardAllSlots = useCallback(async () => {
+    if (!window.confirm("Discard all autosaves from earlier sessions?")) return;
+    try { await AutosaveStore.clear(); } catch (e) {}
+    setRecoverySlots(null);
+  }, []);
+
+  // storage-full and other autosave failures are reported once per distinct message
+  const autosaveErrorRef = useRef(null);
+  useEffect(() => {
+    const onError = ({ error }) => {
+      const message = error?.message || "Autosave failed";
+      if (autosaveErrorRef.current === message) return;
+      autosaveErrorRef.current = message;
+      pushToast({ type: "error", title: "Autosave", message }, 10000);
+    };
+    const onSaved = () => { autosaveErrorRef.current = null; };
+    EventBus.on("autosave:error", onError);
+    EventBus.on("autosave:saved", onSaved);
+    return () => { EventBus.off("autosave:error", onError); EventBus.off("autosave:saved", onSaved); };
+  }, [pushToast]);
+
+  /* ---------- openProject: .objekta archives and older scene .json files ---------- */
+  // apply ProjectEngine.unpack output; false when the scene was not loaded
+  const applyProject = useCallback(async ({ project, textures, hdr }, source) => {
+    const ws = workspaceRef.current;
+    if (!loadSceneData(project.scene, source).applied) return false;
+    if (project.camera?.view) ws.setCameraView?.(project.camera.view);
+    ws.setCameraBookmarks?.(project.camera?.bookmarks || []);
+    const settings = project.settings || {};
+    if (typeof settings.snapSize === "number") setSnapSize(settings.snapSize);
+    if (typeof settings.snapEnabled === "boolean" && settings.snapEnabled !== snapEnabled) { setSnapEnabled(settings.snapEnabled); ws.toggleSnap?.(); }
+    if (typeof settings.bloom === "boolean" && settings.bloom !== bloomEnabled) toggleBloom(settings.bloom);
+    await ProjectEngine.restorePresets(project.presets);
+    await Promise.all(textures.filter((t) => !TextureStore.get(t.key)).map((t) => TextureStore.loadFromFile(t.file, t.key).catch(() => null)));
+    const env = project.environment;
+    if (env?.background) { setEnvColor(env.background); applyEnvironmentColor(env.background); }
+    if (typeof env?.intensity === "number") setEnvIntensity(env.intensity);
+    if (hdr) await applyEnvironmentFromFile(hdr);
+    return true;
+  }, [loadSceneData, snapEnabled, bloomEnabled, toggleBloom, applyEnvironmentColor, applyEnvironmentFromFile]);
+
+  const openProject = useCallback(async (file) => {
+    if (!file) return;
+    if (!workspaceRef.current?.loadFromData) { pushToast({ type: "error", message: "Workspace does not support loading projects" }); return; }
+    setLoading(true);
+    try {
+      if (await applyProject(await ProjectEngine.unpack(await file.arrayBuffer()), file.name)) pushToast({ type: "info", message: `Opened ${file.name}` });
+    } catch (e) {
+      console.error("openProject failed", e);
+      pushToast({ type: "error", title: "Open failed", message: e?.message || String(e) });
+    } finally { setLoading(false); }
+  }, [pushToast, applyProject]);
+
+  // ?project=<id>: load the record once per id (a record that was never saved opens as an empty scene)
+  const applyProjectRef = useRef(applyProject);
+  applyProjectRef.current = applyProject;
+  useEffect(() => {
+    if (!projectId) { setProjectInfo(null); return undefined; }
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      try {
+        const record = await ProjectStore.get(projectId);
+        if (cancelled) return;
+        if (!record) { pushToast({ type: "error", title: "Project not found", message: "It may have been deleted. Saving will download a file instead." }, 10000); return; }
+        setProjectInfo({ id: record.id, name: record.name });
+        if (record.archive && workspaceRef.current?.loadFromData) {
+          await applyProjectRef.current(await ProjectEngine.unpack(await record.archive.arrayBuffer()), record.name);
+        }
+      } catch (e) {
+        console.error("project load failed", e);
+        pushToast({ type: "error", title: "Open failed", message: e?.message || String(e) });
+      } finally { if (!cancelled) setLoading(false); }
+    })();
+    return () => { cancelled = true; };
+  }, [projectId, pushToast]);
+
   /* ---------- drag/drop on container ---------- */
   useEffect(() => {
     const container = containerRef.current;
@@ -692,11 +1688,14 @@ export default function Studio() {
     const onDrop = (e) => {
       e.preventDefault();
       if (e.dataTransfer.files?.length > 0) {
-        const file = e.dataTransfer.files[0];
-        const name = (file.name || "").toLowerCase();
-        if (name.endsWith(".glb") || name.endsWith(".gltf")) importGLTF(file);
-        else if (name.endsWith(".json")) loadJSON(file);
-        else pushToast({ type: "error", message: "Unsupported file. Drop a .glb, .gltf, or .json file." });
+        // folders are expanded, so a dropped glTF folder brings its .bin and textures along
+        filesFromDataTransfer(e.dataTransfer).then((files) => {
+          const model = pickMainFile(files);
+          const project = files.find((f) => /\.(objekta|json)$/i.test(f.name));
+          if (model) requestImport(model, files);
+          else if (project) openProject(project);
+          else pushToast({ type: "error", message: `Unsupported file. Drop a ${IMPORT_EXTENSIONS.join(", ")}, .${PROJECT_EXTENSION} or .json file.` });
+        });
       }
     };
     container.addEventListener("dragover", onDragOver);
@@ -705,42 +1704,22 @@ export default function Studio() {
       container.removeEventListener("dragover", onDragOver);
       container.removeEventListener("drop", onDrop);
     };
-  }, [importGLTF, pushToast]);
-
-  /* ---------- loadJSON implementation ---------- */
-  const loadJSON = useCallback(async (file) => {
-    if (!file) return;
-    setLoading(true);
-    try {
-      const text = await file.text();
-      const parsed = JSON.parse(text);
-      if (!parsed) { pushToast({ type: "error", message: "Invalid JSON" }); return; }
-      if (workspaceRef.current?.loadFromData) {
-        workspaceRef.current.loadFromData(parsed);
-        pushToast({ type: "info", message: `Loaded JSON: ${file.name}` });
-      } else {
-        pushToast({ type: "error", message: "Workspace does not support loading JSON directly" });
-      }
-    } catch (e) {
-      console.error("loadJSON failed", e);
-      pushToast({ type: "error", message: "Failed to load JSON" });
-    } finally { setLoading(false); }
-  }, [pushToast]);
+  }, [requestImport, openProject, pushToast]);
 
   /* ---------- keyboard shortcuts ---------- */
   useEffect(() => {
     const onKey = (e) => {
       const meta = e.ctrlKey || e.metaKey;
-      if (meta && e.key.toLowerCase() === "s") { e.preventDefault(); saveJSON(); return; }
-      if (meta && e.key.toLowerCase() === "z" && !e.shiftKey) { e.preventDefault(); workspaceRef.current?.undo?.(); return; }
-      if ((meta && e.key.toLowerCase() === "y") || (meta && e.shiftKey && e.key.toLowerCase() === "z")) { e.preventDefault(); workspaceRef.current?.redo?.(); return; }
+      if (meta && e.key.toLowerCase() === "s") { e.preventDefault(); saveProject(); return; }
+      // undo/redo shortcuts are handled by Workspace
       if (e.key === "Delete") { requestDeleteSelected(); return; }
       if (!meta && e.key.toLowerCase() === "p") { setPaletteCollapsed((v) => !v); return; }
       if (!meta && e.key.toLowerCase() === "i") { setPropsCollapsed((v) => !v); return; }
+      if (!meta && e.shiftKey && e.key.toLowerCase() === "f") { setSelectByOpen(true); return; }
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [saveJSON]);
+  }, [saveProject]);
 
   /* ---------- context menu ---------- */
   const [ctxMenu, setCtxMenu] = useState(null);
@@ -753,7 +1732,10 @@ export default function Studio() {
   }, []);
 
   const closeContext = useCallback(() => setCtxMenu(null), []);
-  const duplicateWrapper = useCallback(() => { workspaceRef.current?.duplicateSelected?.(); pushToast({ type: "info", message: "Duplicated selection" }); }, [pushToast]);
+  const duplicateWrapper = useCallback(() => {
+    if (workspaceRef.current?.duplicateSelected?.() === false) { pushToast({ type: "error", message: "Nothing to duplicate (selection is locked or empty)" }); return; }
+    pushToast({ type: "info", message: "Duplicated selection" });
+  }, [pushToast]);
 
   /* ---------- resource dispose helper ---------- */
   const disposeObjectResources = useCallback((obj) => {
@@ -780,22 +1762,22 @@ export default function Studio() {
     setConfirmState({
       open: true,
       title: "Delete selected object",
-      message: `Are you sure you want to delete '${sel.name || "object"}'? This cannot be undone.`,
+      message: `Are you sure you want to delete '${sel.name || "object"}'? You can undo this with Ctrl+Z.`,
       onConfirm: () => {
-        try { disposeObjectResources(sel); } catch (e) {}
-        workspaceRef.current?.deleteSelected?.();
-        setSelected(null);
+        const deleted = workspaceRef.current?.deleteSelected?.();
         setConfirmState((s) => ({ ...s, open: false }));
+        if (deleted === false) { pushToast({ type: "error", message: `'${sel.name || "object"}' is locked` }); return; }
+        setSelected(null);
         pushToast({ type: "info", message: "Deleted object" });
       },
     });
-  }, [selected, disposeObjectResources, pushToast]);
+  }, [selected, pushToast]);
 
   const requestResetScene = useCallback(() => {
     setConfirmState({
       open: true,
       title: "Reset scene",
-      message: "Resetting will remove all objects from the scene. Continue?",
+      message: "Resetting will remove all objects from the scene (Undo brings them back). Continue?",
       onConfirm: () => {
         try {
           const scene = workspaceRef.current?.scene;
@@ -833,12 +1815,12 @@ export default function Studio() {
           if (!payload || !payload.scene) return;
           const remote = payload.scene;
           const ok = window.confirm("Remote collaborator pushed a scene. Load it now (will replace current scene)?");
-          if (ok) { workspaceRef.current?.loadFromData?.(remote); pushToast({ type: "info", message: "Loaded remote scene" }); }
+          if (ok && loadSceneData(remote, "Remote scene").applied) pushToast({ type: "info", message: "Loaded remote scene" });
         } catch (e) { console.warn(e); }
       });
       socket.on("disconnect", () => { setCollabConnected(false); pushToast({ type: "info", message: "Collab disconnected" }); });
     } catch (e) { console.error("collab start failed", e); pushToast({ type: "error", message: "Failed to start collab (see console)" }); setCollabLoading(false); }
-  }, [pushToast]);
+  }, [pushToast, loadSceneData]);
 
   /* ---------- outliner refresh helper ---------- */
 const refreshLightListFromScene = useCallback(() => {
@@ -868,41 +1850,58 @@ const refreshLightListFromScene = useCallback(() => {
 
 /* ---------- EventBus integration ---------- */
 useEffect(() => {
-  const onSceneUpdated = () => {
+  // stats and lights only change when objects come and go (not on transform/material edits)
+  const onStoreChanged = (events) => {
+    if (!events.some((e) => e.type === "object:added" || e.type === "object:removed" || e.type === "hierarchy:changed")) return;
     setSceneVersion((v) => v + 1);
     updateStatsOnce();
     refreshLightListFromScene(); // Safe now
   };
 
-  const onObjectsSelected = (payload) => {
+  const onSelectionChanged = ({ selected = [] } = {}) => {
     try {
-      const ids = Array.isArray(payload) ? payload : payload?.ids || [];
-      const obj = ids.length ? SceneGraphStore.objects[ids[0]]?.object : null;
+      const obj = selected.length ? SceneGraphStore.getObject(selected[0]) : null;
       setSelected(obj || null);
     } catch (e) {}
   };
 
-  const onObjectSelected = (p) => {
-    try {
-      const id = p?.id ?? p;
-      const obj = id ? SceneGraphStore.objects?.[id]?.object || null : null;
-      setSelected(obj);
-    } catch (e) {}
-  };
-
-  EventBus.on?.("scene:updated", onSceneUpdated);
-  EventBus.on?.("objects:selected", onObjectsSelected);
-  EventBus.on?.("object:selected", onObjectSelected);
+  const unsubscribe = SceneGraphStore.subscribe(onStoreChanged);
+  EventBus.on?.("selection:changed", onSelectionChanged);
 
   return () => {
     try {
-      EventBus.off?.("scene:updated", onSceneUpdated);
-      EventBus.off?.("objects:selected", onObjectsSelected);
-      EventBus.off?.("object:selected", onObjectSelected);
+      unsubscribe();
+      EventBus.off?.("selection:changed", onSelectionChanged);
     } catch (e) {}
   };
 }, [updateStatsOnce, refreshLightListFromScene]);
 
+// compressed glTF needs the Draco/Basis files at <base>draco/ and <base>basis/ (vite.config.js; ImportEngine checks once)
+useEffect(() => {
+  const onDecoderMissing = ({ label, path }) => {
+    pushToast({ type: "error", title: "Decoder missing", message: `${label} decoder not found at ${path}. Compressed models will fail to load.` });
+  };
+  EventBus.on("import:decoder-missing", onDecoderMissing);
+  return () => EventBus.off("import:decoder-missing", onDecoderMissing);
+}, [pushToast]);
+
+// optimized exports report to the Validate tab
+useEffect(() => {
+  const onExportReport = (report) => {
+    setExportReport(report);
+    pushToast({ type: "info", title: "Export optimized", message: `${report.before.triangles.toLocaleString()} → ${report.after.triangles.toLocaleString()} triangles (see Validate)` });
+  };
+  EventBus.on("export:report", onExportReport);
+  return () => EventBus.off("export:report", onExportReport);
+}, [pushToast]);
+
+// HDRIs from the asset library (clicked or dropped on the viewport) go through the environment controls
+useEffect(() => {
+  const onAssetEnvironment = ({ file }) => { if (file) applyEnvironmentFromFile(file); };
+  EventBus.on("assets:environment", onAssetEnvironment);
+  return () => EventBus.off("assets:environment", onAssetEnvironment);
+}, [applyEnvironmentFromFile]);
+
 /* ---------- Initial lights refresh ---------- */
 useEffect(() => {
   refreshLightListFromScene();
@@ -971,7 +1970,12 @@ useEffect(() => {
     <DndProvider backend={HTML5Backend}>
       <div ref={containerRef} className="studio-container">
         <ToastList toasts={toasts} remove={removeToast} />
-        <Loader active={loading || collabLoading} message={loading ? `Importing model...` : (collabLoading ? "Connecting to collab..." : "")} progress={loadProgress} />
+        <Loader
+          active={loading || collabLoading}
+          message={loading ? (urlAbortRef.current ? "Downloading model..." : "Importing model...") : (collabLoading ? "Connecting to collab..." : "")}
+          progress={loadProgress}
+          onCancel={loading && urlAbortRef.current ? cancelURLImport : null}
+        />
         <ConfirmModal
           open={confirmState.open}
           title={confirmState.title}
@@ -979,13 +1983,38 @@ useEffect(() => {
           onCancel={() => setConfirmState((s) => ({ ...s, open: false }))}
           onConfirm={() => { confirmState.onConfirm?.(); setConfirmState((s) => ({ ...s, open: false })); }}
         />
+        <ImportOptionsModal request={importRequest} onCancel={() => setImportRequest(null)} onConfirm={confirmImport} />
+        <RecoveryModal
+          slots={recoverySlots}
+          usage={autosaveUsage}
+          onRestore={restoreSlot}
+          onDiscard={discardSlot}
+          onDiscardAll={discardAllSlots}
+          onClose={() => setRecoverySlots(null)}
+        />
+        <ImportURLModal request={urlImportRequest} onCancel={() => setUrlImportRequest(null)} onConfirm={importFromURL} />
+        <ExportOptionsModal request={exportRequest} onCancel={() => setExportRequest(null)} onConfirm={confirmExport} />
+        <SelectByModal open={selectByOpen} onClose={() => setSelectByOpen(false)} workspaceRef={workspaceRef} pushToast={pushToast} />
 
         <div className="studio-panel palette-panel reveal" style={{ width: paletteCollapsed ? 44 : paletteWidth, minWidth: paletteCollapsed ? 44 : 120 }}>
           {!paletteCollapsed ? (
-            <Palette
-              items={PALETTE_ITEMS.map((it) => ({ ...it, fav: false }))}
-              onAction={(name, client) => workspaceRef.current?.addItem?.(name, client)}
-            />
+            <div style={{ display: "flex", flexDirection: "column", gap: 8, height: "100%" }}>
+              <div className="segmented-control" style={{ alignSelf: "flex-start" }}>
+                {[["palette", "Palette"], ["assets", "Assets"]].map(([tab, label]) => (
+                  <button key={tab} onClick={() => setPaletteTab(tab)} className={paletteTab === tab ? 'active' : ''}>{label}</button>
+                ))}
+              </div>
+              <div style={{ flex: 1, minHeight: 0 }}>
+                {paletteTab === "assets" ? (
+                  <AssetLibrary workspaceRef={workspaceRef} pushToast={pushToast} />
+                ) : (
+                  <Palette
+                    items={PALETTE_ITEMS.map((it) => ({ ...it, fav: false }))}
+                    onAction={(name, client) => workspaceRef.current?.addItem?.(name, client)}
+                  />
+                )}
+              </div>
+            </div>
           ) : (
             <div style={{ display: "flex", flexDirection: "column", gap: 8, alignItems: "center", paddingTop: 8 }} />
           )}
@@ -1018,6 +2047,7 @@ useEffect(() => {
 
         <div className="workspace-area">
           <div ref={toolbarRef} className="studio-toolbar reveal">
+            {projectInfo && <Link to="/projects" className="studio-btn" title="Back to Projects">📁 {projectInfo.name}</Link>}
             <button className="studio-btn icon-btn" onClick={() => workspaceRef.current?.undo?.()} title="Undo (Ctrl/Cmd+Z)"><FiRotateCcw /></button>
             <button className="studio-btn icon-btn" onClick={() => workspaceRef.current?.redo?.()} title="Redo (Ctrl/Cmd+Y)"><FiRotateCw /></button>
 
@@ -1036,15 +2066,39 @@ useEffect(() => {
             </div>
 
             <button className="studio-btn icon-btn" onClick={() => duplicateWrapper()} title="Duplicate (Ctrl/Cmd+D)"><FiCopy /></button>
+            <button className="studio-btn icon-btn" onClick={() => setSelectByOpen(true)} title="Select by… (Shift+F)"><FiFilter /></button>
 
-            <label className="studio-btn icon-btn" title="Import GLB/GLTF">
+            <label className="studio-btn icon-btn" title="Import model (glTF, OBJ+MTL, STL, PLY, FBX; pick .bin/textures along with a .gltf)">
               <FiUpload />
-              <input type="file" accept=".glb,.gltf" style={{ display: "none" }} onChange={(e) => { const file = e.target.files?.[0]; if (file) { importGLTF(file); e.target.value = ""; } }} />
+              <input type="file" multiple accept={[...IMPORT_EXTENSIONS, ".mtl", ".bin", "image/*"].join(",")} style={{ display: "none" }} onChange={(e) => {
+                const files = Array.from(e.target.files || []);
+                const file = pickMainFile(files);
+                if (file) requestImport(file, files);
+                e.target.value = "";
+              }} />
             </label>
+            <label className="studio-btn icon-btn" title="Import model folder (glTF with .bin/textures, OBJ with .mtl)">
+              <FiFolder />
+              <input type="file" webkitdirectory="" style={{ display: "none" }} onChange={(e) => {
+                const files = Array.from(e.target.files || []);
+                const file = pickMainFile(files);
+                if (file) requestImport(file, files);
+                else pushToast({ type: "error", message: "No model file found in folder" });
+                e.target.value = "";
+              }} />
+            </label>
+
+            <button className="studio-btn icon-btn" onClick={() => setUrlImportRequest({})} title="Import from URL…"><FiLink /></button>
 
-            <button className="studio-btn icon-btn" onClick={() => exportGLTF(true)} title="Export as GLB"><FiSave /></button>
+            <button className="studio-btn icon-btn" onClick={() => setExportRequest({ format: 'glb' })} title="Export as GLB…"><FiSave /></button>
+            <button className="studio-btn icon-btn" onClick={() => setExportRequest({ format: 'stl' })} title="Export STL, OBJ, PLY or USDZ…"><FiPrinter /></button>
 
-            <button className="studio-btn icon-btn" onClick={() => saveJSON()} title="Save JSON (Ctrl/Cmd+S)"><FiPlusSquare /></button>
+            <button className="studio-btn icon-btn" onClick={() => saveProject()} title={projectInfo ? `Save to "${projectInfo.name}" (Ctrl/Cmd+S)` : `Save project (.${PROJECT_EXTENSION}) (Ctrl/Cmd+S)`}><FiPlusSquare /></button>
+            {projectInfo && <button className="studio-btn icon-btn" onClick={() => downloadProject()} title={`Download project file (.${PROJECT_EXTENSION})`}><FiDownload /></button>}
+            <label className="studio-btn icon-btn" title={`Open project (.${PROJECT_EXTENSION} or scene .json)`}>
+              <input type="file" accept={`.${PROJECT_EXTENSION},.json`} style={{ display: "none" }} onChange={(e) => { const f = e.target.files?.[0]; if (f) openProject(f); e.target.value = ""; }} />
+              <FiBookOpen />
+            </label>
             <button className="studio-btn icon-btn" onClick={() => requestResetScene()} title="Reset Scene"><FiRefreshCcw /></button>
 
             <button className="studio-btn icon-btn" onClick={() => {
@@ -1112,6 +2166,7 @@ useEffect(() => {
                 <button role="tab" aria-selected={propsTab === 'material'} onClick={() => setPropsTab('material')} className={propsTab === 'material' ? 'active' : ''}>Material</button>
                 <button role="tab" aria-selected={propsTab === 'lights'} onClick={() => setPropsTab('lights')} className={propsTab === 'lights' ? 'active' : ''}>Lighting</button>
                 <button role="tab" aria-selected={propsTab === 'outliner'} onClick={() => setPropsTab('outliner')} className={propsTab === 'outliner' ? 'active' : ''}>Outliner</button>
+                <button role="tab" aria-selected={propsTab === 'history'} onClick={() => setPropsTab('history')} className={propsTab === 'history' ? 'active' : ''}>History</button>
                 <button role="tab" aria-selected={propsTab === 'validate'} onClick={() => setPropsTab('validate')} className={propsTab === 'validate' ? 'active' : ''}>Validate</button>
                 <button role="tab" aria-selected={propsTab === 'environment'} onClick={() => setPropsTab('environment')} className={propsTab === 'environment' ? 'active' : ''}>Environment</button>
               </div>
@@ -1122,13 +2177,22 @@ useEffect(() => {
                   <ObjectProperties
                     selected={selected}
                     onTransformChange={(prop, axis, val) => workspaceRef.current?.handleTransformChange?.(prop, axis, val)}
+                    onEditBegin={(label) => workspaceRef.current?.beginEdit?.(label)}
+                    onEditEnd={() => workspaceRef.current?.commitEdit?.()}
                     onColorChange={(col) => {
                       if (selected) {
-                        selected.traverse((n) => { if (n.isMesh && n.material) try { n.material.color.set(col); } catch (e) {} });
+                        const apply = () => selected.traverse((n) => { if (n.isMesh && n.material) try { n.material.color.set(col); } catch (e) {} });
+                        if (workspaceRef.current?.recordMaterialEdit) workspaceRef.current.recordMaterialEdit('material-color', apply, selected);
+                        else apply();
                         pushToast({ type: "info", message: "Color updated" });
                       }
                     }}
-                    onVisibilityToggle={(vis) => { if (selected) selected.visible = vis; }}
+                    onMaterialEdit={workspaceRef.current?.recordMaterialEdit ? (label, fn) => workspaceRef.current.recordMaterialEdit(label, fn, selected) : undefined}
+                    onVisibilityToggle={(vis) => {
+                      if (!selected) return;
+                      if (workspaceRef.current?.setObjectVisible) workspaceRef.current.setObjectVisible(selected, vis);
+                      else selected.visible = vis;
+                    }}
                     onDelete={requestDeleteSelected}
                     onRename={(name) => {
                       if (workspaceRef.current?.renameSelected) workspaceRef.current.renameSelected(name);
@@ -1175,7 +2239,13 @@ useEffect(() => {
 
                       <div style={{ display: 'flex', gap: 8 }}>
                         <button type="submit" className="launch-btn">Apply</button>
-                        <button type="button" className="studio-btn" onClick={() => { if (selected) { selected.traverse((n) => { if (n.isMesh && n.material) { try { n.material.color.set('#888888'); n.material.roughness = 0.5; n.material.metalness = 0.0; } catch (e) {} } }); pushToast({ type: "info", message: "Reset material" }); } }}>Reset</button>
+                        <button type="button" className="studio-btn" onClick={() => {
+                          if (!selected) return;
+                          const reset = () => selected.traverse((n) => { if (n.isMesh && n.material) { try { n.material.color.set('#888888'); n.material.roughness = 0.5; n.material.metalness = 0.0; } catch (e) {} } });
+                          if (workspaceRef.current?.recordMaterialEdit) workspaceRef.current.recordMaterialEdit('material-reset', reset, selected);
+                          else reset();
+                          pushToast({ type: "info", message: "Reset material" });
+                        }}>Reset</button>
                       </div>
                     </form>
                   </div>
@@ -1223,6 +2293,7 @@ useEffect(() => {
                 {propsTab === 'outliner' && (
                   <div>
                     <div style={{ fontWeight: 700, marginBottom: 8 }}>Scene Outliner</div>
+                    <SelectionSetsView workspaceRef={workspaceRef} pushToast={pushToast} />
                     <OutlinerView
                       onSelect={(o) => { handleOutlinerSelect(o); }}
                       sceneVersion={sceneVersion}
@@ -1235,6 +2306,14 @@ useEffect(() => {
                   </div>
                 )}
 
+                {/* History */}
+                {propsTab === 'history' && (
+                  <div>
+                    <div style={{ fontWeight: 700, marginBottom: 8 }}>History</div>
+                    <HistoryView workspaceRef={workspaceRef} pushToast={pushToast} />
+                  </div>
+                )}
+
                 {/* Validate */}
                 {propsTab === 'validate' && (
                   <div>
@@ -1252,6 +2331,10 @@ useEffect(() => {
                         </pre>
                       </div>
                     )}
+                    <div style={{ fontWeight: 700, margin: '16px 0 8px' }}>Export optimization</div>
+                    {exportReport
+                      ? <ExportReportView report={exportReport} onClear={() => { ExportEngine.lastReport = null; setExportReport(null); }} />
+                      : <div style={{ color: 'var(--text-muted)' }}>Export with "Optimize for web" to see a before/after report.</div>}
                   </div>
                 )}
 
@@ -1267,6 +2350,7 @@ useEffect(() => {
                         Import...
                       </label>
                     </div>
+                    <CameraViewsView workspaceRef={workspaceRef} />
                   </div>
                 )}
               </div>
@@ -0,0 +1,298 @@
+// src/store/AssetStore.js
+import * as THREE from "three";
+import { RGBELoader } from "three/examples/jsm/loaders/RGBELoader.js";
+import { ThumbnailRenderer } from "../engine/ThumbnailRenderer";
+import { openDB, withStore } from "../utils/idb";
+import EventBus from "../utils/EventBus";
+
+/**
+ * AssetStore: the reusable asset library, kept in IndexedDB (objekta_assets).
+ * Record: { id, type, name, tags: string[], thumbnail: Blob | null, blob: Blob | null,
+ *   fileName, data, size, createdAt, modifiedAt }
+ *   model:    blob is a .glb
+ *   material: data is an ObjectProperties preset ({ hex, roughness, metalness, ... })
+ *   hdri:     blob is the .hdr file
+ * Every change emits "assets:changed" { id, action } on the EventBus.
+ */
+
+export const ASSET_TYPES = {
+  model: { label: "Models", icon: "📦" },
+  material: { label: "Materials", icon: "🎨" },
+  hdri: { label: "HDRIs", icon: "🌅" },
+};
+
+const DB_NAME = "objekta_assets";
+const DB_VERSION = 1;
+const STORE = "assets";
+// material presets used to live in localStorage under this prefix (ObjectProperties)
+const LEGACY_PRESET_PREFIX = "objekta_mat_preset_";
+const THUMB_SIZE = 128;
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains(STORE)) {
+    const store = db.createObjectStore(STORE, { keyPath: "id" });
+    store.createIndex("type", "type");
+    store.createIndex("name", "name");
+  }
+}
+
+const normalizeTags = (tags) => Array.from(new Set((tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean)));
+
+function canvasToBlob(canvas, type = "image/png") {
+  return new Promise((resolve) => {
+    try { canvas.toBlob((blob) => resolve(blob), type); } catch (e) { resolve(null); }
+  });
+}
+
+/**
+ * Swatch image for a material preset: a shaded ball in the preset's base color
+ * (2D fallback when WebGL thumbnails aren't available)
+ * @returns {Promise<Blob|null>}
+ */
+export function materialSwatch(preset = {}, size = THUMB_SIZE) {
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return Promise.resolve(null);
+  const r = size * 0.42;
+  const c = size / 2;
+  const base = new THREE.Color(preset.hex || "#888888");
+  const shade = base.clone().multiplyScalar(0.25);
+  // rougher surfaces spread the highlight; metals tint it with the base color
+  const roughness = typeof preset.roughness === "number" ? preset.roughness : 0.5;
+  const highlight = new THREE.Color(1, 1, 1).lerp(base, typeof preset.metalness === "number" ? preset.metalness : 0);
+  const grad = ctx.createRadialGradient(c - r * 0.35, c - r * 0.35, r * 0.05, c, c, r);
+  grad.addColorStop(0, `#${highlight.getHexString()}`);
+  grad.addColorStop(0.15 + roughness * 0.5, `#${base.getHexString()}`);
+  grad.addColorStop(1, `#${shade.getHexString()}`);
+  ctx.globalAlpha = typeof preset.opacity === "number" ? Math.max(0.2, preset.opacity) : 1;
+  ctx.fillStyle = grad;
+  ctx.beginPath();
+  ctx.arc(c, c, r, 0, Math.PI * 2);
+  ctx.fill();
+  return canvasToBlob(canvas);
+}
+
+/**
+ * Tone-mapped preview of an equirectangular .hdr (Reinhard, sRGB)
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Blob|null>}
+ */
+export function hdrPreview(buffer, width = THUMB_SIZE * 2) {
+  try {
+    const hdr = new RGBELoader().setDataType(THREE.FloatType).parse(buffer);
+    const height = Math.max(1, Math.round(width * hdr.height / hdr.width));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    const image = ctx.createImageData(width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const src = (Math.floor(y * hdr.height / height) * hdr.width + Math.floor(x * hdr.width / width)) * 4;
+        const dst = (y * width + x) * 4;
+        for (let k = 0; k < 3; k++) {
+          const v = hdr.data[src + k];
+          image.data[dst + k] = Math.round(255 * Math.pow(v / (1 + v), 1 / 2.2));
+        }
+        image.data[dst + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+    return canvasToBlob(canvas, "image/jpeg");
+  } catch (e) {
+    console.warn("hdrPreview failed", e);
+    return Promise.resolve(null);
+  }
+}
+
+class AssetStore {
+  constructor() {
+    this.migrated = null;
+  }
+
+  db() {
+    return openDB(DB_NAME, DB_VERSION, upgrade);
+  }
+
+  // one-time move of localStorage material presets into the library
+  ready() {
+    if (!this.migrated) this.migrated = this.migratePresets().catch((e) => { console.warn("AssetStore: preset migration failed", e); });
+    return this.migrated;
+  }
+
+  async migratePresets() {
+    let keys = [];
+    try { keys = Object.keys(localStorage).filter((k) => k.startsWith(LEGACY_PRESET_PREFIX)); } catch (e) {}
+    if (!keys.length) return 0;
+    const existing = new Set((await this.all()).filter((a) => a.type === "material").map((a) => a.name));
+    let moved = 0;
+    for (const key of keys) {
+      const name = key.slice(LEGACY_PRESET_PREFIX.length);
+      try {
+        if (!existing.has(name)) {
+          const data = JSON.parse(localStorage.getItem(key));
+          await this.put(this.record({ type: "material", name, tags: ["preset"], data, thumbnail: await this.renderThumbnail({ type: "material", data }) }));
+          moved++;
+        }
+        localStorage.removeItem(key);
+      } catch (e) { console.warn("AssetStore: preset not migrated", name, e); }
+    }
+    if (moved) EventBus.emit("assets:changed", { id: null, action: "migrate" });
+    return moved;
+  }
+
+  record({ type, name, tags = [], thumbnail = null, blob = null, fileName = null, data = null }) {
+    if (!ASSET_TYPES[type]) throw new Error(`Unknown asset type '${type}'`);
+    const now = Date.now();
+    return {
+      id: THREE.MathUtils.generateUUID(),
+      type,
+      name: String(name || ASSET_TYPES[type].label).trim(),
+      tags: normalizeTags(tags),
+      thumbnail,
+      blob,
+      fileName: fileName || (blob && blob.name) || null,
+      data,
+      size: blob ? blob.size : 0,
+      createdAt: now,
+      modifiedAt: now,
+    };
+  }
+
+  all() {
+    return withStore(this.db(), STORE, "readonly", (store) => store.getAll());
+  }
+
+  put(asset) {
+    return withStore(this.db(), STORE, "readwrite", (store) => store.put(asset));
+  }
+
+  /**
+   * Assets, newest first.
+   * query matches words in the name and tags; tag must match exactly
+   * @param {{ type?: string, query?: string, tag?: string }} [filter]
+   */
+  async list({ type = null, query = "", tag = null } = {}) {
+    await this.ready();
+    const words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+    return (await this.all())
+      .filter((a) => !type || a.type === type)
+      .filter((a) => !tag || a.tags.includes(tag))
+      .filter((a) => words.every((w) => a.name.toLowerCase().includes(w) || a.tags.some((t) => t.includes(w))))
+      .sort((a, b) => b.modifiedAt - a.modifiedAt);
+  }
+
+  async get(id) {
+    await this.ready();
+    return (await withStore(this.db(), STORE, "readonly", (store) => store.get(id))) || null;
+  }
+
+  /**
+   * Thumbnail for an asset: ThumbnailRenderer for models and materials, a tone-mapped
+   * preview for HDRIs
+   * @param {{ type: string, blob?: Blob, data?: object }} asset
+   * @returns {Promise<Blob|null>} null when nothing could be rendered
+   */
+  async renderThumbnail(asset) {
+    try {
+      if (asset.type === "model" && asset.blob) return await ThumbnailRenderer.renderFile(asset.blob, { size: THUMB_SIZE });
+      if (asset.type === "material") return await ThumbnailRenderer.renderMaterial(asset.data || {}, { applyPreset: applyMaterialPreset, size: THUMB_SIZE });
+      if (asset.type === "hdri" && asset.blob) return await hdrPreview(await asset.blob.arrayBuffer());
+    } catch (e) {
+      console.warn("AssetStore: thumbnail failed", asset.name, e);
+      if (asset.type === "material") return materialSwatch(asset.data || {});
+    }
+    return null;
+  }
+
+  /**
+   * Add an asset; a thumbnail is rendered when none is given
+   * @returns {Promise<object>} the stored record
+   */
+  async add({ type, name, tags = [], thumbnail = null, blob = null, fileName = null, data = null }) {
+    await this.ready();
+    if (!thumbnail) thumbnail = await this.renderThumbnail({ type, name, blob, data });
+    const asset = this.record({ type, name, tags, thumbnail, blob, fileName, data });
+    await this.put(asset);
+    EventBus.emit("assets:changed", { id: asset.id, action: "add" });
+    return asset;
+  }
+
+  /**
+   * Change name, tags, thumbnail or data
+   * @returns {Promise<object|null>} the updated record
+   */
+  async update(id, patch = {}) {
+    const asset = await this.get(id);
+    if (!asset) return null;
+    const next = { ...asset, modifiedAt: Date.now() };
+    if (patch.name !== undefined) next.name = String(patch.name).trim() || asset.name;
+    if (patch.tags !== undefined) next.tags = normalizeTags(patch.tags);
+    if (patch.thumbnail !== undefined) next.thumbnail = patch.thumbnail;
+    if (patch.data !== undefined) {
+      next.data = patch.data;
+      if (asset.type === "material" && patch.thumbnail === undefined) next.thumbnail = await this.renderThumbnail(next);
+    }
+    await this.put(next);
+    EventBus.emit("assets:changed", { id, action: "update" });
+    return next;
+  }
+
+  async remove(id) {
+    await withStore(this.db(), STORE, "readwrite", (store) => store.delete(id));
+    EventBus.emit("assets:changed", { id, action: "remove" });
+  }
+
+  // render thumbnails for assets saved without one; resolves with how many were added
+  async fillThumbnails() {
+    let filled = 0;
+    for (const asset of (await this.list()).filter((a) => !a.thumbnail)) {
+      const thumbnail = await this.renderThumbnail(asset);
+      if (!thumbnail) continue;
+      await this.put({ ...asset, thumbnail });
+      filled++;
+    }
+    if (filled) EventBus.emit("assets:changed", { id: null, action: "thumbnails" });
+    return filled;
+  }
+
+  // every tag in use (optionally for one type), sorted
+  async tags(type = null) {
+    const assets = await this.list({ type });
+    return Array.from(new Set(assets.flatMap((a) => a.tags))).sort();
+  }
+
+  // the asset's blob as a File, for the import/environment code paths
+  file(asset) {
+    if (!asset?.blob) return null;
+    const ext = asset.type === "hdri" ? "hdr" : "glb";
+    return new File([asset.blob], asset.fileName || `${asset.name}.${ext}`, { type: asset.blob.type || "application/octet-stream" });
+  }
+}
+
+const store = new AssetStore();
+export default store;
+
+/**
+ * Apply a material preset to every mesh under root (same fields as ObjectProperties presets)
+ */
+export function applyMaterialPreset(root, preset = {}) {
+  root?.traverse((n) => {
+    if (!n.isMesh || !n.material) return;
+    (Array.isArray(n.material) ? n.material : [n.material]).forEach((m) => {
+      try {
+        if (preset.hex && m.color) m.color.set(preset.hex);
+        if (typeof preset.roughness === "number" && typeof m.roughness === "number") m.roughness = preset.invertRoughness ? 1 - preset.roughness : preset.roughness;
+        if (typeof preset.metalness === "number" && typeof m.metalness === "number") m.metalness = preset.invertMetalness ? 1 - preset.metalness : preset.metalness;
+        if (typeof preset.opacity === "number") { m.opacity = preset.opacity; m.transparent = preset.opacity < 1; }
+        if (preset.emissiveHex && m.emissive) {
+          m.emissive.set(preset.emissiveHex);
+          if (typeof preset.emissiveIntensity === "number" && m.emissiveIntensity !== undefined) m.emissiveIntensity = preset.emissiveIntensity;
+        }
+        if (typeof preset.normalScale === "number" && m.normalScale) m.normalScale.set(preset.normalScale, preset.normalScale);
+        m.needsUpdate = true;
+      } catch (e) {}
+    });
+  });
+}
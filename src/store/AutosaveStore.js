@@ -0,0 +1,233 @@
+// src/store/AutosaveStore.js
+import * as THREE from "three";
+import { openDB, withStore } from "../utils/idb";
+
+/**
+ * AutosaveStore: rolling autosave slots in IndexedDB (objekta_autosave).
+ * Slot: { id, session, createdAt, reason, data (serializeScene output), objects, size, hash, thumbnail: Blob | null }
+ * Metadata (everything but data) lives in its own store, so listing and pruning never read scene JSON;
+ * data is loaded by get() when a slot is restored.
+ * Each Studio session writes its own slots; the oldest are dropped past MAX_SLOTS or MAX_BYTES,
+ * but the newest slot of each recent session is kept for recovery.
+ * Autosaves from before (a single localStorage key) are moved into a slot once.
+ */
+
+export const MAX_SLOTS = 10;
+export const MAX_BYTES = 100 * 1024 * 1024; // scene JSON across all slots
+
+const DB_NAME = "objekta_autosave";
+const DB_VERSION = 2;
+const STORE = "slots"; // { id, data }
+const META = "meta"; // slot without data
+const LEGACY_KEY = "objekta_autosave_v1"; // the localStorage autosave before IndexedDB slots
+
+function upgrade(db, oldVersion, tx) {
+  if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "id" });
+  if (!db.objectStoreNames.contains(META)) {
+    const meta = db.createObjectStore(META, { keyPath: "id" });
+    meta.createIndex("createdAt", "createdAt");
+    // version 1 kept whole slots in STORE: copy their metadata out
+    if (oldVersion >= 1) {
+      tx.objectStore(STORE).openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        const { data, ...slot } = cursor.value;
+        meta.put(slot);
+        cursor.continue();
+      };
+    }
+  }
+}
+
+// FNV-1a; enough to skip saving an unchanged scene again
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+function quotaError(error) {
+  const quota = error?.name === "QuotaExceededError" || /quota/i.test(error?.message || "");
+  const err = new Error(quota
+    ? "Autosave failed: browser storage is full. Free space by discarding old autosaves or saving the project to a file."
+    : `Autosave failed: ${error?.message || error}`);
+  err.quota = quota;
+  err.cause = error;
+  return err;
+}
+
+class AutosaveStore {
+  constructor() {
+    this.session = THREE.MathUtils.generateUUID();
+    this.lastHash = null;
+    this.migrated = null;
+  }
+
+  db() {
+    return openDB(DB_NAME, DB_VERSION, upgrade);
+  }
+
+  ready() {
+    if (!this.migrated) this.migrated = this.migrateLegacy().catch((e) => { console.warn("AutosaveStore: legacy autosave not migrated", e); });
+    return this.migrated;
+  }
+
+  // localStorage autosave -> one slot from an earlier session; the key is removed to free quota
+  async migrateLegacy() {
+    let raw = null;
+    try { raw = localStorage.getItem(LEGACY_KEY); } catch (e) {}
+    if (raw === null) return;
+    try {
+      const data = JSON.parse(raw);
+      if (Array.isArray(data?.snaps) && data.snaps.length) {
+        await this.put({ ...this.slot(data, raw, { reason: "legacy" }), session: "legacy" });
+      }
+    } catch (e) { console.warn(`AutosaveStore: ${LEGACY_KEY} unreadable`, e); }
+    try { localStorage.removeItem(LEGACY_KEY); } catch (e) {}
+  }
+
+  slot(data, json, { reason = "interval", thumbnail = null } = {}) {
+    return {
+      id: THREE.MathUtils.generateUUID(),
+      session: this.session,
+      createdAt: Date.now(),
+      reason,
+      data,
+      objects: data.snaps.length,
+      size: json.length,
+      hash: hashString(json),
+      thumbnail,
+    };
+  }
+
+  // slot metadata only
+  all() {
+    return withStore(this.db(), META, "readonly", (store) => store.getAll());
+  }
+
+  put({ data, ...slot }) {
+    return withStore(this.db(), [META, STORE], "readwrite", ([meta, slots]) => {
+      meta.put(slot);
+      slots.put({ id: slot.id, data });
+    });
+  }
+
+  // delete slots (metadata and data) by id
+  drop(ids) {
+    return withStore(this.db(), [META, STORE], "readwrite", (stores) => ids.forEach((id) => stores.forEach((store) => store.delete(id))));
+  }
+
+  /**
+   * Save scene data as a new slot, unless it matches this session's last save.
+   * Old slots are pruned to MAX_SLOTS / MAX_BYTES (see prune).
+   * @param {object} data serializeScene() output
+   * @param {{ reason?: string, thumbnail?: Blob | null }} [opts]
+   * @returns {Promise<object|null>} the slot (without data), null when skipped
+   * @throws Error with .quota when storage is full
+   */
+  async save(data, opts = {}) {
+    if (!Array.isArray(data?.snaps)) return null;
+    await this.ready();
+    const json = JSON.stringify(data);
+    const hash = hashString(json);
+    if (hash === this.lastHash) return null;
+    if (json.length > MAX_BYTES) throw quotaError(new Error(`scene is ${(json.length / 1048576).toFixed(1)} MB, over the ${MAX_BYTES / 1048576} MB autosave limit`));
+    const slot = this.slot(data, json, opts);
+    try {
+      await this.put(slot);
+    } catch (e) {
+      // make room by dropping this session's earlier slots (the new one supersedes them) and retry;
+      // other sessions' slots are left for recovery
+      if (e?.name !== "QuotaExceededError") throw quotaError(e);
+      await this.prune({ session: this.session }).catch(() => {});
+      try { await this.put(slot); } catch (err) { throw quotaError(err); }
+    }
+    this.lastHash = hash;
+    await this.prune().catch(() => {});
+    const { data: _, ...meta } = slot;
+    return meta;
+  }
+
+  /**
+   * Slot metadata (no data), newest first.
+   * @param {{ includeCurrent?: boolean }} [opts] includeCurrent: also this session's slots
+   */
+  async list({ includeCurrent = false } = {}) {
+    await this.ready();
+    return (await this.all())
+      .filter((s) => includeCurrent || s.session !== this.session)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // full slot, with its scene data
+  async get(id) {
+    const [slot, stored] = await withStore(this.db(), [META, STORE], "readonly", ([meta, slots]) => {
+      const out = [null, null];
+      meta.get(id).onsuccess = (e) => { out[0] = e.target.result || null; };
+      slots.get(id).onsuccess = (e) => { out[1] = e.target.result || null; };
+      return out;
+    });
+    return slot && stored ? { ...slot, data: stored.data } : null;
+  }
+
+  remove(id) {
+    return this.drop([id]);
+  }
+
+  // drop every slot from earlier sessions (this session keeps autosaving)
+  async clear() {
+    const ids = (await this.list()).map((s) => s.id);
+    await this.drop(ids);
+    return ids.length;
+  }
+
+  /**
+   * Drop slots beyond MAX_SLOTS / MAX_BYTES, or every slot of one session.
+   * Each session's newest slot is its recovery point and is kept first (for the newest MAX_SLOTS sessions),
+   * so one session's autosaves never push out another's; older slots fill what is left, newest first.
+   */
+  async prune({ session = null } = {}) {
+    const slots = (await this.all()).sort((a, b) => b.createdAt - a.createdAt);
+    let stale;
+    if (session) {
+      stale = slots.filter((s) => s.session === session);
+    } else {
+      const sessions = new Set();
+      const points = slots.filter((s) => !sessions.has(s.session) && sessions.add(s.session));
+      const keep = new Set();
+      let bytes = 0;
+      [...points, ...slots.filter((s) => !points.includes(s))].forEach((s) => {
+        if (keep.size && (keep.size >= MAX_SLOTS || bytes + (s.size || 0) > MAX_BYTES)) return;
+        keep.add(s);
+        bytes += s.size || 0;
+      });
+      stale = slots.filter((s) => !keep.has(s));
+    }
+    if (!stale.length) return 0;
+    await this.drop(stale.map((s) => s.id));
+    return stale.length;
+  }
+
+  /**
+   * Storage used by autosaves, and what the browser reports for the whole origin
+   * @returns {Promise<{ slots: number, bytes: number, limit: number, usage: number | null, quota: number | null }>}
+   */
+  async usage() {
+    const slots = await this.all();
+    let estimate = {};
+    try { estimate = (await navigator.storage?.estimate?.()) || {}; } catch (e) {}
+    return {
+      slots: slots.length,
+      bytes: slots.reduce((sum, s) => sum + (s.size || 0), 0),
+      limit: MAX_BYTES,
+      usage: estimate.usage ?? null,
+      quota: estimate.quota ?? null,
+    };
+  }
+}
+
+const store = new AutosaveStore();
+export default store;
@@ -0,0 +1,116 @@
+// src/store/ProjectStore.js
+import * as THREE from "three";
+import { openDB, withStore } from "../utils/idb";
+import EventBus from "../utils/EventBus";
+
+/**
+ * ProjectStore: Studio projects kept in the browser (IndexedDB objekta_projects).
+ * Record: { id, name, createdAt, modifiedAt, thumbnail: Blob | null, objects, triangles,
+ *           archive: Blob | null (ProjectEngine.pack output; null until first saved), size }
+ * objects / triangles come from Workspace.getSceneSummary() at save time.
+ * Emits "projects:changed" after every write.
+ */
+
+const DB_NAME = "objekta_projects";
+const DB_VERSION = 1;
+const STORE = "projects";
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains(STORE)) {
+    const store = db.createObjectStore(STORE, { keyPath: "id" });
+    store.createIndex("modifiedAt", "modifiedAt");
+  }
+}
+
+const cleanName = (name, fallback = "Untitled") => String(name || "").trim() || fallback;
+
+// list entries leave the archive out so the page doesn't hold every project in memory
+const withoutArchive = ({ archive, ...meta }) => ({ ...meta, hasArchive: !!archive });
+
+class ProjectStore {
+  db() {
+    return openDB(DB_NAME, DB_VERSION, upgrade);
+  }
+
+  async put(record) {
+    await withStore(this.db(), STORE, "readwrite", (store) => store.put(record));
+    EventBus.emit("projects:changed", { id: record.id });
+    return record;
+  }
+
+  /**
+   * Projects, most recently modified first (without archives)
+   * @param {{ query?: string }} [opts]
+   */
+  async list({ query = "" } = {}) {
+    const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const all = await withStore(this.db(), STORE, "readonly", (store) => store.getAll());
+    return all
+      .filter((p) => words.every((w) => p.name.toLowerCase().includes(w)))
+      .sort((a, b) => b.modifiedAt - a.modifiedAt)
+      .map(withoutArchive);
+  }
+
+  async get(id) {
+    if (!id) return null;
+    return (await withStore(this.db(), STORE, "readonly", (store) => store.get(id))) || null;
+  }
+
+  // an empty project; Studio fills it on the first save
+  create(name) {
+    const now = Date.now();
+    return this.put({
+      id: THREE.MathUtils.generateUUID(),
+      name: cleanName(name),
+      createdAt: now,
+      modifiedAt: now,
+      thumbnail: null,
+      objects: 0,
+      triangles: 0,
+      archive: null,
+      size: 0,
+    });
+  }
+
+  /**
+   * Write a project's content back to its record (creating it when id is unknown)
+   * @param {string} id
+   * @param {{ archive: Uint8Array | Blob, name?: string, thumbnail?: Blob | null, objects?: number, triangles?: number }} content
+   */
+  async save(id, { archive, name, thumbnail = null, objects = 0, triangles = 0 }) {
+    const prev = await this.get(id);
+    const blob = archive instanceof Blob ? archive : new Blob([archive], { type: "application/zip" });
+    const now = Date.now();
+    return this.put({
+      ...(prev || { id: id || THREE.MathUtils.generateUUID(), createdAt: now }),
+      name: cleanName(name, prev?.name || "Untitled"),
+      modifiedAt: now,
+      thumbnail,
+      objects,
+      triangles,
+      archive: blob,
+      size: blob.size,
+    });
+  }
+
+  async rename(id, name) {
+    const prev = await this.get(id);
+    if (!prev || !cleanName(name, "")) return prev;
+    return this.put({ ...prev, name: cleanName(name), modifiedAt: Date.now() });
+  }
+
+  async duplicate(id) {
+    const prev = await this.get(id);
+    if (!prev) throw new Error("Project not found");
+    const now = Date.now();
+    return this.put({ ...prev, id: THREE.MathUtils.generateUUID(), name: `${prev.name} copy`, createdAt: now, modifiedAt: now });
+  }
+
+  async remove(id) {
+    await withStore(this.db(), STORE, "readwrite", (store) => store.delete(id));
+    EventBus.emit("projects:changed", { id, removed: true });
+  }
+}
+
+const store = new ProjectStore();
+export default store;
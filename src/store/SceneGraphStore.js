@@ -1,64 +1,248 @@
 // src/store/SceneGraphStore.js
 import EventBus from "../utils/EventBus";
 
+// Child-index path from the scene root, used to keep siblings in scene order
+function scenePath(object) {
+  const path = [];
+  let node = object;
+  while (node && node.parent) {
+    path.unshift(node.parent.children.indexOf(node));
+    node = node.parent;
+  }
+  return path;
+}
+
+function comparePaths(a, b) {
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * SceneGraphStore: registry of user objects and their hierarchy.
+ * Each entry mirrors one Three.js object:
+ *   { object, metadata, parentId, children: [ids in sibling order], visible, locked, selectable }
+ * parentId is the nearest registered ancestor (null for top-level objects),
+ * so UIs can walk the tree without touching the Three.js scene.
+ * locked / selectable mirror metadata.locked / metadata.unselectable (saved with the object);
+ * isLocked()/isSelectable() also look at ancestors.
+ *
+ * Collections group objects for organizing: { id, name, visible, renderable, selectable }.
+ * An object's collection is metadata.collection, inherited by registered descendants
+ * that have none of their own (see getCollectionOf).
+ *
+ * Selection sets are named, saved lists of object ids: { id, name, ids }.
+ * Ids of objects that are gone are kept (undo may bring them back) and skipped
+ * by resolveSelectionSet.
+ * Entries are replaced (not mutated) when their fields change.
+ *
+ * Change events (EventBus, payload fields listed):
+ *   object:added      { id, parentId, index }
+ *   object:removed    { id, parentId, children }
+ *   object:changed    { id, changes: ["name" | "visible" | "locked" | "selectable" | "metadata" | "transform" | ...] }
+ *   hierarchy:changed { id, oldParentId, newParentId, index }  (no id: whole tree rebuilt/reset)
+ *   selection:changed { selected, added, removed }
+ *   collections:changed { ids }  (collection list or flags; membership is object:changed "collection")
+ *   selectionSets:changed { ids }
+ * Inside batch() they are queued and delivered together; subscribe() listeners get
+ * one call per delivery with the list of events. "scene:updated" { events } is still
+ * emitted once per delivery for older listeners.
+ */
 export const SceneGraphStore = {
-  objects: {}, // id -> { object, metadata }
+  objects: {}, // id -> entry (see above)
+  rootIds: [], // top-level ids in sibling order
   selected: [], // array of ids (supports multi-selection)
+  collections: {}, // id -> { id, name, visible, renderable, selectable }
+  collectionOrder: [], // collection ids in display order
+  selectionSets: {}, // id -> { id, name, ids }
+  selectionSetOrder: [], // selection set ids in display order
   version: 0,
+  _collectionSeq: 0,
+  _selectionSetSeq: 0,
+  _batchDepth: 0,
+  _pending: [], // events waiting for the outermost batch() to finish
+  _listeners: new Set(),
+
+  /* -------------------- Subscriptions -------------------- */
+  /**
+   * Listen to every delivery of change events
+   * @param {(events: Array<{type: string}>) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+
+  /**
+   * Run fn and deliver the events it causes as one notification
+   */
+  batch(fn) {
+    this._batchDepth++;
+    try {
+      return fn();
+    } finally {
+      this._batchDepth--;
+      if (this._batchDepth === 0) this._flush();
+    }
+  },
+
+  /**
+   * Report changes made directly on registered objects (transforms, materials, ...)
+   * @param {string|string[]} ids
+   * @param {string[]} changes - changed property names
+   */
+  notifyChanged(ids, changes = []) {
+    (Array.isArray(ids) ? ids : [ids]).forEach((id) => {
+      if (this.objects[id]) this._emit("object:changed", { id, changes: [...changes] });
+    });
+  },
 
   /* -------------------- Core Object Ops -------------------- */
   addObject(id, object, metadata = {}) {
-    this.objects[id] = { object, metadata };
-    this.version++;
-    EventBus.emit("scene:updated", { id, type: "add" });
+    if (this.objects[id]) this._unlink(id);
+
+    this.objects[id] = {
+      object,
+      metadata,
+      parentId: null,
+      children: this.objects[id]?.children || [],
+      visible: object?.visible !== false,
+      locked: !!metadata.locked,
+      selectable: !metadata.unselectable,
+    };
+    this._link(id);
+
+    const parentId = this.objects[id].parentId;
+    this._emit("object:added", { id, parentId, index: this._siblings(parentId).indexOf(id) });
+    this._adoptDescendants(id);
   },
 
   removeObject(id) {
+    const entry = this.objects[id];
+    if (!entry) return;
+
+    this._unlink(id);
     delete this.objects[id];
+    this._emit("object:removed", { id, parentId: entry.parentId, children: [...entry.children] });
+
+    // registered children move up to their next registered ancestor
+    entry.children.forEach((childId) => {
+      if (!this.objects[childId]) return;
+      this._link(childId);
+      this._emitMove(childId, id);
+    });
+
     // remove from selection if present
-    this.selected = this.selected.filter(selId => selId !== id);
-    this.version++;
-    EventBus.emit("scene:updated", { id, type: "remove" });
+    if (this.selected.includes(id)) this._setSelection(this.selected.filter(selId => selId !== id));
   },
 
   renameObject(id, name) {
-    if (this.objects[id]) {
-      this.objects[id].metadata.name = name;
-      if (this.objects[id].object) this.objects[id].object.name = name;
-      this.version++;
-      EventBus.emit("scene:updated", { id, type: "rename" });
+    const entry = this.objects[id];
+    if (!entry) return;
+    if (entry.object) entry.object.name = name;
+    this._patch(id, { metadata: { ...entry.metadata, name } }, ["name"]);
+  },
+
+  setVisibility(id, visible) {
+    const entry = this.objects[id];
+    if (!entry) return;
+    visible = !!visible;
+    if (entry.object) entry.object.visible = visible;
+    if (entry.visible === visible) return;
+    this._patch(id, { visible }, ["visible"]);
+  },
+
+  setLocked(id, locked) {
+    const entry = this.objects[id];
+    if (!entry) return;
+    locked = !!locked;
+    if (entry.locked === locked) return;
+    this._patch(id, { locked, metadata: { ...entry.metadata, locked } }, ["locked"]);
+  },
+
+  setSelectable(id, selectable) {
+    const entry = this.objects[id];
+    if (!entry) return;
+    selectable = !!selectable;
+    if (entry.selectable === selectable) return;
+    this._patch(id, { selectable, metadata: { ...entry.metadata, unselectable: !selectable } }, ["selectable"]);
+    // unselectable objects (and their children) drop out of the selection
+    if (!selectable) {
+      const blocked = new Set([id, ...this.getDescendants(id)]);
+      if (this.selected.some((selId) => blocked.has(selId))) {
+        this._setSelection(this.selected.filter((selId) => !blocked.has(selId)));
+      }
+    }
+  },
+
+  /**
+   * True when the object or one of its registered ancestors is locked
+   */
+  isLocked(id) {
+    return [id, ...this.getAncestors(id)].some((i) => this.objects[i]?.locked);
+  },
+
+  /**
+   * False when the object or one of its registered ancestors is unselectable
+   */
+  isSelectable(id) {
+    if ([id, ...this.getAncestors(id)].some((i) => this.objects[i]?.selectable === false)) return false;
+    const collectionId = this.getCollectionOf(id);
+    return !collectionId || this.collections[collectionId]?.selectable !== false;
+  },
+
+  updateMetadata(id, patch = {}) {
+    const entry = this.objects[id];
+    if (!entry) return;
+    const fields = { metadata: { ...entry.metadata, ...patch } };
+    if ("locked" in patch) fields.locked = !!patch.locked;
+    if ("unselectable" in patch) fields.selectable = !patch.unselectable;
+    this._patch(id, fields, ["metadata", ...Object.keys(patch)]);
+  },
+
+  /**
+   * Re-read visibility and parent from the Three.js object after it was
+   * changed outside the store (commands, loaders, gizmo reparenting).
+   */
+  syncObject(id) {
+    const entry = this.objects[id];
+    if (!entry) return;
+
+    const visible = entry.object?.visible !== false;
+    if (entry.visible !== visible) this.setVisibility(id, visible);
+
+    const oldParentId = entry.parentId;
+    const oldIndex = this._siblings(oldParentId).indexOf(id);
+    this._unlink(id);
+    this._link(id);
+    const parentId = this.objects[id].parentId;
+    if (oldParentId !== parentId || oldIndex !== this._siblings(parentId).indexOf(id)) {
+      this._emitMove(id, oldParentId);
     }
   },
 
   /* -------------------- Selection Ops -------------------- */
   selectObject(id) {
-    this.selected = id ? [id] : [];
-    this.version++;
+    this._setSelection(id ? [id] : []);
     EventBus.emit("object:selected", { id });
-    EventBus.emit("objects:selected", [...this.selected]);
   },
 
   selectObjects(ids = []) {
-    this.selected = Array.isArray(ids) ? [...ids] : [];
-    this.version++;
-    EventBus.emit("objects:selected", [...this.selected]);
+    this._setSelection(Array.isArray(ids) ? ids : []);
   },
 
   toggleObjectSelection(id) {
     if (!id) return;
-    if (this.selected.includes(id)) {
-      this.selected = this.selected.filter(selId => selId !== id);
-    } else {
-      this.selected.push(id);
-    }
-    this.version++;
-    EventBus.emit("objects:selected", [...this.selected]);
+    this._setSelection(this.selected.includes(id)
+      ? this.selected.filter(selId => selId !== id)
+      : [...this.selected, id]);
   },
 
   clearSelection() {
-    this.selected = [];
-    this.version++;
-    EventBus.emit("objects:selected", []);
+    this._setSelection([]);
   },
 
   getSelected() {
@@ -71,35 +255,543 @@ export const SceneGraphStore = {
   },
 
   /* -------------------- Reparenting -------------------- */
-  reparentObject(childId, newParentId) {
+  /**
+   * Move an object under another registered object.
+   * @param {string} childId
+   * @param {string} newParentId
+   * @param {number} [index] - position among the new parent's registered children
+   */
+  reparentObject(childId, newParentId, index) {
     const child = this.objects[childId]?.object;
     const parent = this.objects[newParentId]?.object;
     if (!child || !parent) return;
+    if (childId === newParentId || this.getAncestors(newParentId).includes(childId)) return;
 
     try {
+      const oldParentId = this.objects[childId].parentId;
+      const before = typeof index === "number" ? this.objects[this.getChildren(newParentId).filter((id) => id !== childId)[index]]?.object : null;
+
       // remove from old parent
       if (child.parent) child.parent.remove(child);
       // add to new parent
       parent.add(child);
+      if (before && before.parent === parent) {
+        parent.children.splice(parent.children.indexOf(child), 1);
+        parent.children.splice(parent.children.indexOf(before), 0, child);
+      }
 
-      this.version++;
-      EventBus.emit("scene:updated", {
-        type: "reparent",
-        childId,
-        newParentId,
-      });
+      this._unlink(childId);
+      this._link(childId);
+      this._emitMove(childId, oldParentId);
     } catch (e) {
       console.warn("SceneGraphStore: reparent failed", e);
     }
   },
 
+  /* -------------------- Collections -------------------- */
+  /**
+   * Create a collection
+   * @param {string} [name]
+   * @param {{ id?: string, visible?: boolean, renderable?: boolean, selectable?: boolean }} [opts]
+   * @returns {string} collection id
+   */
+  addCollection(name, opts = {}) {
+    const id = opts.id || `col_${Date.now().toString(36)}_${++this._collectionSeq}`;
+    this.collections = {
+      ...this.collections,
+      [id]: {
+        id,
+        name: name || `Collection ${this.collectionOrder.length + 1}`,
+        visible: opts.visible !== false,
+        renderable: opts.renderable !== false,
+        selectable: opts.selectable !== false,
+      },
+    };
+    this.collectionOrder = [...this.collectionOrder, id];
+    this._emit("collections:changed", { ids: [id] });
+    return id;
+  },
+
+  /**
+   * Delete a collection; its members become unassigned
+   */
+  removeCollection(id) {
+    if (!this.collections[id]) return;
+    this.batch(() => {
+      this.getCollectionMembers(id).forEach((objectId) => this.updateMetadata(objectId, { collection: null }));
+      const { [id]: removed, ...rest } = this.collections;
+      this.collections = rest;
+      this.collectionOrder = this.collectionOrder.filter((cid) => cid !== id);
+      this._emit("collections:changed", { ids: [id] });
+    });
+  },
+
+  /**
+   * Rename or toggle a collection (name, visible, renderable, selectable)
+   */
+  updateCollection(id, patch = {}) {
+    const col = this.collections[id];
+    if (!col) return;
+    const next = { ...col };
+    if (typeof patch.name === "string" && patch.name) next.name = patch.name;
+    ["visible", "renderable", "selectable"].forEach((k) => { if (k in patch) next[k] = !!patch[k]; });
+    this.collections = { ...this.collections, [id]: next };
+    this._emit("collections:changed", { ids: [id] });
+  },
+
+  /**
+   * Move objects into a collection (null = unassigned)
+   * @param {string|string[]} ids
+   * @param {string|null} collectionId
+   */
+  assignToCollection(ids, collectionId) {
+    if (collectionId && !this.collections[collectionId]) return;
+    this.batch(() => {
+      (Array.isArray(ids) ? ids : [ids]).forEach((id) => {
+        if (this.objects[id] && (this.objects[id].metadata.collection || null) !== (collectionId || null)) {
+          this.updateMetadata(id, { collection: collectionId || null });
+        }
+      });
+    });
+  },
+
+  /**
+   * Show only the given collection (hide every other one)
+   */
+  isolateCollection(id) {
+    if (!this.collections[id]) return;
+    this.batch(() => {
+      this.collectionOrder.forEach((cid) => this.updateCollection(cid, { visible: cid === id }));
+    });
+  },
+
+  showAllCollections() {
+    this.batch(() => {
+      this.collectionOrder.forEach((cid) => {
+        if (!this.collections[cid].visible) this.updateCollection(cid, { visible: true });
+      });
+    });
+  },
+
+  getCollections() {
+    return this.collectionOrder.map((id) => this.collections[id]).filter(Boolean);
+  },
+
+  getCollection(id) {
+    return this.collections[id] || null;
+  },
+
+  /**
+   * Ids assigned directly to a collection, in tree order
+   */
+  getCollectionMembers(id) {
+    return this._ordered().filter((objectId) => this.objects[objectId].metadata?.collection === id);
+  },
+
+  /**
+   * Collection an object belongs to: its own, else the nearest ancestor's
+   */
+  getCollectionOf(id) {
+    for (const i of [id, ...this.getAncestors(id)]) {
+      const cid = this.objects[i]?.metadata?.collection;
+      if (cid && this.collections[cid]) return cid;
+    }
+    return null;
+  },
+
+  /**
+   * Plain copy of collections and membership (saved with the scene, used by undo)
+   * @returns {{ collections: Array, members: Object<string, string> }}
+   */
+  serializeCollections() {
+    const members = {};
+    Object.entries(this.objects).forEach(([id, entry]) => {
+      const cid = entry.metadata?.collection;
+      if (cid && this.collections[cid]) members[id] = cid;
+    });
+    return { collections: this.getCollections().map((c) => ({ ...c })), members };
+  },
+
+  /**
+   * Replace collections and membership with serializeCollections() output
+   */
+  restoreCollections(state) {
+    const list = Array.isArray(state?.collections) ? state.collections : [];
+    const members = state?.members || {};
+    this.batch(() => {
+      const prevIds = [...this.collectionOrder];
+      this.collections = {};
+      this.collectionOrder = [];
+      list.forEach((c) => {
+        if (!c || !c.id || this.collections[c.id]) return;
+        this.collections[c.id] = {
+          id: c.id,
+          name: c.name || c.id,
+          visible: c.visible !== false,
+          renderable: c.renderable !== false,
+          selectable: c.selectable !== false,
+        };
+        this.collectionOrder.push(c.id);
+      });
+      Object.keys(this.objects).forEach((id) => {
+        const next = this.collections[members[id]] ? members[id] : null;
+        if ((this.objects[id].metadata?.collection || null) !== next) this.updateMetadata(id, { collection: next });
+      });
+      this._emit("collections:changed", { ids: Array.from(new Set([...prevIds, ...this.collectionOrder])) });
+    });
+  },
+
+  /* -------------------- Selection sets -------------------- */
+  /**
+   * Save a named list of object ids
+   * @param {string} [name]
+   * @param {string[]} [ids] defaults to the current selection
+   * @param {{ id?: string }} [opts]
+   * @returns {string} selection set id
+   */
+  addSelectionSet(name, ids = this.selected, opts = {}) {
+    const id = opts.id || `sel_${Date.now().toString(36)}_${++this._selectionSetSeq}`;
+    this.selectionSets = {
+      ...this.selectionSets,
+      [id]: { id, name: name || `Selection ${this.selectionSetOrder.length + 1}`, ids: Array.from(new Set(ids)) },
+    };
+    this.selectionSetOrder = [...this.selectionSetOrder, id];
+    this._emit("selectionSets:changed", { ids: [id] });
+    return id;
+  },
+
+  removeSelectionSet(id) {
+    if (!this.selectionSets[id]) return;
+    const { [id]: removed, ...rest } = this.selectionSets;
+    this.selectionSets = rest;
+    this.selectionSetOrder = this.selectionSetOrder.filter((sid) => sid !== id);
+    this._emit("selectionSets:changed", { ids: [id] });
+  },
+
+  /**
+   * Rename a selection set or replace its ids
+   */
+  updateSelectionSet(id, patch = {}) {
+    const set = this.selectionSets[id];
+    if (!set) return;
+    const next = { ...set };
+    if (typeof patch.name === "string" && patch.name) next.name = patch.name;
+    if (Array.isArray(patch.ids)) next.ids = Array.from(new Set(patch.ids));
+    this.selectionSets = { ...this.selectionSets, [id]: next };
+    this._emit("selectionSets:changed", { ids: [id] });
+  },
+
+  getSelectionSets() {
+    return this.selectionSetOrder.map((id) => this.selectionSets[id]).filter(Boolean);
+  },
+
+  getSelectionSet(id) {
+    return this.selectionSets[id] || null;
+  },
+
+  /**
+   * Ids of a selection set that still exist and can be selected
+   */
+  resolveSelectionSet(id) {
+    const set = this.selectionSets[id];
+    if (!set) return [];
+    return set.ids.filter((objectId) => this.objects[objectId] && this.isSelectable(objectId));
+  },
+
+  /**
+   * Plain copy of the selection sets (saved with the scene, used by undo)
+   */
+  serializeSelectionSets() {
+    return this.getSelectionSets().map((s) => ({ ...s, ids: [...s.ids] }));
+  },
+
+  /**
+   * Replace every selection set with serializeSelectionSets() output
+   */
+  restoreSelectionSets(list) {
+    const prevIds = [...this.selectionSetOrder];
+    this.selectionSets = {};
+    this.selectionSetOrder = [];
+    (Array.isArray(list) ? list : []).forEach((s) => {
+      if (!s || !s.id || this.selectionSets[s.id]) return;
+      this.selectionSets[s.id] = { id: s.id, name: s.name || s.id, ids: Array.isArray(s.ids) ? Array.from(new Set(s.ids)) : [] };
+      this.selectionSetOrder.push(s.id);
+    });
+    this._emit("selectionSets:changed", { ids: Array.from(new Set([...prevIds, ...this.selectionSetOrder])) });
+  },
+
+  /* -------------------- Queries -------------------- */
+  getEntry(id) {
+    return this.objects[id] || null;
+  },
+
+  getObject(id) {
+    return this.objects[id]?.object || null;
+  },
+
+  getRootIds() {
+    return [...this.rootIds];
+  },
+
+  /**
+   * Registered child ids in sibling order (top-level ids when id is null)
+   */
+  getChildren(id = null) {
+    if (id == null) return [...this.rootIds];
+    return [...(this.objects[id]?.children || [])];
+  },
+
+  getParentId(id) {
+    return this.objects[id]?.parentId || null;
+  },
+
+  /**
+   * Registered ancestor ids, nearest first
+   */
+  getAncestors(id) {
+    const out = [];
+    let parentId = this.objects[id]?.parentId;
+    while (parentId && this.objects[parentId] && !out.includes(parentId)) {
+      out.push(parentId);
+      parentId = this.objects[parentId].parentId;
+    }
+    return out;
+  },
+
+  /**
+   * Registered descendant ids, depth-first in sibling order
+   */
+  getDescendants(id) {
+    const out = [];
+    const walk = (ids) => ids.forEach((childId) => {
+      out.push(childId);
+      walk(this.objects[childId]?.children || []);
+    });
+    walk(this.getChildren(id));
+    return out;
+  },
+
+  /**
+   * Ids whose name matches: a RegExp, or a case-insensitive substring
+   * (exact match with { exact: true })
+   */
+  findByName(query, { exact = false } = {}) {
+    if (query == null || query === "") return [];
+    const test = query instanceof RegExp
+      ? (name) => query.test(name)
+      : exact
+        ? (name) => name === query
+        : (name) => name.toLowerCase().includes(String(query).toLowerCase());
+    return this._ordered().filter((id) => {
+      const { object, metadata } = this.objects[id];
+      return test(object?.name || metadata?.name || "");
+    });
+  },
+
+  /**
+   * Ids whose Three.js type, metadata type or is<Type> flag matches (e.g. "Mesh", "Light")
+   */
+  findByType(type) {
+    if (!type) return [];
+    return this._ordered().filter((id) => {
+      const { object, metadata } = this.objects[id];
+      return object?.type === type || metadata?.type === type || object?.[`is${type}`] === true;
+    });
+  },
+
   /* -------------------- Utility -------------------- */
   getObjects() {
     return Object.values(this.objects).map(o => o.object);
   },
 
+  /**
+   * Recompute parent/child ids and visibility for every entry
+   * (after the objects map was written directly, e.g. a snapshot restore)
+   */
+  rebuildHierarchy() {
+    this.rootIds = [];
+    Object.entries(this.objects).forEach(([id, entry]) => {
+      this.objects[id] = {
+        ...entry,
+        metadata: entry.metadata || {},
+        parentId: null,
+        children: [],
+        visible: entry.object?.visible !== false,
+        locked: !!entry.metadata?.locked,
+        selectable: !entry.metadata?.unselectable,
+      };
+    });
+    Object.keys(this.objects).forEach((id) => this._link(id));
+    this._emit("hierarchy:changed", {});
+  },
+
+  reset() {
+    this.batch(() => {
+      this.objects = {};
+      this.rootIds = [];
+      this.collections = {};
+      this.collectionOrder = [];
+      this.selectionSets = {};
+      this.selectionSetOrder = [];
+      this._emit("hierarchy:changed", {});
+      this._emit("collections:changed", { ids: [] });
+      this._emit("selectionSets:changed", { ids: [] });
+      this._setSelection([]);
+    });
+  },
+
+  // Generic "something changed" for callers without details
   bump() {
+    this._emit("hierarchy:changed", {});
+  },
+
+  /* -------------------- Internal -------------------- */
+  _siblings(parentId) {
+    return parentId ? this.objects[parentId]?.children || [] : this.rootIds;
+  },
+
+  _findParentId(object) {
+    let node = object?.parent;
+    while (node) {
+      if (this.objects[node.uuid]?.object === node) return node.uuid;
+      node = node.parent;
+    }
+    return null;
+  },
+
+  _setSiblings(parentId, ids) {
+    if (!parentId) this.rootIds = ids;
+    else if (this.objects[parentId]) this.objects[parentId] = { ...this.objects[parentId], children: ids };
+  },
+
+  // Insert id under its nearest registered ancestor, keeping scene order
+  _link(id) {
+    const entry = this.objects[id];
+    const parentId = this._findParentId(entry.object);
+    this.objects[id] = { ...entry, parentId };
+    const siblings = [...this._siblings(parentId)];
+    const path = scenePath(entry.object);
+    const before = (sid) => comparePaths(scenePath(this.objects[sid]?.object), path) < 0;
+    // siblings are kept in scene order: append when it sorts last (the common case), else binary search
+    let i = siblings.length;
+    if (i && !before(siblings[i - 1])) {
+      let lo = 0;
+      let hi = i - 1;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (before(siblings[mid])) lo = mid + 1;
+        else hi = mid;
+      }
+      i = lo;
+    }
+    siblings.splice(i, 0, id);
+    this._setSiblings(parentId, siblings);
+  },
+
+  _unlink(id) {
+    const parentId = this.objects[id]?.parentId;
+    const siblings = this._siblings(parentId);
+    if (siblings.includes(id)) this._setSiblings(parentId, siblings.filter((sid) => sid !== id));
+  },
+
+  _patch(id, fields, changes) {
+    this.objects[id] = { ...this.objects[id], ...fields };
+    this._emit("object:changed", { id, changes });
+  },
+
+  _emitMove(id, oldParentId) {
+    const newParentId = this.objects[id]?.parentId || null;
+    this._emit("hierarchy:changed", {
+      id,
+      oldParentId: oldParentId || null,
+      newParentId,
+      index: this._siblings(newParentId).indexOf(id),
+    });
+  },
+
+  _setSelection(ids) {
+    const prev = this.selected;
+    this.selected = [...ids];
+    this._emit("selection:changed", {
+      selected: [...this.selected],
+      added: this.selected.filter((id) => !prev.includes(id)),
+      removed: prev.filter((id) => !this.selected.includes(id)),
+    });
+    EventBus.emit("objects:selected", [...this.selected]);
+  },
+
+  _emit(type, payload) {
     this.version++;
-    EventBus.emit("scene:updated", {});
-  }
+    this._pending.push({ type, ...payload });
+    if (this._batchDepth === 0) this._flush();
+  },
+
+  _flush() {
+    if (!this._pending.length) return;
+    const events = this._coalesceEvents(this._pending);
+    this._pending = [];
+
+    events.forEach(({ type, ...payload }) => EventBus.emit(type, payload));
+    this._listeners.forEach((listener) => {
+      try { listener(events); } catch (e) { console.warn("SceneGraphStore: listener failed", e); }
+    });
+    EventBus.emit("scene:updated", { events });
+  },
+
+  // One object:changed per id (union of changes) and only the final selection
+  _coalesceEvents(events) {
+    const out = [];
+    const changed = new Map();
+    let selection = null;
+    events.forEach((event) => {
+      if (event.type === "object:changed") {
+        const prev = changed.get(event.id);
+        if (prev) {
+          prev.changes = Array.from(new Set([...prev.changes, ...event.changes]));
+          return;
+        }
+        const copy = { ...event, changes: [...event.changes] };
+        changed.set(event.id, copy);
+        out.push(copy);
+      } else if (event.type === "selection:changed") {
+        if (selection) {
+          selection.selected = event.selected;
+          selection.added = event.selected.filter((id) => !selection.before.includes(id));
+          selection.removed = selection.before.filter((id) => !event.selected.includes(id));
+          return;
+        }
+        selection = { ...event, before: event.selected.filter((id) => !event.added.includes(id)).concat(event.removed) };
+        out.push(selection);
+      } else {
+        out.push(event);
+      }
+    });
+    if (selection) delete selection.before;
+    return out;
+  },
+
+  // Entries registered before their ancestor move under it
+  // (walks the new object's subtree down to the nearest registered nodes, not the siblings)
+  _adoptDescendants(id) {
+    const entry = this.objects[id];
+    const found = [];
+    const walk = (node) => {
+      node.children.forEach((child) => {
+        if (this.objects[child.uuid]?.object === child) found.push(child.uuid);
+        else walk(child);
+      });
+    };
+    if (entry.object) walk(entry.object);
+    found
+      .filter((sid) => this.objects[sid].parentId === entry.parentId)
+      .forEach((sid) => {
+        this._unlink(sid);
+        this._link(sid);
+        this._emitMove(sid, entry.parentId);
+      });
+  },
+
+  _ordered() {
+    return this.getDescendants(null);
+  },
 };
@@ -80,6 +80,11 @@ class TextureStore {
     this.map.clear();
   }
 
+  // [{ key, texture }] for every stored texture (project save)
+  entries() {
+    return Array.from(this.map.entries()).map(([key, v]) => ({ key, texture: v.tex }));
+  }
+
   stats() {
     return Array.from(this.map.entries()).map(([k, v]) => ({ key: k, refs: v.ref }));
   }
@@ -0,0 +1,56 @@
+// src/store/useSceneGraph.js
+import { useEffect, useReducer, useRef } from "react";
+import { SceneGraphStore } from "./SceneGraphStore";
+
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((k) => Object.prototype.hasOwnProperty.call(b, k) && Object.is(a[k], b[k]));
+}
+
+/**
+ * Read a slice of SceneGraphStore and re-render only when that slice changes.
+ * The selector runs after every store notification; results are compared shallowly,
+ * so return ids, plain values or entries (entries are replaced when they change).
+ *
+ *   const childIds = useSceneGraph((s) => s.getChildren(id));
+ *   const entry = useSceneGraph((s) => s.getEntry(id));
+ *
+ * @param {(store: typeof SceneGraphStore) => any} selector
+ * @param {(a: any, b: any) => boolean} [isEqual]
+ */
+export default function useSceneGraph(selector, isEqual = shallowEqual) {
+  const [, rerender] = useReducer((n) => n + 1, 0);
+  const selectorRef = useRef(selector);
+  const equalRef = useRef(isEqual);
+  selectorRef.current = selector;
+  equalRef.current = isEqual;
+
+  // selector may depend on props, so re-read on every render and keep the previous
+  // result when it's equal (stable identity for memo/deps)
+  const sliceRef = useRef(undefined);
+  const current = selector(SceneGraphStore);
+  if (sliceRef.current === undefined || !isEqual(sliceRef.current, current)) sliceRef.current = current;
+
+  useEffect(() => {
+    const check = () => {
+      let next;
+      try {
+        next = selectorRef.current(SceneGraphStore);
+      } catch (e) {
+        return;
+      }
+      if (equalRef.current(sliceRef.current, next)) return;
+      sliceRef.current = next;
+      rerender();
+    };
+    check(); // the store may have changed before the effect ran
+    return SceneGraphStore.subscribe(check);
+  }, []);
+
+  return sliceRef.current;
+}
@@ -0,0 +1,70 @@
+// src/utils/idb.js
+
+/**
+ * Minimal promise wrappers around IndexedDB (no dependency).
+ * openDB(name, version, upgrade) caches one connection per database name.
+ */
+
+const connections = new Map(); // name -> Promise<IDBDatabase>
+
+// IDBRequest -> Promise
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @param {string} name
+ * @param {number} version
+ * @param {(db: IDBDatabase, oldVersion: number, tx: IDBTransaction) => void} upgrade creates stores/indexes
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB(name, version, upgrade) {
+  if (connections.has(name)) return connections.get(name);
+  const pending = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available in this browser")); return; }
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (e) => upgrade?.(request.result, e.oldVersion, request.transaction);
+    request.onsuccess = () => {
+      const db = request.result;
+      // another tab upgraded the schema: drop this connection so the next call reopens
+      db.onversionchange = () => { db.close(); connections.delete(name); };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`${name} is open in another tab with an older version`));
+  });
+  connections.set(name, pending);
+  pending.catch(() => connections.delete(name));
+  return pending;
+}
+
+/**
+ * Run fn(store) in a transaction on one object store (or fn([stores]) for an array of names);
+ * resolves with fn's result once the transaction completes (so writes are durable), rejects when it aborts.
+ * @param {Promise<IDBDatabase>} dbPromise
+ * @param {string | string[]} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore | IDBObjectStore[]) => any} fn may return an IDBRequest, whose result is resolved
+ */
+export async function withStore(dbPromise, storeName, mode, fn) {
+  const db = await dbPromise;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    try {
+      const out = fn(Array.isArray(storeName) ? storeName.map((name) => tx.objectStore(name)) : tx.objectStore(storeName));
+      if (out instanceof IDBRequest) out.onsuccess = () => { result = out.result; };
+      else result = out;
+    } catch (e) {
+      try { tx.abort(); } catch (err) {}
+      reject(e);
+      return;
+    }
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+  });
+}
@@ -12,6 +12,13 @@ const LARGE_TRIANGLE_COUNT = 200000; // tune for warning
 const SMALL_BBOX = 1e-3;
 const LARGE_BBOX = 1000;
 
+// every issue code analyzeMesh can report (for pickers such as "Select by issue")
+export const ISSUE_CODES = [
+  'no-geometry', 'large-triangle-count', 'missing-normals', 'missing-uvs', 'missing-material',
+  'missing-texture', 'zero-area-faces', 'duplicate-vertices', 'boundary-edges', 'non-manifold-edges',
+  'large-bbox', 'small-bbox', 'skinned-missing-skeleton', 'skinned-many-bones',
+];
+
 function getPosAttr(geom) {
   return geom.attributes?.position || null;
 }
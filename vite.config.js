@@ -1,5 +1,49 @@
 import { defineConfig } from 'vite'
+import fs from 'fs'
+import path from 'path'
+
+// Draco and Basis (KTX2) decoders ship with three; serve them from the app's own
+// /draco/ and /basis/ paths so compressed models load offline (see ImportEngine.DECODER_PATHS)
+const THREE_LIBS = path.resolve(__dirname, 'node_modules/three/examples/jsm/libs')
+// only what DRACOLoader / KTX2Loader fetch (not e.g. the Draco encoder)
+const DECODERS = {
+  draco: { dir: path.join(THREE_LIBS, 'draco/gltf'), files: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js'] },
+  basis: { dir: path.join(THREE_LIBS, 'basis'), files: ['basis_transcoder.js', 'basis_transcoder.wasm'] },
+}
+const DECODER_TYPES = { '.js': 'text/javascript', '.wasm': 'application/wasm' }
+
+function threeDecoders() {
+  return {
+    name: 'three-decoders',
+    configureServer(server) {
+      // same base as DECODER_PATHS (import.meta.env.BASE_URL)
+      const base = (server.config.base || '/').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      const pattern = new RegExp(`^${base}(draco|basis)/([\\w.-]+)$`)
+      server.middlewares.use((req, res, next) => {
+        const match = (req.url || '').split('?')[0].match(pattern)
+        // listed file names only, so '..' or a directory never reaches the file system
+        if (!match || match[2].includes('..') || !DECODERS[match[1]].files.includes(match[2])) return next()
+        const file = path.join(DECODERS[match[1]].dir, match[2])
+        fs.stat(file, (err, stat) => {
+          if (err || !stat.isFile()) return next()
+          res.setHeader('Content-Type', DECODER_TYPES[path.extname(file)] || 'application/octet-stream')
+          fs.createReadStream(file)
+            .on('error', (e) => { if (!res.headersSent) next(e); else res.destroy(e) })
+            .pipe(res)
+        })
+      })
+    },
+    generateBundle() {
+      Object.entries(DECODERS).forEach(([name, { dir, files }]) => {
+        files.forEach((f) => {
+          this.emitFile({ type: 'asset', fileName: `${name}/${f}`, source: fs.readFileSync(path.join(dir, f)) })
+        })
+      })
+    },
+  }
+}
 
 export default defineConfig({
   root: '.', // make sure this points to the folder containing index.html
+  plugins: [threeDecoders()],
 })